@@ -1,4 +1,13 @@
 const ReactProjectValidator = require('../services/validation/reactProjectValidator');
+const { relativePathSchema } = require('../services/build/flarenetConfig');
+
+//optional ?rootDirectory= of the app inside a monorepo, null for the repository root
+const parseRootDirectory = (value) => {
+    if (value === undefined || value === '') {
+        return { success: true, data: null };
+    }
+    return relativePathSchema.safeParse(value);
+};
 
 /**
  * Middleware to validate if a repository is a React project
@@ -9,6 +18,7 @@ const ReactProjectValidator = require('../services/validation/reactProjectValida
 const validateReactProject = async (req, res) => {
     try {
         const { owner, repo } = req.query;
+        const rootDirectory = parseRootDirectory(req.query.rootDirectory);
         // Get token from Authorization header (Bearer token)
         const authHeader = req.headers.authorization;
         const token = authHeader && authHeader.startsWith('Bearer ') 
@@ -30,11 +40,19 @@ const validateReactProject = async (req, res) => {
             });
         }
 
+        if (!rootDirectory.success) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Invalid root directory",
+                errors: rootDirectory.error.errors
+            });
+        }
+
         // Create validator instance
         const validator = new ReactProjectValidator({ cacheTTL: 3600 });
         
         // Validate repository
-        const result = await validator.validateReactProject({ owner, repo, token }); //debuggging stepper
+        const result = await validator.validateReactProject({ owner, repo, token, rootDirectory: rootDirectory.data }); //debuggging stepper
 
         if (!result.isValid) {
             return res.status(400).json({
@@ -50,7 +68,10 @@ const validateReactProject = async (req, res) => {
             data: {
                 framework: result.framework,
                 buildCommand: result.buildCommand,
-                dependencies: result.dependencies
+                dependencies: result.dependencies,
+                rootDirectory: result.rootDirectory,
+                toolchain: result.toolchain, //package manager and node version the repository pins
+                workspaces: result.workspaces //packages of a monorepo, each one can be its own project
             }
         });
     } catch (error) {
@@ -89,13 +110,16 @@ const validateReactProject = async (req, res) => {
 
 /**
  * Middleware to validate a GitHub repository URL
+ * Reads `url` and `rootDirectory` from res.locals.repository when a route set them
+ * (req.query is read-only under Express 5), from the query string otherwise
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Object} Response with validation result
  */
 const validateReactProjectByUrl = async (req, res) => {
     try {
-        const { url } = req.query;
+        const { url, rootDirectory: requestedRootDirectory } = res.locals.repository || req.query;
+        const rootDirectory = parseRootDirectory(requestedRootDirectory);
         const authHeader = req.headers.authorization;
         const token = authHeader && authHeader.startsWith('Bearer ') 
             ? authHeader.substring(7) 
@@ -116,11 +140,19 @@ const validateReactProjectByUrl = async (req, res) => {
             });
         }
 
+        if (!rootDirectory.success) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Invalid root directory",
+                errors: rootDirectory.error.errors
+            });
+        }
+
         // Create validator instance
         const validator = new ReactProjectValidator({ cacheTTL: 3600 });
         
         // Validate repository URL
-        const result = await validator.validateReactProjectByUrl(url, token);
+        const result = await validator.validateReactProjectByUrl(url, token, rootDirectory.data);
 
         if (!result.isValid) {
             return res.status(400).json({
@@ -136,7 +168,10 @@ const validateReactProjectByUrl = async (req, res) => {
             data: {
                 framework: result.framework,
                 buildCommand: result.buildCommand,
-                dependencies: result.dependencies
+                dependencies: result.dependencies,
+                rootDirectory: result.rootDirectory,
+                toolchain: result.toolchain, //package manager and node version the repository pins
+                workspaces: result.workspaces //packages of a monorepo, each one can be its own project
             }
         });
     } catch (error) {
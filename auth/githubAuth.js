@@ -1,6 +1,6 @@
 const axios = require('axios');
 const { prisma } = require('../utils/prismaClient');
-const crypto = require('crypto');
+const { encrypt, decrypt } = require('../utils/encryption');
 const jwt = require('jsonwebtoken');
 
 const CLIENT_ID = process.env.GITHUB_CLIENT_ID;
@@ -170,6 +170,19 @@ async function fetchRepositoriesFromGitHub(accessToken) {
 }
 
 
+//decrypted github token saved for a user at login, null when the user never connected github
+async function getStoredGitHubToken(userId) {
+    const oauthToken = await prisma.oAuthToken.findUnique({
+        where: { userId }
+    });
+
+    if (!oauthToken) {
+        return null;
+    }
+
+    return decryptToken(oauthToken.token);
+}
+
 async function getGitHubTokenFromJWT(req) {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -179,16 +192,8 @@ async function getGitHubTokenFromJWT(req) {
     try {
         const token = authHeader.slice(7);
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        const oauthToken = await prisma.oAuthToken.findUnique({
-            where: { userId: decoded.userId }
-        });
-
-        if (!oauthToken) {
-            return null;
-        }
 
-        return decryptToken(oauthToken.token);
+        return await getStoredGitHubToken(decoded.userId);
     } catch (error) {
         console.error('Error extracting GitHub token from JWT:', error.message);
         return null;
@@ -248,24 +253,7 @@ async function listRepositories(req, res) {
 //basic helper functions
 function encryptToken(token) {
     try {
-        const algorithm = 'aes-256-cbc';
-        const secretKey = process.env.SECRET_KEY;
-
-        // Validate that SECRET_KEY is defined and has the correct length (32 bytes for aes-256-cbc)
-        if (!secretKey || secretKey.length !== 32) {
-            throw new Error('SECRET_KEY must be defined and 32 bytes long.');
-        }
-
-        const iv = crypto.randomBytes(16); // Initialization vector (16 bytes)
-
-        const cipher = crypto.createCipheriv(algorithm, secretKey, iv);
-        let encrypted = cipher.update(token, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-
-        return {
-            encryptedData: encrypted,
-            iv: iv.toString('hex'),
-        };
+        return encrypt(token);
     } catch (err) {
         console.error('Error encrypting token:', err.message);
         throw new Error('Encryption failed. Ensure that SECRET_KEY is properly configured.');
@@ -275,19 +263,8 @@ function encryptToken(token) {
 
 //decrypt token when needed
 function decryptToken(encryptedData) {
-    const algorithm = 'aes-256-cbc';
-    const secretKey = process.env.SECRET_KEY;
     const { token, iv } = JSON.parse(encryptedData);
-
-    const decipher = crypto.createDecipheriv(
-        algorithm,
-        secretKey,
-        Buffer.from(iv, 'hex')
-    );
-
-    let decrypted = decipher.update(token, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+    return decrypt({ encryptedData: token, iv });
 }
 
 module.exports = {
@@ -297,5 +274,6 @@ module.exports = {
     githubRedirect,
     githubCallback,
     getUserInfo,
-    listRepositories
+    listRepositories,
+    getStoredGitHubToken
 };
\ No newline at end of file
@@ -1,5 +1,50 @@
 const { prisma } = require('../utils/prismaClient');
-const { runWorkflow } = require('../workflows/workFlowEngine');
+const { triggerDeployment } = require('../services/deployment/deploymentTrigger');
+const { deployPreview, teardownPreviews, isForkPullRequest } = require('../services/deployment/previewDeployments');
+const { resolveBranchTarget } = require('../services/project/branchRules');
+const { commitFromPushEvent, commitFromPullRequest } = require('../services/deployment/deploymentCommits');
+const { loadFlarenetConfig } = require('../services/build/flarenetConfig');
+const { HttpError, sendError } = require('../utils/httpError');
+
+//projects store either the clone url or the web url of their repository
+//a monorepo can back several projects, each with its own root directory
+async function findProjectsByRepository(repository) {
+    return prisma.project.findMany({
+        where: { gitUrl: { in: [repository.clone_url, repository.html_url].filter(Boolean) } },
+        orderBy: { createdAt: 'asc' },
+    });
+}
+
+//every project of the repository handles the event, one failing project does not hold up the others
+async function forEachProject(projects, handler) {
+    const errors = [];
+    for (const project of projects) {
+        try {
+            await handler(project);
+        } catch (error) {
+            console.error(`Event not handled for project ${project.id}: ${error.message}`);
+            errors.push(error);
+        }
+    }
+    if (errors.length > 0) {
+        throw errors[0];
+    }
+}
+
+//rules set through the api win, otherwise the ones of the pushed flarenet.json apply
+async function getBranchRules(project, ref) {
+    if (Array.isArray(project.branchRules)) {
+        return project.branchRules;
+    }
+    try {
+        const buildConfig = await loadFlarenetConfig({ project, ref });
+        return buildConfig?.branchRules || null;
+    } catch (error) {
+        //a broken flarenet.json fails the deployment in the worker, routing falls back to the default
+        console.warn(`Branch rules of flarenet.json not used for project ${project.id}: ${error.message}`);
+        return null;
+    }
+}
 
 async function handlePushEvent(event) {
     // Extract the necessary details from the event object
@@ -8,10 +53,15 @@ async function handlePushEvent(event) {
     // console.log(`Push event detected`);
     // console.log("Event object:", event);
 
+    //only branch pushes deploy, tag pushes are ignored
+    if (!ref || !ref.startsWith('refs/heads/')) {
+        return;
+    }
+
     // Extract context from the event.body
     const context = {
         gitUrl: repository.clone_url,        // Repository's clone URL
-        branch: ref.split('/').pop(),         // Extract branch name from ref (e.g., refs/heads/main -> main)
+        branch: ref.slice('refs/heads/'.length), // Branch name keeps its slashes (refs/heads/feature/x -> feature/x)
         repositoryName: repository.name,     // Repository name
         senderName: sender.login,            // Sender's GitHub username
         senderAvatar: sender.avatar_url      // Sender's avatar URL (optional)
@@ -20,29 +70,98 @@ async function handlePushEvent(event) {
     // console.log("Extracted context:", context);
 
 
-    // Find the project in the database using the gitUrl
-    const project = await prisma.project.findUnique({
-        where: { gitUrl: context.gitUrl },
-    });
+    // Find the projects in the database using the gitUrl
+    const projects = await findProjectsByRepository(repository);
+    await forEachProject(projects, (project) => deployPush(project, context, event.body));
+}
+
+//route one push to one project
+async function deployPush(project, context, body) {
+    const { deleted, after } = body;
+
+    //the project's branch rules decide where this push goes
+    //a deleted branch has no commit left to read flarenet.json from, the default branch's is used
+    const branchRules = await getBranchRules(project, deleted ? null : after);
+    const { target } = resolveBranchTarget(branchRules, context.branch);
 
-    if (!project) {
-        // console.log('Project not found');
+    //a deleted branch takes its preview down with it
+    if (deleted) {
+        if (target === 'PREVIEW') {
+            await teardownPreviews({ project, branch: context.branch });
+        }
         return;
     }
 
-    // Mark deployment record in the database and trigger the workflow
-    const deployment = await prisma.deployment.create({
-        data: {
-            projectId: project.id,
+    if (target === 'IGNORE') {
+        console.log(`Push to ${context.repositoryName}@${context.branch} ignored by the branch rules of project ${project.name}`);
+        return;
+    }
+
+    const commit = commitFromPushEvent(body);
+
+    if (target === 'PREVIEW') {
+        await deployPreview({ project, branch: context.branch, gitUrl: project.gitUrl, commit });
+        return;
+    }
+
+    // Same path as /deploy: concurrency policy, then the deployment and its build job in one transaction
+    try {
+        await triggerDeployment({
+            project,
+            environment: target,
+            branch: context.branch,
+            ...commit,
+            cause: `GitHub push to ${context.branch}`,
+        });
+    } catch (error) {
+        if (!(error instanceof HttpError)) {
+            throw error;
         }
-    });
-    // console.log('deployment entry created successfully');
-    // return;  breaker flag 
+        console.warn(`Push to ${context.repositoryName}@${context.branch} not deployed: ${error.message}`);
+    }
+}
 
-    // Trigger the deployment workflow this is done via workflowEnngine
-    await runWorkflow('deploymentWorkflow', deployment.id, project.id, project.gitUrl);
-    // console.log(`Push event handled successfully via the following workflow steps`);
+//pull requests get a preview deployment that follows their head commit
+async function handlePullRequestEvent(event) {
+    const { action, number, pull_request: pullRequest, repository } = event.body;
 
+    const projects = await findProjectsByRepository(repository);
+    await forEachProject(projects, (project) => handlePullRequestForProject(project, action, number, pullRequest));
+}
+
+async function handlePullRequestForProject(project, action, number, pullRequest) {
+    if (['opened', 'reopened', 'synchronize'].includes(action)) {
+        //fork pull requests live in the head repository, not in the project's one
+        //and are built without the project's variables and secrets, their author may be anyone
+        const isFork = isForkPullRequest(pullRequest);
+        const { deployment, cancelled } = await deployPreview({
+            project,
+            pullRequestNumber: number,
+            branch: pullRequest.head.ref,
+            gitUrl: pullRequest.head.repo?.clone_url || project.gitUrl,
+            commit: await commitFromPullRequest(project, pullRequest),
+            isFork
+        });
+        console.log(`Preview ${deployment.id} queued for pull request #${number}${cancelled.length ? `, superseded ${cancelled.join(', ')}` : ''}`);
+    } else if (action === 'closed') {
+        const { cancelled, retired } = await teardownPreviews({ project, pullRequestNumber: number });
+        console.log(`Previews of pull request #${number} torn down: ${cancelled.length} cancelled, ${retired.length} retired`);
+    }
+}
+
+//single webhook endpoint, github names the event in a header
+async function handleGitHubEvent(req, res) {
+    const eventName = req.headers['x-github-event'] || 'push';
+    try {
+        if (eventName === 'push') {
+            await handlePushEvent(req);
+        } else if (eventName === 'pull_request') {
+            await handlePullRequestEvent(req);
+        }
+        res.status(202).json({ success: true, message: `${eventName} event received` });
+    } catch (error) {
+        sendError(res, error, `Failed to handle ${eventName} event`);
+    }
 }
 
-module.exports = { handlePushEvent };
+module.exports = { handlePushEvent, handlePullRequestEvent, handleGitHubEvent };
@@ -21,17 +21,26 @@ console.log('ClickHouse Host:', process.env.CLICKHOUSE_HOST || 'Not set');
 console.log('=========================================');
 
 const cors = require('cors');
-const buildQueue = require('./queues/buildQueue');
 const githubRoutes = require('./routes/githubRoutes');
 const authRoutes = require('./routes/autthRoutes');
 const chatbotRoutes = require("./routes/chatBotRoutes");
 const { getRedisClient } = require('./utils/redisClient');
+const { HttpError, sendError } = require('./utils/httpError');
+const { triggerDeployment, planDeployment } = require('./services/deployment/deploymentTrigger');
+const { DeployIdempotency, getRequestFingerprint } = require('./services/deployment/deployIdempotency');
+const { createProjectWithSlug } = require('./services/domains/hostnames');
+const { relativePathSchema } = require('./services/build/flarenetConfig');
 
 // Initialize Redis client early
 process.env.REDIS_ENABLED = 'true';
 const redisClient = getRedisClient();
 const deploymentValidationRoutes = require('./routes/deploymentValidationRoutes');
 const aiAnalysisRoutes = require('./routes/aiAnalysisRoutes');
+const deploymentRoutes = require('./routes/deploymentRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const hostRoutes = require('./routes/hostRoutes');
+const hookRoutes = require('./routes/hookRoutes');
+const infrastructureProfileRoutes = require('./routes/infrastructureProfileRoutes');
 const { Worker: ThreadWorker } = require('worker_threads');
 
 const app = express();
@@ -60,6 +69,11 @@ app.use('/api/github', githubRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/validdeployment', deploymentValidationRoutes);
 app.use('/api/ai-analysis', aiAnalysisRoutes);
+app.use('/deployments', deploymentRoutes);
+app.use('/projects', projectRoutes);
+app.use('/hosts', hostRoutes);
+app.use('/hooks', hookRoutes);
+app.use('/infrastructure-profiles', infrastructureProfileRoutes);
 //chatBot routes
 app.use('/api/llm', chatbotRoutes);
 //auth routes
@@ -81,7 +95,7 @@ async function main() {
 }
 const startWorkerThreads = () => {
     //update path to point to the worker folder
-    const workerFiles = ['deploymentWorker.js', 'failedQueueWorker.js', 'webHooksWorker.js'].map((file) =>
+    const workerFiles = ['deploymentWorker.js', 'failedQueueWorker.js', 'webHooksWorker.js', 'outboxRelay.js'].map((file) =>
         path.join(__dirname, 'worker', file));;
 
     //start each workrt using seperate pareller threads
@@ -95,12 +109,6 @@ const startWorkerThreads = () => {
 }
 
 
-const config = {
-    CLUSTER: process.env.FLARENET_AWS_CLUSTER_NAME,
-    TASK: 'git_project_cloner_task:4'
-}
-
-
 //for creating project this route wil be used
 app.post('/create-project', async function (req, res) {
     try {
@@ -112,6 +120,8 @@ app.post('/create-project', async function (req, res) {
             gitUrl: z.string().url("Invalid git url"),
             description: z.string().optional(),
             ownerId: z.number().int().positive("invallid ownerid"),
+            rootDirectory: relativePathSchema.optional(), //app directory when the repository is a monorepo
+            outputDirectory: relativePathSchema.optional(),
         });
 
         //parse check body as it is according to schema
@@ -119,11 +129,13 @@ app.post('/create-project', async function (req, res) {
         if (isValidated.error) return res.status(404).json({ error: isValidated.error });
 
         //after proper validation insert that data into database
-        const newProject = await prisma.project.create({
+        const newProject = await createProjectWithSlug({
             data: {
                 name: isValidated.name,
                 gitUrl: isValidated.gitUrl,
                 description: isValidated.description || null,
+                rootDirectory: isValidated.rootDirectory || null,
+                outputDirectory: isValidated.outputDirectory || null,
                 owner: {
                     connect: { id: isValidated.ownerId }, // Ensure `newUser.id` exists in the database
                 }
@@ -183,17 +195,27 @@ app.get("/projects/:ownerId", async function (req, res) {
 
 
 //main deployer actual via bullmq queue
+const deployIdempotency = new DeployIdempotency();
 
 app.post('/deploy', async (req, res) => {
     //all is dependent on just projectId
+    //retried requests with the same Idempotency-Key get the first response back instead of a second deployment
+    const idempotencyKey = req.get('Idempotency-Key');
+    let idempotency = null;
+    //once the deployment exists its key is never given up, a retry with it would create a second one
+    let deploymentCreated = false;
     try {
         //make zod schema for deployment validation
         const deploymentSchema = z.object({
             projectId: z.string().uuid("Invalid project ID"),  // Ensure it matches UUID format
-            environment: z.enum(["DEV", "STAGING", "PROD"], { message: "Invalid environment" }).default("STAGING"),
-            status: z.enum(["INACTIVE", "ACTIVE", "FAILED"]).optional().default("INACTIVE"),
+            environment: z.enum(["DEVELOPMENT", "STAGING", "PRODUCTION", "DEV", "PROD"], { message: "Invalid environment" }).default("STAGING")
+                .transform((env) => ({ DEV: "DEVELOPMENT", PROD: "PRODUCTION" }[env] || env)), // short names kept for older clients
             version: z.string().optional(),  // Optional version or tag
             autoDeploy: z.boolean().optional().default(false),  // Auto-deploy feature
+            branch: z.string().min(1).optional(), // Branch to build, the repository default when omitted
+            commitSha: z.string().regex(/^[0-9a-f]{7,40}$/i, "Invalid commit SHA").optional(),
+            commitMessage: z.string().optional(),
+            commitAuthor: z.string().optional(),
             buildCommand: z.string().min(1, "Build command is required").optional().or(z.literal("")), // Allow empty string
             envVariables: z.array(z.object({
                 key: z.string().min(1, "Key is required"),
@@ -208,7 +230,15 @@ app.post('/deploy', async (req, res) => {
             req.body.envVariables = req.body.envVariables.filter(env => env.key.trim() !== "" && env.value.trim() !== "");
         }
 
-        const validatedData = deploymentSchema.parse(req.body);
+        const parsed = deploymentSchema.safeParse(req.body);
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid deployment request', errors: parsed.error.errors });
+        }
+        const validatedData = parsed.data;
+        const dryRun = req.query.dryRun === 'true';
+        if (idempotencyKey !== undefined && !/^[\w.:-]{1,255}$/.test(idempotencyKey)) {
+            return res.status(400).json({ success: false, message: 'Idempotency-Key must be 1 to 255 letters, digits or . _ : -' });
+        }
 
         //extract env variables from validated data
         const { envVariables } = validatedData;  // Extract envVariables from the validated data
@@ -218,8 +248,32 @@ app.post('/deploy', async (req, res) => {
             name: key,
             value
         })) : [];
-        //generate url if user provided custom uri handle logic for it otherwiswe make use of default name
-        const generatedUri = validatedData.url || `https://${validatedData.projectId}.localhost:9000`;
+        //a dry run creates nothing, the key is not needed and not claimed
+        if (idempotencyKey && !dryRun) {
+            const claim = { scope: validatedData.projectId, key: idempotencyKey, fingerprint: getRequestFingerprint(validatedData) };
+            const replay = await deployIdempotency.begin(claim.scope, claim.key, claim.fingerprint);
+            if (replay) {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(replay.statusCode).json(replay.body);
+            }
+            idempotency = claim;
+        }
+        //responses below 500 are stored for the key, a server error gives the key up so the client can retry
+        const respond = async (statusCode, body) => {
+            if (idempotency) {
+                try {
+                    await deployIdempotency.complete(idempotency.scope, idempotency.key, idempotency.fingerprint, { statusCode, body });
+                } catch (error) {
+                    if (!deploymentCreated) {
+                        throw error;
+                    }
+                    //the deployment is answered anyway, its key stays claimed until the claim expires
+                    console.error('Failed to store the /deploy response of its Idempotency-Key:', error.message);
+                }
+                idempotency = null;
+            }
+            return res.status(statusCode).json(body);
+        };
 
         // Step 2: Check if project exists
         const project = await prisma.project.findUnique({
@@ -229,41 +283,57 @@ app.post('/deploy', async (req, res) => {
 
 
         if (!project) {
-            return res.status(404).send({
+            return respond(404, {
                 success: false,
                 message: "Project not found",
             });
         }
-        //first check there is nor running deployment
-
+        const deployRequest = {
+            project,
+            environment: validatedData.environment,
+            branch: validatedData.branch,
+            commitSha: validatedData.commitSha,
+            commitMessage: validatedData.commitMessage,
+            commitAuthor: validatedData.commitAuthor,
+            version: validatedData.version,
+            autoDeploy: validatedData.autoDeploy,
+            buildCommand: validatedData.buildCommand, //otherwise flarenet.json or the package manager default
+            envVars //already in the { name, value } format of the build task
+        };
+
+        //every check of a real deploy, then the job it would queue
+        if (dryRun) {
+            const plan = await planDeployment(deployRequest);
+            return res.json({ status: 'dry-run', data: plan });
+        }
 
-        //mark tht deploymenr entry in the database
-        const newDeployment = await prisma.deployment.create({
-            data: {
-                projectId: validatedData.projectId,
-                environment: validatedData.environment,
-                status: validatedData.status,
-                url: generatedUri,
-                version: validatedData.version || "v1.0.0", // Provide a default version
-                autoDeploy: validatedData.autoDeploy, // Include autoDeploy here
-            },
-            //this include is just like populate() in mongodb or fetch_assoc() in php and readRecursive() in ruby as an powerful tree of tech stacks 
-            include: {
-                project: true, // Fetch related project data
-            },
-        });
-        // console.log("deployment added in prisma for deployment id", newDeployment.id);
-        //here add job to the deployment queue inseted of deploying it directly
-        await buildQueue.add('deploy', {
-            deploymentId: newDeployment.id, projectId: newDeployment.project.id, environment: validatedData.environment, gitUrl: newDeployment.project.gitUrl, version: validatedData.version || "v1.0.0", buildCommand: validatedData.buildCommand && validatedData.buildCommand.trim() !== "" ? validatedData.buildCommand : "npm install && npm run build",
-            envVars: validatedData.envVariables?.length ? validatedData.envVariables : [],
-        });
-        // console.log("Job added to main build queue with build command:", validatedData.buildCommand);
+        //concurrency policy, commit lookup, deployment record and build job, same as deploy hooks
+        try {
+            const { deployment: newDeployment, policy, cancelled, approvalRequired } = await triggerDeployment({
+                ...deployRequest,
+                cause: 'Requested via /deploy'
+            });
+            deploymentCreated = true;
 
-        return res.json({ status: 'queued', data: { deploymentId: newDeployment.id, domain: newDeployment.url } })
+            return respond(200, { status: 'queued', data: { deploymentId: newDeployment.id, domain: newDeployment.url, slug: newDeployment.slug, branch: newDeployment.branch, commitSha: newDeployment.commitSha, approvalRequired, concurrencyPolicy: policy, cancelledDeployments: cancelled } });
+        } catch (e) {
+            //a refused deploy (e.g. REJECT policy) is an answer too, retries get the same one
+            if (e instanceof HttpError && e.statusCode < 500) {
+                return respond(e.statusCode, { success: false, message: e.message });
+            }
+            throw e;
+        }
 
     }
     catch (e) {
+        if (idempotency && !deploymentCreated) {
+            await deployIdempotency.release(idempotency.scope, idempotency.key).catch((error) => {
+                console.error('Failed to release Idempotency-Key:', error.message);
+            });
+        }
+        if (e instanceof HttpError) {
+            return sendError(res, e);
+        }
         return res.status(500).send({
             success: false,
             message: 'internal service error for building deployment',
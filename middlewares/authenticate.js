@@ -0,0 +1,31 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Middleware that requires a FlareNet JWT (issued by /api/auth/login or the
+ * GitHub callback) in the Authorization header and exposes its payload as
+ * `req.user` ({ userId, email, role }).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const authenticate = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authorization header with Bearer token is required'
+        });
+    }
+
+    try {
+        req.user = jwt.verify(authHeader.slice(7), process.env.JWT_SECRET);
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired token'
+        });
+    }
+};
+
+module.exports = authenticate;
@@ -197,7 +197,15 @@ const createRateLimiter = (options = {}) => {
     
     return async (req, res, next) => {
         // Check if Redis is available, skip rate limiting if not available
+        // unless the route asked to fail closed (failOpen: false)
         if (!isRedisAvailable()) {
+            if (options.failOpen === false) {
+                console.log('[Rate Limiter] Redis not available and failOpen=false, rejecting request');
+                return res.status(503).json({
+                    error: 'Service Unavailable',
+                    message: 'Rate limiting is unavailable, try again later'
+                });
+            }
             console.log('[Rate Limiter] Redis not available, skipping rate limiting');
             return next();
         }
@@ -252,7 +260,7 @@ const createRateLimiter = (options = {}) => {
         } catch (error) {
             console.error(`[Rate Limiter Error] ${error.message}`);
             // If Redis is down or unavailable, follow the failOpen policy
-            if (options.failOpen || !isRedisAvailable()) {
+            if (options.failOpen || (options.failOpen !== false && !isRedisAvailable())) {
                 if (process.env.NODE_ENV !== 'production') {
                     console.log(`[Rate Limiter Debug] Redis error or unavailable but failOpen=${options.failOpen}, allowing request`);
                 }
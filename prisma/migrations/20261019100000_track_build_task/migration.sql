@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "DeploymentStatus" ADD VALUE 'BUILDING';
+
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "buildFinishedAt" TIMESTAMP(3),
+ADD COLUMN     "buildStartedAt" TIMESTAMP(3),
+ADD COLUMN     "exitCode" INTEGER,
+ADD COLUMN     "taskArn" TEXT;
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "DeploymentStatus" ADD VALUE 'CANCELLED';
+
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "cancelledById" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "Deployment" ADD CONSTRAINT "Deployment_cancelledById_fkey" FOREIGN KEY ("cancelledById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
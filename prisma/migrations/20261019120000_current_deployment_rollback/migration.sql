@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "SwitchReason" AS ENUM ('DEPLOY', 'ROLLBACK');
+
+-- CreateTable
+CREATE TABLE "CurrentDeployment" (
+    "id" UUID NOT NULL,
+    "projectId" UUID NOT NULL,
+    "environment" "Environment" NOT NULL,
+    "deploymentId" UUID NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CurrentDeployment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DeploymentSwitch" (
+    "id" UUID NOT NULL,
+    "projectId" UUID NOT NULL,
+    "environment" "Environment" NOT NULL,
+    "fromDeploymentId" UUID,
+    "toDeploymentId" UUID NOT NULL,
+    "reason" "SwitchReason" NOT NULL,
+    "actorId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DeploymentSwitch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CurrentDeployment_projectId_environment_key" ON "CurrentDeployment"("projectId", "environment");
+
+-- CreateIndex
+CREATE INDEX "DeploymentSwitch_projectId_environment_idx" ON "DeploymentSwitch"("projectId", "environment");
+
+-- AddForeignKey
+ALTER TABLE "CurrentDeployment" ADD CONSTRAINT "CurrentDeployment_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CurrentDeployment" ADD CONSTRAINT "CurrentDeployment_deploymentId_fkey" FOREIGN KEY ("deploymentId") REFERENCES "Deployment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeploymentSwitch" ADD CONSTRAINT "DeploymentSwitch_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeploymentSwitch" ADD CONSTRAINT "DeploymentSwitch_fromDeploymentId_fkey" FOREIGN KEY ("fromDeploymentId") REFERENCES "Deployment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeploymentSwitch" ADD CONSTRAINT "DeploymentSwitch_toDeploymentId_fkey" FOREIGN KEY ("toDeploymentId") REFERENCES "Deployment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeploymentSwitch" ADD CONSTRAINT "DeploymentSwitch_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
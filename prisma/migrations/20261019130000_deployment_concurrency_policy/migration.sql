@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "ConcurrencyPolicy" AS ENUM ('QUEUE', 'CANCEL_PREVIOUS', 'REJECT');
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "concurrencyPolicy" "ConcurrencyPolicy" NOT NULL DEFAULT 'QUEUE';
+
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "cancelReason" TEXT;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "DeploymentEvent" (
+    "id" UUID NOT NULL,
+    "deploymentId" UUID NOT NULL,
+    "fromStatus" "DeploymentStatus",
+    "toStatus" "DeploymentStatus" NOT NULL,
+    "cause" TEXT NOT NULL,
+    "actorId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DeploymentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DeploymentEvent_deploymentId_createdAt_idx" ON "DeploymentEvent"("deploymentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "DeploymentEvent" ADD CONSTRAINT "DeploymentEvent_deploymentId_fkey" FOREIGN KEY ("deploymentId") REFERENCES "Deployment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeploymentEvent" ADD CONSTRAINT "DeploymentEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
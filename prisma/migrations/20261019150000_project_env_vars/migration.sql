@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "ProjectEnvVar" (
+    "id" UUID NOT NULL,
+    "projectId" UUID NOT NULL,
+    "environment" "Environment" NOT NULL,
+    "key" TEXT NOT NULL,
+    "encryptedValue" TEXT NOT NULL,
+    "iv" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProjectEnvVar_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProjectEnvVar_projectId_environment_key_key" ON "ProjectEnvVar"("projectId", "environment", "key");
+
+-- AddForeignKey
+ALTER TABLE "ProjectEnvVar" ADD CONSTRAINT "ProjectEnvVar_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "branch" TEXT,
+ADD COLUMN     "pullRequestNumber" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Deployment_projectId_pullRequestNumber_idx" ON "Deployment"("projectId", "pullRequestNumber");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "branchRules" JSONB;
+
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "isPreview" BOOLEAN NOT NULL DEFAULT false;
+
+-- Pull request previews were identified by their pull request number so far
+UPDATE "Deployment" SET "isPreview" = true WHERE "pullRequestNumber" IS NOT NULL;
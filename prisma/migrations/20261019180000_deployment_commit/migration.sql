@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "commitAuthor" TEXT,
+ADD COLUMN     "commitMessage" TEXT,
+ADD COLUMN     "commitSha" TEXT;
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "SwitchReason" ADD VALUE 'PROMOTE';
+
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "artifactDeploymentId" UUID,
+ADD COLUMN     "promotedFromId" UUID;
+
+-- AddForeignKey
+ALTER TABLE "Deployment" ADD CONSTRAINT "Deployment_promotedFromId_fkey" FOREIGN KEY ("promotedFromId") REFERENCES "Deployment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
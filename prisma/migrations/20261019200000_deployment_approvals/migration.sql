@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "ApprovalDecision" AS ENUM ('APPROVED', 'REJECTED');
+
+-- AlterEnum
+ALTER TYPE "DeploymentStatus" ADD VALUE 'AWAITING_APPROVAL';
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "approvalExpiryHours" INTEGER NOT NULL DEFAULT 24,
+ADD COLUMN     "requiredApprovals" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "approvalExpiresAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "DeploymentApproval" (
+    "id" UUID NOT NULL,
+    "deploymentId" UUID NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "decision" "ApprovalDecision" NOT NULL,
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DeploymentApproval_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DeploymentApproval_deploymentId_userId_key" ON "DeploymentApproval"("deploymentId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "DeploymentApproval" ADD CONSTRAINT "DeploymentApproval_deploymentId_fkey" FOREIGN KEY ("deploymentId") REFERENCES "Deployment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeploymentApproval" ADD CONSTRAINT "DeploymentApproval_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
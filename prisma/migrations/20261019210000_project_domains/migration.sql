@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "Domain" (
+    "id" UUID NOT NULL,
+    "projectId" UUID NOT NULL,
+    "hostname" TEXT NOT NULL,
+    "verificationToken" TEXT NOT NULL,
+    "verifiedAt" TIMESTAMP(3),
+    "lastCheckedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Domain_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Domain_hostname_key" ON "Domain"("hostname");
+
+-- CreateIndex
+CREATE INDEX "Domain_projectId_idx" ON "Domain"("projectId");
+
+-- AddForeignKey
+ALTER TABLE "Domain" ADD CONSTRAINT "Domain_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "slug" TEXT;
+
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "slug" TEXT;
+
+-- Existing projects get their name as slug, suffixed with the start of their id to stay unique
+UPDATE "Project"
+SET "slug" = COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER("name"), '[^a-z0-9]+', '-', 'g'), 30)), ''), 'project')
+    || '-' || LEFT("id"::text, 8);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Project_slug_key" ON "Project"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Deployment_slug_key" ON "Deployment"("slug");
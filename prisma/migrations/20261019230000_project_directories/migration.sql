@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "outputDirectory" TEXT,
+ADD COLUMN     "rootDirectory" TEXT;
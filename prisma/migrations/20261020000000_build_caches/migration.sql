@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "cacheHit" BOOLEAN,
+ADD COLUMN     "cacheKey" TEXT;
+
+-- CreateTable
+CREATE TABLE "BuildCache" (
+    "id" UUID NOT NULL,
+    "projectId" UUID NOT NULL,
+    "key" TEXT NOT NULL,
+    "location" TEXT NOT NULL,
+    "packageManager" TEXT NOT NULL,
+    "nodeVersion" TEXT NOT NULL,
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "savedByDeploymentId" UUID,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BuildCache_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BuildCache_projectId_key_key" ON "BuildCache"("projectId", "key");
+
+-- AddForeignKey
+ALTER TABLE "BuildCache" ADD CONSTRAINT "BuildCache_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "DeployHook" (
+    "id" UUID NOT NULL,
+    "projectId" UUID NOT NULL,
+    "name" TEXT NOT NULL,
+    "branch" TEXT NOT NULL,
+    "environment" "Environment" NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "createdById" INTEGER,
+    "lastTriggeredAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DeployHook_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DeployHook_projectId_idx" ON "DeployHook"("projectId");
+
+-- AddForeignKey
+ALTER TABLE "DeployHook" ADD CONSTRAINT "DeployHook_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeployHook" ADD CONSTRAINT "DeployHook_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "ScheduleType" AS ENUM ('CRON', 'ONCE');
+
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "scheduleId" UUID;
+
+-- CreateTable
+CREATE TABLE "DeploymentSchedule" (
+    "id" UUID NOT NULL,
+    "projectId" UUID NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "ScheduleType" NOT NULL,
+    "cronExpression" TEXT,
+    "runAt" TIMESTAMP(3),
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "branch" TEXT,
+    "environment" "Environment" NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" INTEGER,
+    "lastRunAt" TIMESTAMP(3),
+    "lastRunError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DeploymentSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Deployment_scheduleId_idx" ON "Deployment"("scheduleId");
+
+-- CreateIndex
+CREATE INDEX "DeploymentSchedule_projectId_idx" ON "DeploymentSchedule"("projectId");
+
+-- AddForeignKey
+ALTER TABLE "Deployment" ADD CONSTRAINT "Deployment_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "DeploymentSchedule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeploymentSchedule" ADD CONSTRAINT "DeploymentSchedule_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeploymentSchedule" ADD CONSTRAINT "DeploymentSchedule_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterEnum
+ALTER TYPE "DeploymentStatus" ADD VALUE 'VERIFYING';
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "healthCheck" JSONB;
+
+-- CreateTable
+CREATE TABLE "DeploymentHealthCheck" (
+    "id" UUID NOT NULL,
+    "deploymentId" UUID NOT NULL,
+    "attempt" INTEGER NOT NULL,
+    "url" TEXT NOT NULL,
+    "statusCode" INTEGER,
+    "durationMs" INTEGER NOT NULL,
+    "passed" BOOLEAN NOT NULL,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DeploymentHealthCheck_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DeploymentHealthCheck_deploymentId_idx" ON "DeploymentHealthCheck"("deploymentId");
+
+-- AddForeignKey
+ALTER TABLE "DeploymentHealthCheck" ADD CONSTRAINT "DeploymentHealthCheck_deploymentId_fkey" FOREIGN KEY ("deploymentId") REFERENCES "Deployment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
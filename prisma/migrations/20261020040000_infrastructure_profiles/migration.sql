@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "Plan" AS ENUM ('FREE', 'PRO', 'ENTERPRISE');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "plan" "Plan" NOT NULL DEFAULT 'FREE';
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "infrastructureProfileId" UUID;
+
+-- CreateTable
+CREATE TABLE "InfrastructureProfile" (
+    "id" UUID NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "cpu" INTEGER NOT NULL,
+    "memory" INTEGER NOT NULL,
+    "region" TEXT,
+    "cluster" TEXT,
+    "taskDefinition" TEXT,
+    "containerName" TEXT,
+    "subnets" TEXT[],
+    "securityGroups" TEXT[],
+    "assignPublicIp" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InfrastructureProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InfrastructureProfile_name_key" ON "InfrastructureProfile"("name");
+
+-- AddForeignKey
+ALTER TABLE "Project" ADD CONSTRAINT "Project_infrastructureProfileId_fkey" FOREIGN KEY ("infrastructureProfileId") REFERENCES "InfrastructureProfile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
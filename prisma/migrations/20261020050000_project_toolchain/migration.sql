@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "detectedNodeVersion" TEXT,
+ADD COLUMN     "detectedPackageManager" TEXT,
+ADD COLUMN     "nodeVersion" TEXT,
+ADD COLUMN     "packageManager" TEXT,
+ADD COLUMN     "toolchainDetectedAt" TIMESTAMP(3);
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Deployment" ADD COLUMN     "branchLabel" TEXT;
+
+-- Existing deployments get the label getBranchLabel derives from their branch
+UPDATE "Deployment"
+SET "branchLabel" = RTRIM(LEFT(LTRIM(REGEXP_REPLACE(LOWER("branch"), '[^a-z0-9]+', '-', 'g'), '-'), 28), '-')
+WHERE "branch" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Deployment_projectId_branchLabel_idx" ON "Deployment"("projectId", "branchLabel");
@@ -0,0 +1,211 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const authenticate = require('../middlewares/authenticate');
+const { prisma } = require('../utils/prismaClient');
+const { sendError } = require('../utils/httpError');
+const { getManageableDeployment } = require('../services/project/projectAccess');
+const { cancelDeployment } = require('../services/deployment/deploymentCancellation');
+const { compareDeployments } = require('../services/deployment/deploymentCommits');
+const { promoteDeployment } = require('../services/deployment/deploymentPromotion');
+const { approveDeployment, rejectDeployment, getApprovals } = require('../services/deployment/deploymentApprovals');
+const { listHealthChecks } = require('../services/deployment/healthChecks');
+
+const decisionSchema = z.object({
+    comment: z.string().trim().max(500).optional()
+}).strict();
+
+/**
+ * @route POST /deployments/:id/cancel
+ * @desc Cancel a queued or running deployment
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/cancel', authenticate, async (req, res) => {
+    try {
+        const { deployment, jobRemoved, buildStopped } = await cancelDeployment({
+            deploymentId: req.params.id,
+            user: req.user
+        });
+
+        res.json({
+            success: true,
+            message: 'Deployment cancelled',
+            data: {
+                deploymentId: deployment.id,
+                status: deployment.status,
+                cancelledAt: deployment.cancelledAt,
+                cancelledById: deployment.cancelledById,
+                jobRemoved,
+                buildStopped
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel deployment');
+    }
+});
+
+/**
+ * @route POST /deployments/:id/promote
+ * @desc Serve the build of a successful STAGING deployment in PRODUCTION without rebuilding
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/promote', authenticate, async (req, res) => {
+    try {
+        const { deployment, source, switch: switchRecord, cancelled } = await promoteDeployment({
+            deploymentId: req.params.id,
+            user: req.user
+        });
+
+        //projects requiring approvals get the promotion once it is approved
+        res.status(switchRecord ? 201 : 202).json({
+            success: true,
+            message: switchRecord
+                ? `Deployment ${source.id} promoted to PRODUCTION`
+                : `Promotion of deployment ${source.id} is waiting for approval`,
+            data: { deployment, source, switch: switchRecord, cancelledDeployments: cancelled }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to promote deployment');
+    }
+});
+
+/**
+ * @route GET /deployments/:id/approvals
+ * @desc Approval state of a deployment and every decision taken on it
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/approvals', authenticate, async (req, res) => {
+    try {
+        const approvals = await getApprovals(req.params.id, req.user);
+        res.json({ success: true, data: approvals });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch deployment approvals');
+    }
+});
+
+/**
+ * @route POST /deployments/:id/approve
+ * @desc Approve a deployment waiting for approval, the last required approval releases it
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/approve', authenticate, async (req, res) => {
+    try {
+        const parsed = decisionSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid approval', errors: parsed.error.errors });
+        }
+
+        const result = await approveDeployment({
+            deploymentId: req.params.id,
+            user: req.user,
+            comment: parsed.data.comment
+        });
+
+        res.json({
+            success: true,
+            message: result.released
+                ? 'Deployment approved and released'
+                : `Approval recorded (${result.approvals}/${result.requiredApprovals})`,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to approve deployment');
+    }
+});
+
+/**
+ * @route POST /deployments/:id/reject
+ * @desc Reject a deployment waiting for approval, which cancels it
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/reject', authenticate, async (req, res) => {
+    try {
+        const parsed = decisionSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid rejection', errors: parsed.error.errors });
+        }
+
+        const result = await rejectDeployment({
+            deploymentId: req.params.id,
+            user: req.user,
+            comment: parsed.data.comment
+        });
+
+        res.json({ success: true, message: 'Deployment rejected', data: result });
+    } catch (error) {
+        sendError(res, error, 'Failed to reject deployment');
+    }
+});
+
+/**
+ * @route GET /deployments/:id/events
+ * @desc Status history of a deployment, oldest transition first
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/events', authenticate, async (req, res) => {
+    try {
+        const deployment = await getManageableDeployment(req.params.id, req.user);
+        const events = await prisma.deploymentEvent.findMany({
+            where: { deploymentId: deployment.id },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                deploymentId: deployment.id,
+                status: deployment.status,
+                events
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch deployment events');
+    }
+});
+
+/**
+ * @route GET /deployments/:id/health-checks
+ * @desc Health check attempts made before the deployment went live, first attempt first
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/health-checks', authenticate, async (req, res) => {
+    try {
+        const deployment = await getManageableDeployment(req.params.id, req.user);
+        const healthChecks = await listHealthChecks(deployment.id);
+        //the worker stops probing at the first pass, so the last attempt is what decided ACTIVE or FAILED
+        const lastAttempt = healthChecks[healthChecks.length - 1];
+
+        res.json({
+            success: true,
+            data: {
+                deploymentId: deployment.id,
+                status: deployment.status,
+                passed: lastAttempt ? lastAttempt.passed : null,
+                healthChecks
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch health checks');
+    }
+});
+
+/**
+ * @route GET /deployments/:a/compare/:b
+ * @desc Commits between the commit of deployment a and the commit of deployment b
+ * @access Private (project owner or admin)
+ */
+router.get('/:a/compare/:b', authenticate, async (req, res) => {
+    try {
+        const comparison = await compareDeployments({
+            baseId: req.params.a,
+            headId: req.params.b,
+            user: req.user
+        });
+
+        res.json({ success: true, data: comparison });
+    } catch (error) {
+        sendError(res, error, 'Failed to compare deployments');
+    }
+});
+
+module.exports = router;
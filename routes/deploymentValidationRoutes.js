@@ -23,7 +23,7 @@ router.get('/react-by-url', validateReactProjectByUrl);
  */
 router.post('/check-react-repo', async (req, res) => {
     try {
-        const { url } = req.body;
+        const { url, rootDirectory } = req.body;
         
         if (!url) {
             return res.status(400).json({
@@ -33,7 +33,8 @@ router.post('/check-react-repo', async (req, res) => {
         }
         
         // Forward the request to the validateReactProjectByUrl middleware
-        req.query.url = url;
+        // through res.locals, req.query is recomputed on every access in Express 5
+        res.locals.repository = { url, rootDirectory };
         return validateReactProjectByUrl(req, res);
     } catch (error) {
         return res.status(500).json({
@@ -4,7 +4,7 @@ const { webHookOctoKitHelper } = require('../auth/createWebHook');
 const { githubRedirect,
     exchangeCodeForToken,
     saveAccessToken,githubCallback,getUserInfo,listRepositories } = require('../auth/githubAuth');
-const {handlePushEvent}=require('../auth/webEventHandelers');
+const {handleGitHubEvent}=require('../auth/webEventHandelers');
 // const { App } = require('octokit');
 
 const router = express.Router();
@@ -23,5 +23,5 @@ router.post('/create-webhook', webHookOctoKitHelper);
 
 
 //web hook route
-router.post('/webhook-notifier',handlePushEvent);
+router.post('/webhook-notifier',handleGitHubEvent); //push and pull_request events
 module.exports = router;
\ No newline at end of file
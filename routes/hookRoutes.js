@@ -0,0 +1,56 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const createRateLimiter = require('../middlewares/tokenBucketLimiter');
+const { sendError } = require('../utils/httpError');
+const { triggerDeployHook } = require('../services/project/deployHooks');
+
+//every hook gets its own bucket, a leaked url cannot flood the build queue
+const deployHookRateLimiter = createRateLimiter({
+    defaultBucketSize: 10,        // 10 deployments in a burst
+    defaultRefillRate: 1 / 60,    // then 1 per minute
+    keyGenerator: (req) => `deploy-hook:${req.params.hookId}`,
+    failOpen: false // builds need redis anyway
+});
+
+//runs before the limiter, random ids would each get a fresh bucket in redis
+const validateHookId = (req, res, next) => {
+    if (!z.string().uuid().safeParse(req.params.hookId).success) {
+        return res.status(404).json({ success: false, message: 'Deploy hook not found' });
+    }
+    next();
+};
+
+/**
+ * @route POST /hooks/deploy/:hookId
+ * @desc Deploy the branch and environment a hook is bound to, for a CMS or another CI system
+ * @access Public (secret token in the X-Flarenet-Hook-Token header or as `token` in the body)
+ */
+router.post('/deploy/:hookId', validateHookId, deployHookRateLimiter, async (req, res) => {
+    try {
+        const { hook, deployment, policy, cancelled, approvalRequired } = await triggerDeployHook({
+            hookId: req.params.hookId,
+            //never from the query string, urls end up in access logs and proxy histories
+            token: req.headers['x-flarenet-hook-token'] || req.body?.token
+        });
+
+        res.status(202).json({
+            success: true,
+            message: `Deployment of ${hook.branch} to ${hook.environment} queued`,
+            data: {
+                deploymentId: deployment.id,
+                url: deployment.url,
+                branch: deployment.branch,
+                commitSha: deployment.commitSha,
+                environment: deployment.environment,
+                approvalRequired,
+                concurrencyPolicy: policy,
+                cancelledDeployments: cancelled
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to trigger deploy hook');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { sendError } = require('../utils/httpError');
+const { resolveHostname } = require('../services/domains/hostnames');
+
+/**
+ * @route GET /hosts/:hostname
+ * @desc Resolve a hostname (deployment slug, project or branch alias, custom domain) to the deployment it serves
+ * @access Public (used by the edge proxy)
+ */
+router.get('/:hostname', async (req, res) => {
+    try {
+        const resolved = await resolveHostname(req.params.hostname);
+        if (!resolved) {
+            return res.status(404).json({ success: false, message: `Nothing is served on ${req.params.hostname}` });
+        }
+
+        const { kind, deployment } = resolved;
+        res.json({
+            success: true,
+            data: {
+                hostname: req.params.hostname,
+                kind,
+                projectId: deployment.projectId,
+                deploymentId: deployment.id,
+                //promoted deployments serve the build output of the deployment they were promoted from
+                artifactDeploymentId: deployment.artifactDeploymentId || deployment.id,
+                environment: deployment.environment,
+                status: deployment.status,
+                url: deployment.url
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to resolve hostname');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middlewares/authenticate');
+const { sendError } = require('../utils/httpError');
+const {
+    profileSchema,
+    profileUpdateSchema,
+    listProfiles,
+    createProfile,
+    updateProfile,
+    deleteProfile
+} = require('../services/build/infrastructureProfiles');
+
+/**
+ * @route GET /infrastructure-profiles
+ * @desc Build task profiles, `allowed` tells whether the caller's plan may select them
+ * @access Private
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const profiles = await listProfiles(req.user);
+
+        res.json({ success: true, data: profiles });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch infrastructure profiles');
+    }
+});
+
+/**
+ * @route POST /infrastructure-profiles
+ * @desc Create a build task profile (CPU, memory, task definition, network, region)
+ * @access Private (admin)
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const parsed = profileSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid infrastructure profile', errors: parsed.error.errors });
+        }
+
+        const profile = await createProfile(req.user, parsed.data);
+
+        res.status(201).json({ success: true, message: 'Infrastructure profile created', data: profile });
+    } catch (error) {
+        sendError(res, error, 'Failed to create infrastructure profile');
+    }
+});
+
+/**
+ * @route PATCH /infrastructure-profiles/:profileId
+ * @desc Change a profile, the next builds of every project using it pick it up
+ * @access Private (admin)
+ */
+router.patch('/:profileId', authenticate, async (req, res) => {
+    try {
+        const parsed = profileUpdateSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid infrastructure profile', errors: parsed.error.errors });
+        }
+
+        const profile = await updateProfile(req.user, req.params.profileId, parsed.data);
+
+        res.json({ success: true, message: 'Infrastructure profile updated', data: profile });
+    } catch (error) {
+        sendError(res, error, 'Failed to update infrastructure profile');
+    }
+});
+
+/**
+ * @route DELETE /infrastructure-profiles/:profileId
+ * @desc Delete a profile no project uses anymore
+ * @access Private (admin)
+ */
+router.delete('/:profileId', authenticate, async (req, res) => {
+    try {
+        const profile = await deleteProfile(req.user, req.params.profileId);
+
+        res.json({ success: true, message: 'Infrastructure profile deleted', data: profile });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete infrastructure profile');
+    }
+});
+
+module.exports = router;
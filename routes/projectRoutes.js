@@ -0,0 +1,630 @@
+const express = require('express');
+const { z } = require('zod');
+const { Prisma } = require('@prisma/client');
+const router = express.Router();
+const { prisma } = require('../utils/prismaClient');
+const authenticate = require('../middlewares/authenticate');
+const { sendError } = require('../utils/httpError');
+const { getManageableProject } = require('../services/project/projectAccess');
+const { rollbackDeployment } = require('../services/deployment/currentDeployment');
+const { listEnvVars, createEnvVar, updateEnvVar, deleteEnvVar } = require('../services/project/projectEnvVars');
+const { listPreviews } = require('../services/deployment/previewDeployments');
+const { listPendingApprovals } = require('../services/deployment/deploymentApprovals');
+const { branchRulesSchema } = require('../services/project/branchRules');
+const { relativePathSchema, healthCheckSchema } = require('../services/build/flarenetConfig');
+const { listCaches, purgeCaches } = require('../services/build/dependencyCache');
+const { assertProfileAllowed } = require('../services/build/infrastructureProfiles');
+const { packageManagerSchema, nodeVersionSchema } = require('../services/build/buildToolchain');
+const { getProjectToolchain } = require('../services/project/projectToolchain');
+const {
+    deployHookSchema,
+    listDeployHooks,
+    createDeployHook,
+    regenerateDeployHookToken,
+    revokeDeployHook
+} = require('../services/project/deployHooks');
+const {
+    createScheduleSchema,
+    updateScheduleSchema,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    listScheduleDeployments
+} = require('../services/deployment/deploymentSchedules');
+const { hostnameSchema, listDomains, addDomain, removeDomain, verifyDomain } = require('../services/domains/domainService');
+
+const environmentSchema = z.enum(['PRODUCTION', 'STAGING', 'DEVELOPMENT'], { message: 'Invalid environment' });
+
+const rollbackSchema = z.object({
+    environment: environmentSchema.default('PRODUCTION'),
+    deploymentId: z.string().uuid('Invalid deployment ID').optional()
+});
+
+const envVarSchema = z.object({
+    environment: environmentSchema,
+    key: z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, 'Key must be a valid environment variable name'),
+    value: z.string()
+});
+
+const previewQuerySchema = z.object({
+    pullRequest: z.coerce.number().int().positive('Invalid pull request number').optional(),
+    branch: z.string().min(1).optional(),
+    active: z.enum(['true', 'false']).optional()
+});
+
+const envVarUpdateSchema = z.object({
+    value: z.string()
+});
+
+// Project settings that can be changed after creation
+const projectSettingsSchema = z.object({
+    concurrencyPolicy: z.enum(['QUEUE', 'CANCEL_PREVIOUS', 'REJECT'], { message: 'Invalid concurrency policy' }).optional(),
+    branchRules: branchRulesSchema.nullable().optional(),
+    requiredApprovals: z.number().int().min(0).max(10).optional(), // 0 disables the PRODUCTION approval gate
+    approvalExpiryHours: z.number().int().min(1).max(168).optional(),
+    rootDirectory: relativePathSchema.nullable().optional(), // app directory inside a monorepo, null for the repository root
+    outputDirectory: relativePathSchema.nullable().optional(), // build output, relative to the root directory
+    packageManager: packageManagerSchema.nullable().optional(), // null uses the one the lockfile points to
+    nodeVersion: nodeVersionSchema.nullable().optional(), // null uses flarenet.json, .nvmrc or engines
+    healthCheck: healthCheckSchema.nullable().optional(), // probed before a build goes live, null falls back to flarenet.json
+    infrastructureProfileId: z.string().uuid('Invalid infrastructure profile ID').nullable().optional() // null for the default build infrastructure
+}).strict();
+
+/**
+ * @route PATCH /projects/:id
+ * @desc Update project settings
+ * @access Private (project owner or admin)
+ */
+router.patch('/:id', authenticate, async (req, res) => {
+    try {
+        const parsed = projectSettingsSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid project settings', errors: parsed.error.errors });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const data = { ...parsed.data };
+        if (data.infrastructureProfileId) {
+            await assertProfileAllowed(project, data.infrastructureProfileId); //capped by the owner's plan
+        }
+        //json columns need an explicit database null
+        for (const key of ['branchRules', 'healthCheck']) {
+            if (data[key] === null) {
+                data[key] = Prisma.DbNull;
+            }
+        }
+        const updated = await prisma.project.update({
+            where: { id: project.id },
+            data
+        });
+
+        res.json({ success: true, message: 'Project updated', data: updated });
+    } catch (error) {
+        sendError(res, error, 'Failed to update project');
+    }
+});
+
+/**
+ * @route GET /projects/:id/toolchain
+ * @desc Package manager and Node version detected at the default branch, the overrides and what builds use
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/toolchain', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const toolchain = await getProjectToolchain(project);
+
+        res.json({ success: true, data: toolchain });
+    } catch (error) {
+        sendError(res, error, 'Failed to detect project toolchain');
+    }
+});
+
+/**
+ * @route GET /projects/:id/current-deployments
+ * @desc Deployment currently serving each environment of a project
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/current-deployments', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const current = await prisma.currentDeployment.findMany({
+            where: { projectId: project.id },
+            include: { deployment: true }
+        });
+
+        res.json({ success: true, data: current });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch current deployments');
+    }
+});
+
+/**
+ * @route POST /projects/:id/rollback
+ * @desc Point an environment back at a previous successful deployment without rebuilding
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/rollback', authenticate, async (req, res) => {
+    try {
+        const parsed = rollbackSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid rollback request', errors: parsed.error.errors });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const { deployment, switch: switchRecord } = await rollbackDeployment({
+            projectId: project.id,
+            environment: parsed.data.environment,
+            deploymentId: parsed.data.deploymentId,
+            actorId: req.user.userId
+        });
+
+        res.json({
+            success: true,
+            message: `Rolled ${parsed.data.environment} back to deployment ${deployment.id}`,
+            data: { deployment, switch: switchRecord }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to roll back deployment');
+    }
+});
+
+/**
+ * @route GET /projects/:id/deployment-switches
+ * @desc Audit trail of every change of a project's current deployment
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/deployment-switches', authenticate, async (req, res) => {
+    try {
+        const { environment } = req.query;
+        if (environment && !environmentSchema.safeParse(environment).success) {
+            return res.status(400).json({ success: false, message: 'Invalid environment' });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+
+        const switches = await prisma.deploymentSwitch.findMany({
+            where: {
+                projectId: project.id,
+                ...(environment ? { environment } : {})
+            },
+            orderBy: { createdAt: 'desc' },
+            take: 100
+        });
+
+        res.json({ success: true, data: switches });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch deployment switches');
+    }
+});
+
+/**
+ * @route GET /projects/:id/previews
+ * @desc Pull request preview deployments of a project, newest first
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/previews', authenticate, async (req, res) => {
+    try {
+        const parsed = previewQuerySchema.safeParse(req.query);
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid preview filters', errors: parsed.error.errors });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const previews = await listPreviews(project.id, {
+            pullRequestNumber: parsed.data.pullRequest,
+            branch: parsed.data.branch,
+            activeOnly: parsed.data.active === 'true'
+        });
+
+        res.json({ success: true, data: previews });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch previews');
+    }
+});
+
+/**
+ * @route GET /projects/:id/approvals
+ * @desc PRODUCTION deployments of a project waiting for approval, oldest first
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/approvals', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const pending = await listPendingApprovals(project.id);
+
+        res.json({
+            success: true,
+            data: {
+                requiredApprovals: project.requiredApprovals,
+                approvalExpiryHours: project.approvalExpiryHours,
+                deployments: pending
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch pending approvals');
+    }
+});
+
+/**
+ * @route GET /projects/:id/env
+ * @desc Stored environment variables of a project, values masked
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/env', authenticate, async (req, res) => {
+    try {
+        const { environment } = req.query;
+        if (environment && !environmentSchema.safeParse(environment).success) {
+            return res.status(400).json({ success: false, message: 'Invalid environment' });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const envVars = await listEnvVars(project.id, environment);
+
+        res.json({ success: true, data: envVars });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch environment variables');
+    }
+});
+
+/**
+ * @route POST /projects/:id/env
+ * @desc Store an encrypted environment variable for one environment
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/env', authenticate, async (req, res) => {
+    try {
+        const parsed = envVarSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid environment variable', errors: parsed.error.errors });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const envVar = await createEnvVar({ projectId: project.id, ...parsed.data });
+
+        res.status(201).json({ success: true, message: 'Environment variable created', data: envVar });
+    } catch (error) {
+        sendError(res, error, 'Failed to create environment variable');
+    }
+});
+
+/**
+ * @route PATCH /projects/:id/env/:envVarId
+ * @desc Replace the value of an environment variable
+ * @access Private (project owner or admin)
+ */
+router.patch('/:id/env/:envVarId', authenticate, async (req, res) => {
+    try {
+        const parsed = envVarUpdateSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid environment variable', errors: parsed.error.errors });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const envVar = await updateEnvVar({
+            projectId: project.id,
+            envVarId: req.params.envVarId,
+            value: parsed.data.value
+        });
+
+        res.json({ success: true, message: 'Environment variable updated', data: envVar });
+    } catch (error) {
+        sendError(res, error, 'Failed to update environment variable');
+    }
+});
+
+/**
+ * @route DELETE /projects/:id/env/:envVarId
+ * @desc Delete an environment variable
+ * @access Private (project owner or admin)
+ */
+router.delete('/:id/env/:envVarId', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const envVar = await deleteEnvVar({ projectId: project.id, envVarId: req.params.envVarId });
+
+        res.json({ success: true, message: 'Environment variable deleted', data: envVar });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete environment variable');
+    }
+});
+
+const domainSchema = z.object({
+    hostname: hostnameSchema
+}).strict();
+
+/**
+ * @route GET /projects/:id/domains
+ * @desc Custom domains of a project with their verification state
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/domains', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const domains = await listDomains(project.id);
+
+        res.json({ success: true, data: domains });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch domains');
+    }
+});
+
+/**
+ * @route POST /projects/:id/domains
+ * @desc Attach a custom domain, the response holds the TXT record proving ownership
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/domains', authenticate, async (req, res) => {
+    try {
+        const parsed = domainSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid domain', errors: parsed.error.errors });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const domain = await addDomain(project.id, parsed.data.hostname);
+
+        res.status(201).json({ success: true, message: 'Domain added, create the TXT record to verify it', data: domain });
+    } catch (error) {
+        sendError(res, error, 'Failed to add domain');
+    }
+});
+
+/**
+ * @route POST /projects/:id/domains/:domainId/verify
+ * @desc Check the TXT record of a domain, verified domains serve the current PRODUCTION deployment
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/domains/:domainId/verify', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const domain = await verifyDomain({ projectId: project.id, domainId: req.params.domainId });
+
+        res.json({ success: true, message: 'Domain verified', data: domain });
+    } catch (error) {
+        sendError(res, error, 'Failed to verify domain');
+    }
+});
+
+/**
+ * @route DELETE /projects/:id/domains/:domainId
+ * @desc Detach a custom domain from a project
+ * @access Private (project owner or admin)
+ */
+router.delete('/:id/domains/:domainId', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const domain = await removeDomain(project.id, req.params.domainId);
+
+        res.json({ success: true, message: 'Domain removed', data: { id: domain.id, hostname: domain.hostname } });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove domain');
+    }
+});
+
+/**
+ * @route GET /projects/:id/caches
+ * @desc Dependency caches of a project, most recently used first
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/caches', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const caches = await listCaches(project.id);
+
+        res.json({ success: true, data: caches });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch build caches');
+    }
+});
+
+/**
+ * @route DELETE /projects/:id/caches
+ * @desc Purge every dependency cache of a project, the next builds install from scratch
+ * @access Private (project owner or admin)
+ */
+router.delete('/:id/caches', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const purged = await purgeCaches({ projectId: project.id });
+
+        res.json({ success: true, message: `${purged.length} build cache(s) purged`, data: purged.map(({ id, key }) => ({ id, key })) });
+    } catch (error) {
+        sendError(res, error, 'Failed to purge build caches');
+    }
+});
+
+/**
+ * @route DELETE /projects/:id/caches/:cacheId
+ * @desc Purge one dependency cache of a project
+ * @access Private (project owner or admin)
+ */
+router.delete('/:id/caches/:cacheId', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const [purged] = await purgeCaches({ projectId: project.id, cacheId: req.params.cacheId });
+
+        res.json({ success: true, message: 'Build cache purged', data: { id: purged.id, key: purged.key } });
+    } catch (error) {
+        sendError(res, error, 'Failed to purge build cache');
+    }
+});
+
+/**
+ * @route GET /projects/:id/hooks
+ * @desc Deploy hooks of a project, tokens are never listed
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/hooks', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const hooks = await listDeployHooks(project.id);
+
+        res.json({ success: true, data: hooks });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch deploy hooks');
+    }
+});
+
+/**
+ * @route POST /projects/:id/hooks
+ * @desc Create a deploy hook bound to a branch and environment, the token is only returned here
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/hooks', authenticate, async (req, res) => {
+    try {
+        const parsed = deployHookSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid deploy hook', errors: parsed.error.errors });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const hook = await createDeployHook({ projectId: project.id, userId: req.user.userId, ...parsed.data });
+
+        res.status(201).json({ success: true, message: 'Deploy hook created, store its token now', data: hook });
+    } catch (error) {
+        sendError(res, error, 'Failed to create deploy hook');
+    }
+});
+
+/**
+ * @route POST /projects/:id/hooks/:hookId/regenerate
+ * @desc Replace the token of a deploy hook, the old one stops working
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/hooks/:hookId/regenerate', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const hook = await regenerateDeployHookToken(project.id, req.params.hookId);
+
+        res.json({ success: true, message: 'Deploy hook token regenerated', data: hook });
+    } catch (error) {
+        sendError(res, error, 'Failed to regenerate deploy hook token');
+    }
+});
+
+/**
+ * @route DELETE /projects/:id/hooks/:hookId
+ * @desc Revoke a deploy hook
+ * @access Private (project owner or admin)
+ */
+router.delete('/:id/hooks/:hookId', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const hook = await revokeDeployHook(project.id, req.params.hookId);
+
+        res.json({ success: true, message: 'Deploy hook revoked', data: hook });
+    } catch (error) {
+        sendError(res, error, 'Failed to revoke deploy hook');
+    }
+});
+
+/**
+ * @route GET /projects/:id/schedules
+ * @desc Recurring and one-off deployment schedules of a project with their next run
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/schedules', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const schedules = await listSchedules(project.id);
+
+        res.json({ success: true, data: schedules });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch schedules');
+    }
+});
+
+/**
+ * @route POST /projects/:id/schedules
+ * @desc Schedule deployments, recurring with `cron` (+ `timezone`) or once with `runAt`
+ * @access Private (project owner or admin)
+ */
+router.post('/:id/schedules', authenticate, async (req, res) => {
+    try {
+        const parsed = createScheduleSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid schedule', errors: parsed.error.errors });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const schedule = await createSchedule({ projectId: project.id, userId: req.user.userId, ...parsed.data });
+
+        res.status(201).json({ success: true, message: 'Schedule created', data: schedule });
+    } catch (error) {
+        sendError(res, error, 'Failed to create schedule');
+    }
+});
+
+/**
+ * @route GET /projects/:id/schedules/:scheduleId
+ * @desc One schedule of a project
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/schedules/:scheduleId', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const schedule = await getSchedule(project.id, req.params.scheduleId);
+
+        res.json({ success: true, data: schedule });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch schedule');
+    }
+});
+
+/**
+ * @route PATCH /projects/:id/schedules/:scheduleId
+ * @desc Change or pause (`enabled: false`) a schedule, applies from its next run
+ * @access Private (project owner or admin)
+ */
+router.patch('/:id/schedules/:scheduleId', authenticate, async (req, res) => {
+    try {
+        const parsed = updateScheduleSchema.safeParse(req.body || {});
+        if (!parsed.success) {
+            return res.status(400).json({ success: false, message: 'Invalid schedule', errors: parsed.error.errors });
+        }
+
+        const project = await getManageableProject(req.params.id, req.user);
+        const schedule = await updateSchedule({ projectId: project.id, scheduleId: req.params.scheduleId, changes: parsed.data });
+
+        res.json({ success: true, message: 'Schedule updated', data: schedule });
+    } catch (error) {
+        sendError(res, error, 'Failed to update schedule');
+    }
+});
+
+/**
+ * @route DELETE /projects/:id/schedules/:scheduleId
+ * @desc Delete a schedule, deployments it created are kept
+ * @access Private (project owner or admin)
+ */
+router.delete('/:id/schedules/:scheduleId', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const schedule = await deleteSchedule(project.id, req.params.scheduleId);
+
+        res.json({ success: true, message: 'Schedule deleted', data: { id: schedule.id, name: schedule.name } });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete schedule');
+    }
+});
+
+/**
+ * @route GET /projects/:id/schedules/:scheduleId/deployments
+ * @desc Deployments a schedule created, newest first
+ * @access Private (project owner or admin)
+ */
+router.get('/:id/schedules/:scheduleId/deployments', authenticate, async (req, res) => {
+    try {
+        const project = await getManageableProject(req.params.id, req.user);
+        const deployments = await listScheduleDeployments(project.id, req.params.scheduleId);
+
+        res.json({ success: true, data: deployments });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch schedule deployments');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Base class for dependency cache stores.
+ *
+ * A store only decides where the archive of a cache lives. The builder
+ * restores from and saves to that location itself (`CACHE_RESTORE_LOCATION`,
+ * `CACHE_SAVE_LOCATION`); which caches exist is tracked in the BuildCache table.
+ */
+class BuildCacheStore {
+  /**
+   * Create a new BuildCacheStore instance
+   * @param {Object} options - Store specific configuration
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Short identifier of the store, used in logs
+   * @returns {String} Store name
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Location of the archive of a cache
+   * @param {String} projectId - Project the cache belongs to
+   * @param {String} key - Cache key
+   * @returns {String} Path or URI the builder understands
+   */
+  getLocation(projectId, key) {
+    throw new Error(`${this.constructor.name} does not implement getLocation`);
+  }
+
+  /**
+   * Delete the archive of a purged cache
+   * @param {String} location - Location returned by getLocation
+   * @returns {Promise<void>}
+   */
+  async remove(location) {
+    throw new Error(`${this.constructor.name} does not implement remove`);
+  }
+}
+
+module.exports = BuildCacheStore;
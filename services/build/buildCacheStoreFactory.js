@@ -0,0 +1,43 @@
+const LocalBuildCacheStore = require('./localBuildCacheStore');
+const S3BuildCacheStore = require('./s3BuildCacheStore');
+
+const stores = {
+  local: LocalBuildCacheStore,
+  s3: S3BuildCacheStore
+};
+
+let buildCacheStore;
+
+/**
+ * Create a build cache store by name
+ * @param {String} type - 'local' or 's3'
+ * @param {Object} options - Options forwarded to the store constructor
+ * @returns {BuildCacheStore} Store instance
+ */
+const createBuildCacheStore = (type, options = {}) => {
+  const Store = stores[type];
+  if (!Store) {
+    throw new Error(`Unknown build cache store "${type}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+  return new Store(options);
+};
+
+/**
+ * Get the configured build cache store (singleton pattern).
+ * Selected with FLARENET_BUILD_CACHE_STORE, defaults to the store matching
+ * the build executor: local for local builds, S3 for ECS.
+ * @returns {BuildCacheStore} Store instance
+ */
+const getBuildCacheStore = () => {
+  if (!buildCacheStore) {
+    const defaultStore = process.env.FLARENET_BUILD_EXECUTOR === 'local' ? 'local' : 's3';
+    buildCacheStore = createBuildCacheStore(process.env.FLARENET_BUILD_CACHE_STORE || defaultStore);
+    console.log(`Build cache store initialized: ${buildCacheStore.name}`);
+  }
+  return buildCacheStore;
+};
+
+module.exports = {
+  createBuildCacheStore,
+  getBuildCacheStore
+};
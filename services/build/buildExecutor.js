@@ -0,0 +1,61 @@
+/**
+ * Base class for build executors.
+ *
+ * An executor receives a prepared build request from the deployment worker and
+ * is responsible for running the clone/build steps somewhere: an ECS task, a
+ * local container or a plain child process. The worker only talks to this
+ * interface, so the backing infrastructure can be swapped through config.
+ */
+class BuildExecutor {
+  /**
+   * Create a new BuildExecutor instance
+   * @param {Object} options - Executor specific configuration
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Short identifier of the executor, used in logs
+   * @returns {String} Executor name
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Start a build
+   * @param {Object} request - Build request
+   * @param {String} request.deploymentId - Deployment being built
+   * @param {String} request.projectId - Project the deployment belongs to
+   * @param {String} request.gitUrl - Repository to clone
+   * @param {String} request.buildCommand - Command run inside the cloned repository
+   * @param {Array<{name: String, value: String}>} request.environment - Variables passed to the build
+   * @param {Object|null} request.infrastructure - Infrastructure profile (size, network, region), executor defaults when null
+   * @returns {Promise<Object>} Started build, `{ taskId }`
+   */
+  async startBuild(request) {
+    throw new Error(`${this.constructor.name} does not implement startBuild`);
+  }
+
+  /**
+   * Get the current state of a build
+   * @param {String} taskId - Id returned by startBuild
+   * @returns {Promise<Object>} `{ status, exitCode, reason }` where status is PENDING, RUNNING or STOPPED
+   */
+  async getBuildStatus(taskId) {
+    throw new Error(`${this.constructor.name} does not implement getBuildStatus`);
+  }
+
+  /**
+   * Stop a running build
+   * @param {String} taskId - Id returned by startBuild
+   * @param {String} reason - Why the build is stopped
+   * @returns {Promise<Object>} `{ stopped }`, false when this executor had nothing to stop for the task
+   */
+  async stopBuild(taskId, reason) {
+    throw new Error(`${this.constructor.name} does not implement stopBuild`);
+  }
+}
+
+module.exports = BuildExecutor;
@@ -0,0 +1,41 @@
+const EcsBuildExecutor = require('./ecsBuildExecutor');
+const LocalBuildExecutor = require('./localBuildExecutor');
+
+const executors = {
+  ecs: EcsBuildExecutor,
+  local: LocalBuildExecutor
+};
+
+let buildExecutor;
+
+/**
+ * Create a build executor by name
+ * @param {String} type - 'ecs' or 'local'
+ * @param {Object} options - Options forwarded to the executor constructor
+ * @returns {BuildExecutor} Executor instance
+ */
+const createBuildExecutor = (type, options = {}) => {
+  const Executor = executors[type];
+  if (!Executor) {
+    throw new Error(`Unknown build executor "${type}". Expected one of: ${Object.keys(executors).join(', ')}`);
+  }
+  return new Executor(options);
+};
+
+/**
+ * Get the configured build executor (singleton pattern).
+ * Selected with FLARENET_BUILD_EXECUTOR, defaults to ECS.
+ * @returns {BuildExecutor} Executor instance
+ */
+const getBuildExecutor = () => {
+  if (!buildExecutor) {
+    buildExecutor = createBuildExecutor(process.env.FLARENET_BUILD_EXECUTOR || 'ecs');
+    console.log(`Build executor initialized: ${buildExecutor.name}`);
+  }
+  return buildExecutor;
+};
+
+module.exports = {
+  createBuildExecutor,
+  getBuildExecutor
+};
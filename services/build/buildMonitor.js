@@ -0,0 +1,91 @@
+const { setTimeout } = require('timers/promises');
+
+/**
+ * Poll a build through its executor until it stops, is cancelled or runs out
+ * of time. Hung and cancelled builds are stopped through the executor.
+ * @param {Object} params - Monitor parameters
+ * @param {BuildExecutor} params.executor - Executor that started the build
+ * @param {String} params.taskId - Id returned by executor.startBuild
+ * @param {Number} params.timeoutMs - Maximum build duration before it is stopped
+ * @param {Number} params.pollIntervalMs - Delay between status checks
+ * @param {Number} params.maxPollErrors - Consecutive status check failures tolerated (default: 3)
+ * @param {Function} params.onStatusChange - Called with the new state whenever the status changes
+ * @param {Function} params.isCancelled - Checked on every poll, resolves true when the build should be stopped
+ * @returns {Promise<Object>} Final state, `{ status, exitCode, reason, succeeded, timedOut, cancelled }`
+ */
+async function waitForBuild({
+  executor,
+  taskId,
+  timeoutMs,
+  pollIntervalMs,
+  maxPollErrors = 3,
+  onStatusChange = null,
+  isCancelled = null
+}) {
+  const startedAt = Date.now();
+  let lastStatus = null;
+  let pollErrors = 0;
+
+  while (true) {
+    let state;
+    try {
+      state = await executor.getBuildStatus(taskId);
+      pollErrors = 0;
+    } catch (error) {
+      // A failed status check says nothing about the build itself, so retry a few times
+      pollErrors++;
+      console.warn(`Build status check failed for ${taskId} (${pollErrors}/${maxPollErrors}): ${error.message}`);
+      if (pollErrors >= maxPollErrors) {
+        throw error;
+      }
+    }
+
+    if (state && state.status !== lastStatus) {
+      lastStatus = state.status;
+      if (onStatusChange) {
+        await onStatusChange(state);
+      }
+    }
+
+    if (state && state.status === 'STOPPED') {
+      return {
+        ...state,
+        succeeded: state.exitCode === 0,
+        timedOut: false,
+        cancelled: false
+      };
+    }
+
+    if (isCancelled && await isCancelled()) {
+      const reason = 'Deployment cancelled';
+      await executor.stopBuild(taskId, reason);
+      return {
+        status: 'STOPPED',
+        exitCode: null,
+        reason,
+        succeeded: false,
+        timedOut: false,
+        cancelled: true
+      };
+    }
+
+    if (Date.now() - startedAt >= timeoutMs) {
+      const reason = `Build timed out after ${Math.round(timeoutMs / 1000)}s`;
+      await executor.stopBuild(taskId, reason);
+      return {
+        status: 'STOPPED',
+        exitCode: null,
+        reason,
+        succeeded: false,
+        timedOut: true,
+        cancelled: false
+      };
+    }
+
+    await setTimeout(pollIntervalMs);
+  }
+}
+
+module.exports = {
+  waitForBuild
+};
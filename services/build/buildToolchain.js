@@ -0,0 +1,172 @@
+const { z } = require('zod');
+
+// Lockfiles by preference, the first one found decides the package manager
+const LOCKFILES = [
+  { name: 'pnpm-lock.yaml', packageManager: 'pnpm' },
+  { name: 'yarn.lock', packageManager: 'yarn' },
+  { name: 'bun.lockb', packageManager: 'bun' },
+  { name: 'package-lock.json', packageManager: 'npm' }
+];
+
+// How each package manager installs dependencies and runs a package.json script
+const PACKAGE_MANAGERS = {
+  npm: { install: 'npm install', run: 'npm run' },
+  pnpm: { install: 'pnpm install', run: 'pnpm run' },
+  yarn: { install: 'yarn install', run: 'yarn run' },
+  bun: { install: 'bun install', run: 'bun run' }
+};
+
+const DEFAULT_PACKAGE_MANAGER = 'npm';
+
+// Node version of builds that neither pin nor ask for one
+const DEFAULT_NODE_VERSION = process.env.FLARENET_DEFAULT_NODE_VERSION || '20';
+
+const packageManagerSchema = z.enum(Object.keys(PACKAGE_MANAGERS), { message: `Must be one of ${Object.keys(PACKAGE_MANAGERS).join(', ')}` });
+
+const nodeVersionSchema = z.string().trim().regex(/^\d+(\.\d+){0,2}$/, 'Must be a version like 20 or 20.11.1');
+
+/**
+ * Node version of an `.nvmrc`. Aliases like `lts/*` or `node` cannot be pinned and are ignored.
+ * @param {String} content - File content, e.g. `v20.11.1`
+ * @returns {String|null} Version like `20.11.1`
+ */
+const parseNvmrc = (content) => {
+  const [line = ''] = String(content).split(/\r?\n/);
+  const version = line.trim().replace(/^v/, '');
+  return nodeVersionSchema.safeParse(version).success ? version : null;
+};
+
+/**
+ * Node major version satisfying the `engines.node` range of a package.json:
+ * the first version named, e.g. 18 for `>=18 <21`, 20 for `^20.11.0` or `20.x`
+ * @param {String} range - semver range
+ * @returns {String|null} Major version
+ */
+const parseEnginesNode = (range) => {
+  const match = typeof range === 'string' ? range.match(/\d+/) : null;
+  return match ? match[0] : null;
+};
+
+/**
+ * Path of a file inside a directory of the repository
+ * @param {String|null} directory - Directory, the repository root when empty
+ * @param {String} file - File name
+ * @returns {String} Repository path
+ */
+const joinPath = (directory, file) => {
+  const trimmed = (directory || '').replace(/^\/+|\/+$/g, '');
+  return trimmed ? `${trimmed}/${file}` : file;
+};
+
+/**
+ * Detect the package manager and Node version a repository pins. The root
+ * directory of a monorepo app is searched first, then the repository root.
+ * Files that cannot be read count as missing, detection never fails.
+ * @param {Object} params - Detection parameters
+ * @param {GitHubService} params.githubService - GitHub client
+ * @param {String} params.owner - Repository owner
+ * @param {String} params.repo - Repository name
+ * @param {String} params.token - GitHub token
+ * @param {String|null} params.ref - Commit sha or branch, the default branch when omitted
+ * @param {String|null} params.rootDirectory - Root directory of the app
+ * @param {Object|null} params.packageJson - package.json of the root directory when already read
+ * @returns {Promise<Object>} `{ packageManager, lockfile, nodeVersion, nodeVersionSource }`, null parts when nothing is pinned
+ */
+async function detectToolchain({ githubService, owner, repo, token, ref = null, rootDirectory = null, packageJson = null }) {
+  const root = (rootDirectory || '').replace(/^\/+|\/+$/g, '');
+  const directories = root ? [root, ''] : [''];
+
+  let lockfile = null;
+  let nvmrcPath = null;
+  for (const directory of directories) {
+    const entries = await githubService.listDirectory({ owner, repo, path: directory, ref, token }).catch(() => []);
+    const files = entries.filter((entry) => entry.type === 'file');
+    if (!lockfile) {
+      const found = LOCKFILES.find(({ name }) => files.some((entry) => entry.name === name));
+      const entry = found && files.find(({ name }) => name === found.name);
+      lockfile = found ? { path: entry.path, sha: entry.sha, packageManager: found.packageManager } : null;
+    }
+    if (!nvmrcPath) {
+      nvmrcPath = files.find(({ name }) => name === '.nvmrc')?.path || null;
+    }
+  }
+
+  // An exact .nvmrc pin wins over the engines range
+  let nodeVersion = null;
+  let nodeVersionSource = null;
+  if (nvmrcPath) {
+    const content = await githubService.getTextFile({ owner, repo, path: nvmrcPath, ref, token }).catch(() => null);
+    nodeVersion = content === null ? null : parseNvmrc(content);
+    nodeVersionSource = nodeVersion ? '.nvmrc' : null;
+  }
+  if (!nodeVersion) {
+    const manifest = packageJson || await githubService.getFileContent({ owner, repo, path: joinPath(root, 'package.json'), ref, token }).catch(() => null);
+    nodeVersion = parseEnginesNode(manifest?.engines?.node);
+    nodeVersionSource = nodeVersion ? 'engines' : null;
+  }
+
+  return {
+    packageManager: lockfile?.packageManager || null,
+    lockfile,
+    nodeVersion,
+    nodeVersionSource
+  };
+}
+
+/**
+ * Package manager and Node version a build runs with, each from the first source setting it:
+ * the project's override, flarenet.json (Node version only), what the repository pins, the default
+ * @param {Object} params - Sources
+ * @param {Object} params.project - Project record
+ * @param {Object|null} params.buildConfig - Validated flarenet.json
+ * @param {Object|null} params.detected - Result of detectToolchain
+ * @returns {Object} `{ packageManager, packageManagerSource, nodeVersion, nodeVersionSource }`
+ */
+const resolveToolchain = ({ project, buildConfig = null, detected = null }) => {
+  const [packageManager, packageManagerSource] = [
+    [project.packageManager, 'project'],
+    [detected?.packageManager, 'lockfile'],
+    [DEFAULT_PACKAGE_MANAGER, 'default']
+  ].find(([value]) => value);
+
+  const [nodeVersion, nodeVersionSource] = [
+    [project.nodeVersion, 'project'],
+    [buildConfig?.nodeVersion, 'flarenet.json'],
+    [detected?.nodeVersion, detected?.nodeVersionSource],
+    [DEFAULT_NODE_VERSION, 'default']
+  ].find(([value]) => value);
+
+  return { packageManager, packageManagerSource, nodeVersion, nodeVersionSource };
+};
+
+/**
+ * Command installing the dependencies with a package manager
+ * @param {String} packageManager - npm, pnpm, yarn or bun
+ * @returns {String} Shell command
+ */
+const getInstallCommand = (packageManager = DEFAULT_PACKAGE_MANAGER) => {
+  return (PACKAGE_MANAGERS[packageManager] || PACKAGE_MANAGERS[DEFAULT_PACKAGE_MANAGER]).install;
+};
+
+/**
+ * Command running a package.json script with a package manager
+ * @param {String} packageManager - npm, pnpm, yarn or bun
+ * @param {String} script - Script name
+ * @returns {String} Shell command, e.g. `pnpm run build`
+ */
+const getRunCommand = (packageManager = DEFAULT_PACKAGE_MANAGER, script = 'build') => {
+  return `${(PACKAGE_MANAGERS[packageManager] || PACKAGE_MANAGERS[DEFAULT_PACKAGE_MANAGER]).run} ${script}`;
+};
+
+module.exports = {
+  LOCKFILES,
+  DEFAULT_NODE_VERSION,
+  packageManagerSchema,
+  nodeVersionSchema,
+  parseNvmrc,
+  parseEnginesNode,
+  detectToolchain,
+  resolveToolchain,
+  getInstallCommand,
+  getRunCommand
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+const GitHubService = require('../github/githubService');
+const { getStoredGitHubToken } = require('../../auth/githubAuth');
+const { getBuildCacheStore } = require('./buildCacheStoreFactory');
+const { LOCKFILES, DEFAULT_NODE_VERSION } = require('./buildToolchain');
+
+const githubService = new GitHubService();
+
+/**
+ * Find the lockfile of a build. Monorepo apps may carry their own lockfile,
+ * otherwise the one at the repository root is used.
+ * @param {Object} params - Lookup parameters
+ * @param {Object} params.project - Project record
+ * @param {String} params.ref - Commit sha or branch being built
+ * @param {String|null} params.rootDirectory - Root directory of the build
+ * @returns {Promise<Object|null>} `{ path, sha, packageManager }`, null without lockfile
+ */
+async function findLockfile({ project, ref = null, rootDirectory = null }) {
+  const token = await getStoredGitHubToken(project.ownerId);
+  if (!token) {
+    return null;
+  }
+
+  const { owner, repo } = githubService.parseGitHubUrl(project.gitUrl);
+  const directories = rootDirectory ? [rootDirectory, ''] : [''];
+  for (const directory of directories) {
+    const entries = await githubService.listDirectory({ owner, repo, path: directory, ref, token });
+    for (const { name, packageManager } of LOCKFILES) {
+      const entry = entries.find((candidate) => candidate.type === 'file' && candidate.name === name);
+      if (entry) {
+        return { path: entry.path, sha: entry.sha, packageManager };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Cache key of a dependency install: the same lockfile content, package manager,
+ * Node version and root directory always install the same dependencies
+ * @param {Object} params - Key parts
+ * @param {Object} params.lockfile - Lockfile found by findLockfile, its git blob sha hashes the content
+ * @param {String} params.packageManager - Package manager installing, the lockfile's when omitted
+ * @param {String} params.nodeVersion - Node version of the build
+ * @param {String|null} params.rootDirectory - Root directory of the build
+ * @returns {String} Key like `npm-node20-3f2a...`
+ */
+const getCacheKey = ({ lockfile, packageManager = lockfile.packageManager, nodeVersion, rootDirectory = null }) => {
+  const hash = crypto.createHash('sha256')
+    .update([lockfile.path, lockfile.sha, nodeVersion, rootDirectory || ''].join('\n'))
+    .digest('hex');
+  return `${packageManager}-node${nodeVersion}-${hash.slice(0, 24)}`;
+};
+
+/**
+ * Decide the dependency cache of a deployment and record its key on it.
+ * A hit restores the saved archive, a miss saves one after a successful build.
+ * Whether the cache was hit is only recorded by recordCacheOutcome once the build succeeded.
+ * @param {Object} params - Build parameters
+ * @param {Object} params.project - Project record
+ * @param {Object} params.deployment - Deployment being built
+ * @param {String|null} params.rootDirectory - Root directory of the build
+ * @param {String|null} params.packageManager - Package manager of the build (project override included), the lockfile's when null
+ * @param {String|null} params.nodeVersion - Node version asked for, the default when null
+ * @param {Object|null} params.lockfile - Lockfile already found by toolchain detection, looked up when omitted
+ * @param {BuildCacheStore} params.store - Store to locate archives in, the configured one by default
+ * @returns {Promise<Object|null>} `{ key, hit, location }`, null when the repository has no lockfile
+ */
+async function prepareDependencyCache({ project, deployment, rootDirectory = null, packageManager = null, nodeVersion = null, lockfile: knownLockfile, store = getBuildCacheStore() }) {
+  const lockfile = knownLockfile !== undefined
+    ? knownLockfile
+    : await findLockfile({ project, ref: deployment.commitSha || deployment.branch, rootDirectory });
+  if (!lockfile) {
+    return null;
+  }
+
+  // Keyed by the manager that installs, an override of the project must not restore another manager's node_modules
+  const installer = packageManager || lockfile.packageManager;
+  const key = getCacheKey({ lockfile, packageManager: installer, nodeVersion: nodeVersion || DEFAULT_NODE_VERSION, rootDirectory });
+  const existing = await prisma.buildCache.findUnique({
+    where: { projectId_key: { projectId: project.id, key } }
+  });
+
+  await prisma.deployment.update({
+    where: { id: deployment.id },
+    data: { cacheKey: key }
+  });
+
+  if (existing) {
+    return { key, hit: true, location: existing.location };
+  }
+
+  return {
+    key,
+    hit: false,
+    location: store.getLocation(project.id, key),
+    packageManager: installer,
+    nodeVersion: nodeVersion || DEFAULT_NODE_VERSION
+  };
+}
+
+/**
+ * Build variables telling the builder where to restore from or save to
+ * @param {Object|null} cache - Result of prepareDependencyCache
+ * @returns {Array<{name: String, value: String}>} Variables, empty without cache
+ */
+const getCacheEnvVars = (cache) => {
+  if (!cache) {
+    return [];
+  }
+  return [
+    { name: 'CACHE_KEY', value: cache.key },
+    { name: cache.hit ? 'CACHE_RESTORE_LOCATION' : 'CACHE_SAVE_LOCATION', value: cache.location }
+  ];
+};
+
+/**
+ * Register the archive a successful build saved after a cache miss
+ * @param {Object} params - Saved cache
+ * @param {String} params.projectId - Project id
+ * @param {String} params.deploymentId - Deployment whose build saved it
+ * @param {Object} params.cache - Result of prepareDependencyCache
+ * @returns {Promise<Object>} BuildCache record
+ */
+async function recordCacheSaved({ projectId, deploymentId, cache }) {
+  return prisma.buildCache.upsert({
+    where: { projectId_key: { projectId, key: cache.key } },
+    create: {
+      projectId,
+      key: cache.key,
+      location: cache.location,
+      packageManager: cache.packageManager,
+      nodeVersion: cache.nodeVersion,
+      savedByDeploymentId: deploymentId
+    },
+    update: { location: cache.location, savedByDeploymentId: deploymentId, lastUsedAt: new Date() }
+  });
+}
+
+/**
+ * Record what a successful build did with its cache: restored the archive
+ * (`cacheHit` true, one more hit on the cache) or saved a new one (`cacheHit` false).
+ * Failed builds are not recorded, their `cacheHit` stays null.
+ * @param {Object} params - Build outcome
+ * @param {String} params.projectId - Project id
+ * @param {String} params.deploymentId - Deployment that was built
+ * @param {Object} params.cache - Result of prepareDependencyCache
+ * @returns {Promise<void>}
+ */
+async function recordCacheOutcome({ projectId, deploymentId, cache }) {
+  if (cache.hit) {
+    await prisma.buildCache.update({
+      where: { projectId_key: { projectId, key: cache.key } },
+      data: { hits: { increment: 1 }, lastUsedAt: new Date() }
+    });
+  } else {
+    await recordCacheSaved({ projectId, deploymentId, cache });
+  }
+
+  await prisma.deployment.update({
+    where: { id: deploymentId },
+    data: { cacheHit: cache.hit }
+  });
+}
+
+/**
+ * Dependency caches of a project, most recently used first
+ * @param {String} projectId - Project id
+ * @returns {Promise<Array>} BuildCache records
+ */
+async function listCaches(projectId) {
+  return prisma.buildCache.findMany({
+    where: { projectId },
+    orderBy: { lastUsedAt: 'desc' }
+  });
+}
+
+/**
+ * Purge one or all dependency caches of a project. The next build with a
+ * purged key is a miss and installs from scratch.
+ * @param {Object} params - Purge parameters
+ * @param {String} params.projectId - Project id
+ * @param {String} params.cacheId - Cache to purge, all caches of the project when omitted
+ * @param {BuildCacheStore} params.store - Store holding the archives, the configured one by default
+ * @returns {Promise<Array>} Purged BuildCache records
+ * @throws {HttpError} 409 when no build cache store is configured
+ */
+async function purgeCaches({ projectId, cacheId = null, store = null }) {
+  if (!store) {
+    try {
+      store = getBuildCacheStore();
+    } catch (error) {
+      throw new HttpError(409, `Build caches cannot be purged, no build cache store is configured: ${error.message}`);
+    }
+  }
+
+  const caches = await prisma.buildCache.findMany({
+    where: { projectId, ...(cacheId ? { id: cacheId } : {}) }
+  });
+  if (cacheId && caches.length === 0) {
+    throw new HttpError(404, 'Build cache not found');
+  }
+
+  await prisma.buildCache.deleteMany({ where: { id: { in: caches.map(({ id }) => id) } } });
+
+  //the records are gone already, an archive that cannot be removed is only wasted space
+  await Promise.all(caches.map(({ location }) => store.remove(location).catch((error) => {
+    console.warn(`Build cache archive ${location} not removed: ${error.message}`);
+  })));
+
+  return caches;
+}
+
+module.exports = {
+  findLockfile,
+  getCacheKey,
+  prepareDependencyCache,
+  getCacheEnvVars,
+  recordCacheSaved,
+  recordCacheOutcome,
+  listCaches,
+  purgeCaches
+};
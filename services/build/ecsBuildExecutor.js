@@ -0,0 +1,185 @@
+const { RunTaskCommand, DescribeTasksCommand, StopTaskCommand } = require('@aws-sdk/client-ecs');
+const BuildExecutor = require('./buildExecutor');
+
+/**
+ * Comma separated list from an environment variable
+ * @param {String} value - e.g. `subnet-1,subnet-2`
+ * @returns {Array<String>} Entries, empty when unset
+ */
+const splitList = (value) => (value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+// Network of installs that predate FLARENET_AWS_SUBNETS and FLARENET_AWS_SECURITY_GROUPS
+const DEFAULT_SUBNETS = ['subnet-0e0c97b6f83bfc538', 'subnet-08a60214836f38b79', 'subnet-0c4be927b2f4c3790'];
+const DEFAULT_SECURITY_GROUPS = ['sg-0bf9e7e682e1bed1a'];
+
+/**
+ * Region and cluster a task runs in, read from its ARN
+ * (`arn:aws:ecs:<region>:<account>:task/<cluster>/<id>`)
+ * @param {String} taskArn - Task ARN
+ * @returns {Object} `{ region, cluster }`, null parts for ARNs of another format
+ */
+const parseTaskArn = (taskArn) => {
+  const match = String(taskArn).match(/^arn:aws[\w-]*:ecs:([^:]+):[^:]*:task\/([^/]+)\/[^/]+$/);
+  return match ? { region: match[1], cluster: match[2] } : { region: null, cluster: null };
+};
+
+/**
+ * Runs builds as Fargate tasks on ECS.
+ *
+ * Cluster, task definition, container and network come from the options or
+ * FLARENET_AWS_*; the infrastructure profile of a build overrides them, along
+ * with its CPU, memory and region.
+ */
+class EcsBuildExecutor extends BuildExecutor {
+  /**
+   * Create a new EcsBuildExecutor instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.client - ECS client (default: shared client from utils/awsClient)
+   * @param {Function} options.createClient - Creates clients for other regions (default: utils/awsClient)
+   * @param {String} options.region - Region of the default client
+   * @param {String} options.cluster - ECS cluster name
+   * @param {String} options.taskDefinition - Task definition family:revision
+   * @param {String} options.containerName - Container that receives the environment overrides
+   * @param {Array<String>} options.subnets - Subnets the task is placed in
+   * @param {Array<String>} options.securityGroups - Security groups attached to the task
+   */
+  constructor(options = {}) {
+    super(options);
+    // Required lazily so the local executor never needs AWS configuration
+    this.client = options.client || require('../../utils/awsClient').client;
+    this.createClient = options.createClient || ((region) => require('../../utils/awsClient').createEcsClient(region));
+    this.region = options.region || process.env.FLARENET_AWS_REGION || null;
+    this.cluster = options.cluster || process.env.FLARENET_AWS_CLUSTER_NAME || 'default-cluster';
+    this.taskDefinition = options.taskDefinition || process.env.FLARENET_AWS_TASK_DEFINITION || 'git_project_cloner_task:18';
+    this.containerName = options.containerName || process.env.FLARENET_AWS_CONTAINER_NAME || 'task_cloner_image';
+    this.subnets = options.subnets || (process.env.FLARENET_AWS_SUBNETS ? splitList(process.env.FLARENET_AWS_SUBNETS) : DEFAULT_SUBNETS);
+    this.securityGroups = options.securityGroups
+      || (process.env.FLARENET_AWS_SECURITY_GROUPS ? splitList(process.env.FLARENET_AWS_SECURITY_GROUPS) : DEFAULT_SECURITY_GROUPS);
+    this.regionClients = new Map();
+  }
+
+  /**
+   * ECS client of a region, the default client for the configured one
+   * @param {String|null} region - AWS region
+   * @returns {Object} ECS client
+   */
+  getClient(region) {
+    if (!region || region === this.region) {
+      return this.client;
+    }
+    if (!this.regionClients.has(region)) {
+      this.regionClients.set(region, this.createClient(region));
+    }
+    return this.regionClients.get(region);
+  }
+
+  get name() {
+    return 'ecs';
+  }
+
+  /**
+   * Start a build by running the cloner task definition
+   * @param {Object} request - Build request (see BuildExecutor#startBuild)
+   * @returns {Promise<Object>} Started build, `{ taskId }` holds the task ARN
+   */
+  async startBuild({ environment = [], infrastructure = null }) {
+    const profile = infrastructure || {};
+    const subnets = profile.subnets?.length ? profile.subnets : this.subnets;
+    const securityGroups = profile.securityGroups?.length ? profile.securityGroups : this.securityGroups;
+    if (subnets.length === 0) {
+      throw new Error('No subnets configured for build tasks, set FLARENET_AWS_SUBNETS or use an infrastructure profile with subnets');
+    }
+
+    const command = new RunTaskCommand({
+      cluster: profile.cluster || this.cluster,
+      taskDefinition: profile.taskDefinition || this.taskDefinition,
+      launchType: 'FARGATE',
+      count: 1,
+      networkConfiguration: {
+        awsvpcConfiguration: {
+          assignPublicIp: profile.assignPublicIp === false ? 'DISABLED' : 'ENABLED',
+          subnets,
+          securityGroups
+        }
+      },
+      overrides: {
+        // Task size of the profile, the task definition's own size otherwise
+        ...(profile.cpu ? { cpu: String(profile.cpu) } : {}),
+        ...(profile.memory ? { memory: String(profile.memory) } : {}),
+        containerOverrides: [
+          {
+            name: profile.containerName || this.containerName,
+            environment
+          }
+        ]
+      }
+    });
+
+    const response = await this.getClient(profile.region).send(command);
+
+    if (response.failures && response.failures.length > 0) {
+      const [failure] = response.failures;
+      throw new Error(`ECS could not start build task: ${failure.reason || 'unknown reason'}`);
+    }
+
+    return {
+      taskId: response.tasks?.[0]?.taskArn || null
+    };
+  }
+
+  /**
+   * Describe the build task and map its ECS lifecycle onto build states
+   * @param {String} taskId - Task ARN
+   * @returns {Promise<Object>} `{ status, exitCode, reason }`
+   */
+  async getBuildStatus(taskId) {
+    // Tasks of a profile may run in another region and cluster than the defaults
+    const { region, cluster } = parseTaskArn(taskId);
+    const response = await this.getClient(region).send(new DescribeTasksCommand({
+      cluster: cluster || this.cluster,
+      tasks: [taskId]
+    }));
+
+    const task = response.tasks?.[0];
+    if (!task) {
+      // ECS forgets stopped tasks after a while, treat a missing task as stopped
+      return { status: 'STOPPED', exitCode: null, reason: response.failures?.[0]?.reason || 'Task not found' };
+    }
+
+    if (task.lastStatus === 'STOPPED') {
+      // The build container is the one startBuild overrode, profiles may name another one than the default
+      const containerName = task.overrides?.containerOverrides?.[0]?.name || this.containerName;
+      const container = (task.containers || []).find((c) => c.name === containerName) || task.containers?.[0];
+      return {
+        status: 'STOPPED',
+        exitCode: container?.exitCode ?? null,
+        reason: container?.reason || task.stoppedReason || null
+      };
+    }
+
+    // PROVISIONING, PENDING and ACTIVATING all mean the build has not started yet
+    const status = ['RUNNING', 'DEACTIVATING', 'STOPPING', 'DEPROVISIONING'].includes(task.lastStatus)
+      ? 'RUNNING'
+      : 'PENDING';
+
+    return { status, exitCode: null, reason: null };
+  }
+
+  /**
+   * Stop the build task
+   * @param {String} taskId - Task ARN
+   * @param {String} reason - Stored by ECS as the stopped reason
+   * @returns {Promise<Object>} `{ stopped: true }`, ECS errors are thrown
+   */
+  async stopBuild(taskId, reason = 'Stopped by FlareNet') {
+    const { region, cluster } = parseTaskArn(taskId);
+    await this.getClient(region).send(new StopTaskCommand({
+      cluster: cluster || this.cluster,
+      task: taskId,
+      reason
+    }));
+    return { stopped: true };
+  }
+}
+
+module.exports = EcsBuildExecutor;
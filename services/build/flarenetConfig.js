@@ -0,0 +1,148 @@
+const { z } = require('zod');
+const GitHubService = require('../github/githubService');
+const { getStoredGitHubToken } = require('../../auth/githubAuth');
+const { branchRulesSchema } = require('../project/branchRules');
+const { nodeVersionSchema, getInstallCommand, getRunCommand } = require('./buildToolchain');
+
+const CONFIG_FILE = 'flarenet.json';
+
+const githubService = new GitHubService();
+
+// Paths inside the repository, never absolute or escaping it
+const relativePathSchema = z.string()
+  .trim()
+  .min(1)
+  .max(255)
+  .refine((value) => !value.startsWith('/') && !value.split(/[\\/]/).includes('..'), 'Must be a path inside the repository');
+
+// HTTP probes a build has to pass before it goes live, also a project setting
+const healthCheckSchema = z.object({
+  path: z.string().trim().startsWith('/', 'Must start with /').max(500).default('/'),
+  expectedStatus: z.number().int().min(100).max(599).default(200),
+  bodyMatch: z.string().min(1).max(1000).optional(), // text the response body has to contain
+  retries: z.number().int().min(0).max(10).default(3), // attempts after the first failed one
+  intervalSeconds: z.number().int().min(1).max(60).default(5),
+  timeoutSeconds: z.number().int().min(1).max(30).default(10)
+}).strict();
+
+const flarenetConfigSchema = z.object({
+  installCommand: z.string().trim().min(1).max(1000).optional(),
+  buildCommand: z.string().trim().min(1).max(1000).optional(),
+  outputDirectory: relativePathSchema.optional(),
+  rootDirectory: relativePathSchema.optional(),
+  nodeVersion: nodeVersionSchema.optional(),
+  env: z.array(z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, 'Must be a valid environment variable name'))
+    .max(100)
+    .optional(),
+  branchRules: branchRulesSchema.optional(),
+  healthCheck: healthCheckSchema.optional()
+}).strict();
+
+/**
+ * A flarenet.json that cannot be used. The message is meant for the user
+ * and ends up as the cause of the FAILED deployment.
+ */
+class FlarenetConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FlarenetConfigError';
+  }
+}
+
+/**
+ * Validate the content of a flarenet.json
+ * @param {*} raw - Parsed JSON
+ * @returns {Object} Validated configuration
+ */
+const parseFlarenetConfig = (raw) => {
+  const parsed = flarenetConfigSchema.safeParse(raw);
+  if (!parsed.success) {
+    const problems = parsed.error.errors
+      .map(({ path, message }) => (path.length > 0 ? `${path.join('.')}: ${message}` : message))
+      .join('; ');
+    throw new FlarenetConfigError(`${CONFIG_FILE} is invalid: ${problems}`);
+  }
+  return parsed.data;
+};
+
+/**
+ * Read and validate the flarenet.json of a project at a commit. Projects living in a
+ * subdirectory of a monorepo read the file from their root directory.
+ * The file is optional: without it, or without a GitHub token to read it, null is returned.
+ * @param {Object} params - Lookup parameters
+ * @param {Object} params.project - Project record
+ * @param {String} params.ref - Commit sha or branch, the default branch when omitted
+ * @returns {Promise<Object|null>} Validated configuration
+ */
+async function loadFlarenetConfig({ project, ref = null }) {
+  const token = await getStoredGitHubToken(project.ownerId);
+  if (!token) {
+    console.warn(`No GitHub token for the owner of project ${project.id}, ${CONFIG_FILE} is not read`);
+    return null;
+  }
+
+  const { owner, repo } = githubService.parseGitHubUrl(project.gitUrl);
+  let raw;
+  try {
+    const path = project.rootDirectory ? `${project.rootDirectory}/${CONFIG_FILE}` : CONFIG_FILE;
+    raw = await githubService.getFileContent({ owner, repo, path, ref, token });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    if (/^Invalid \S*flarenet\.json format/.test(error.message)) {
+      throw new FlarenetConfigError(error.message);
+    }
+    throw error;
+  }
+
+  return parseFlarenetConfig(raw);
+}
+
+/**
+ * Command the build runs, install and build steps of the configuration with
+ * the package manager's defaults
+ * @param {Object|null} buildConfig - Validated flarenet.json
+ * @param {String} packageManager - npm, pnpm, yarn or bun
+ * @returns {String} Shell command
+ */
+const getConfigBuildCommand = (buildConfig, packageManager = 'npm') => {
+  return [
+    buildConfig?.installCommand || getInstallCommand(packageManager),
+    buildConfig?.buildCommand || getRunCommand(packageManager, 'build')
+  ].join(' && ');
+};
+
+/**
+ * Directories of the build, the project's settings win over flarenet.json
+ * @param {Object} project - Project record
+ * @param {Object|null} buildConfig - Validated flarenet.json
+ * @returns {Object} `{ rootDirectory, outputDirectory }`, null when unset
+ */
+const getBuildDirectories = (project, buildConfig) => ({
+  rootDirectory: project.rootDirectory || buildConfig?.rootDirectory || null,
+  outputDirectory: project.outputDirectory || buildConfig?.outputDirectory || null
+});
+
+/**
+ * Variables flarenet.json declares that the build does not provide
+ * @param {Object|null} buildConfig - Validated flarenet.json
+ * @param {Array<{name: String}>} envVars - Variables passed to the build
+ * @returns {Array<String>} Missing names
+ */
+const findMissingEnvVars = (buildConfig, envVars) => {
+  const provided = new Set(envVars.map(({ name }) => name));
+  return (buildConfig?.env || []).filter((name) => !provided.has(name));
+};
+
+module.exports = {
+  CONFIG_FILE,
+  relativePathSchema,
+  healthCheckSchema,
+  FlarenetConfigError,
+  parseFlarenetConfig,
+  loadFlarenetConfig,
+  getConfigBuildCommand,
+  getBuildDirectories,
+  findMissingEnvVars
+};
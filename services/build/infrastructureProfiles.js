@@ -0,0 +1,200 @@
+const { z } = require('zod');
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+
+// Largest build task each plan may run, in ECS CPU units (1024 = 1 vCPU) and MiB
+const PLAN_LIMITS = {
+  FREE: { cpu: 1024, memory: 2048 },
+  PRO: { cpu: 4096, memory: 16384 },
+  ENTERPRISE: { cpu: 16384, memory: 122880 }
+};
+
+// CPU sizes Fargate runs tasks with
+const CPU_UNITS = [256, 512, 1024, 2048, 4096, 8192, 16384];
+
+const awsIdList = (prefix) => z.array(z.string().trim().regex(new RegExp(`^${prefix}-[0-9a-f]+$`), `Must be an id like ${prefix}-0abc123`)).max(16);
+
+const profileFields = {
+  name: z.string().trim().regex(/^[a-z0-9][a-z0-9-]{0,39}$/, 'Name must be lowercase letters, digits and dashes, e.g. heavy-builds'),
+  description: z.string().trim().max(500).nullable(),
+  cpu: z.number().int().refine((value) => CPU_UNITS.includes(value), `cpu must be one of ${CPU_UNITS.join(', ')}`),
+  memory: z.number().int().min(512).max(122880), // MiB, ECS checks it fits the cpu
+  // Unset fields fall back to the executor configuration (FLARENET_AWS_*)
+  region: z.string().trim().regex(/^[a-z]{2}(-[a-z]+)+-\d$/, 'Must be an AWS region like eu-west-1').nullable(),
+  cluster: z.string().trim().min(1).max(255).nullable(),
+  taskDefinition: z.string().trim().min(1).max(255).nullable(), // family:revision
+  containerName: z.string().trim().min(1).max(255).nullable(),
+  subnets: awsIdList('subnet'),
+  securityGroups: awsIdList('sg'),
+  assignPublicIp: z.boolean()
+};
+
+const profileSchema = z.object({
+  ...profileFields,
+  description: profileFields.description.optional(),
+  region: profileFields.region.optional(),
+  cluster: profileFields.cluster.optional(),
+  taskDefinition: profileFields.taskDefinition.optional(),
+  containerName: profileFields.containerName.optional(),
+  subnets: profileFields.subnets.default([]),
+  securityGroups: profileFields.securityGroups.default([]),
+  assignPublicIp: profileFields.assignPublicIp.default(true)
+}).strict();
+
+const profileUpdateSchema = z.object(
+  Object.fromEntries(Object.entries(profileFields).map(([key, schema]) => [key, schema.optional()]))
+).strict();
+
+/**
+ * Whether a plan may build with a profile
+ * @param {Object} profile - InfrastructureProfile record
+ * @param {String} plan - FREE, PRO or ENTERPRISE
+ * @returns {Boolean} Profile within the plan limits
+ */
+const isProfileAllowed = (profile, plan) => {
+  const limits = PLAN_LIMITS[plan] || PLAN_LIMITS.FREE;
+  return profile.cpu <= limits.cpu && profile.memory <= limits.memory;
+};
+
+/**
+ * Profiles are shared by every project, only admins manage them
+ * @param {Object} user - JWT payload of the caller ({ userId, role })
+ */
+const requireAdmin = (user) => {
+  if (user.role !== 'ADMIN') {
+    throw new HttpError(403, 'Only admins can manage infrastructure profiles');
+  }
+};
+
+/**
+ * Plan of a user
+ * @param {Number} userId - User id
+ * @returns {Promise<String>} FREE, PRO or ENTERPRISE
+ */
+async function getUserPlan(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { plan: true } });
+  return user?.plan || 'FREE';
+}
+
+/**
+ * Load a profile
+ * @param {String} profileId - Profile id
+ * @returns {Promise<Object>} InfrastructureProfile record
+ */
+async function getProfile(profileId) {
+  const profile = await prisma.infrastructureProfile.findUnique({ where: { id: profileId } });
+  if (!profile) {
+    throw new HttpError(404, 'Infrastructure profile not found');
+  }
+  return profile;
+}
+
+/**
+ * Every profile, smallest first, flagged with whether the caller's plan allows it
+ * @param {Object} user - JWT payload of the caller
+ * @returns {Promise<Array>} Profiles with `allowed`
+ */
+async function listProfiles(user) {
+  const plan = await getUserPlan(user.userId);
+  const profiles = await prisma.infrastructureProfile.findMany({
+    orderBy: [{ cpu: 'asc' }, { memory: 'asc' }, { name: 'asc' }]
+  });
+  return profiles.map((profile) => ({ ...profile, allowed: isProfileAllowed(profile, plan) }));
+}
+
+/**
+ * Create a profile
+ * @param {Object} user - JWT payload of the caller, must be an admin
+ * @param {Object} data - Profile validated with profileSchema
+ * @returns {Promise<Object>} InfrastructureProfile record
+ */
+async function createProfile(user, data) {
+  requireAdmin(user);
+  try {
+    return await prisma.infrastructureProfile.create({ data });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new HttpError(409, `An infrastructure profile named "${data.name}" already exists`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Change a profile, builds started afterwards use the new settings
+ * @param {Object} user - JWT payload of the caller, must be an admin
+ * @param {String} profileId - Profile id
+ * @param {Object} changes - Fields validated with profileUpdateSchema
+ * @returns {Promise<Object>} InfrastructureProfile record
+ */
+async function updateProfile(user, profileId, changes) {
+  requireAdmin(user);
+  const profile = await getProfile(profileId);
+  try {
+    return await prisma.infrastructureProfile.update({ where: { id: profile.id }, data: changes });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new HttpError(409, `An infrastructure profile named "${changes.name}" already exists`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a profile no project selects anymore
+ * @param {Object} user - JWT payload of the caller, must be an admin
+ * @param {String} profileId - Profile id
+ * @returns {Promise<Object>} Deleted InfrastructureProfile record
+ */
+async function deleteProfile(user, profileId) {
+  requireAdmin(user);
+  const profile = await getProfile(profileId);
+  const projects = await prisma.project.count({ where: { infrastructureProfileId: profile.id } });
+  if (projects > 0) {
+    throw new HttpError(409, `Infrastructure profile "${profile.name}" is used by ${projects} project(s)`);
+  }
+  return prisma.infrastructureProfile.delete({ where: { id: profile.id } });
+}
+
+/**
+ * Check that the owner of a project may build with a profile
+ * @param {Object} project - Project record
+ * @param {String} profileId - Profile id
+ * @returns {Promise<Object>} InfrastructureProfile record
+ */
+async function assertProfileAllowed(project, profileId) {
+  const profile = await getProfile(profileId);
+  const plan = await getUserPlan(project.ownerId);
+  if (!isProfileAllowed(profile, plan)) {
+    const limits = PLAN_LIMITS[plan] || PLAN_LIMITS.FREE;
+    throw new HttpError(403, `Infrastructure profile "${profile.name}" (${profile.cpu} CPU units, ${profile.memory} MiB) exceeds the ${plan} plan limit of ${limits.cpu} CPU units and ${limits.memory} MiB`);
+  }
+  return profile;
+}
+
+/**
+ * Profile the next build of a project runs with, checked against the owner's
+ * current plan. Null when the project selected none: the executor defaults apply.
+ * @param {Object} project - Project record
+ * @returns {Promise<Object|null>} InfrastructureProfile record
+ */
+async function resolveBuildProfile(project) {
+  if (!project.infrastructureProfileId) {
+    return null;
+  }
+  return assertProfileAllowed(project, project.infrastructureProfileId);
+}
+
+module.exports = {
+  PLAN_LIMITS,
+  profileSchema,
+  profileUpdateSchema,
+  isProfileAllowed,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  assertProfileAllowed,
+  resolveBuildProfile
+};
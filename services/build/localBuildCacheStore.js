@@ -0,0 +1,33 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BuildCacheStore = require('./buildCacheStore');
+
+/**
+ * Keeps cache archives in a directory of this machine, for the local build executor
+ */
+class LocalBuildCacheStore extends BuildCacheStore {
+  /**
+   * Create a new LocalBuildCacheStore instance
+   * @param {Object} options - Configuration options
+   * @param {String} options.directory - Directory holding the archives
+   */
+  constructor(options = {}) {
+    super(options);
+    this.directory = options.directory || process.env.FLARENET_BUILD_CACHE_DIR || path.join(os.tmpdir(), 'flarenet-build-cache');
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  getLocation(projectId, key) {
+    return path.join(this.directory, projectId, `${key}.tar.gz`);
+  }
+
+  async remove(location) {
+    await fs.promises.rm(location, { force: true });
+  }
+}
+
+module.exports = LocalBuildCacheStore;
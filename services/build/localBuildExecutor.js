@@ -0,0 +1,186 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BuildExecutor = require('./buildExecutor');
+
+// Clone and build inside the working directory; values come from the environment.
+// node_modules is restored from / saved to the dependency cache, a broken archive only costs a full install
+const PROCESS_BUILD_SCRIPT = [
+  'git clone --depth 1 ${GIT_BRANCH:+--branch "$GIT_BRANCH"} "$GIT_URI" .',
+  '{ [ -z "$GIT_COMMIT_SHA" ] || { git fetch --depth 1 origin "$GIT_COMMIT_SHA" && git checkout --quiet "$GIT_COMMIT_SHA"; }; }',
+  'cd "${ROOT_DIRECTORY:-.}"',
+  '{ [ ! -f "${CACHE_RESTORE_LOCATION:-}" ] || tar -xzf "$CACHE_RESTORE_LOCATION" || true; }',
+  'eval "$BUILD_COMMAND"',
+  '{ [ -z "${CACHE_SAVE_LOCATION:-}" ] || [ ! -d node_modules ] || { mkdir -p "$(dirname "$CACHE_SAVE_LOCATION")" && tar -czf "$CACHE_SAVE_LOCATION.tmp" node_modules && mv "$CACHE_SAVE_LOCATION.tmp" "$CACHE_SAVE_LOCATION"; } || true; }'
+].join(' && ');
+
+// Worker variables a build may see, everything else (database URL, AWS keys, SECRET_KEY) stays out
+const PROCESS_ENV_ALLOWLIST = [
+  'PATH', 'HOME', 'USER', 'SHELL', 'LANG', 'LC_ALL', 'TZ', 'TMPDIR',
+  'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'http_proxy', 'https_proxy', 'no_proxy'
+];
+
+/**
+ * Runs builds on the local machine, either as a child process or inside a
+ * local Docker container. Meant for laptops and CI where no AWS account is
+ * available.
+ */
+class LocalBuildExecutor extends BuildExecutor {
+  /**
+   * Create a new LocalBuildExecutor instance
+   * @param {Object} options - Configuration options
+   * @param {String} options.mode - 'process' (default) or 'docker'
+   * @param {String} options.image - Builder image used in docker mode
+   * @param {String} options.workDir - Directory builds are cloned into in process mode
+   */
+  constructor(options = {}) {
+    super(options);
+    this.mode = options.mode || process.env.FLARENET_LOCAL_BUILD_MODE || 'process';
+    this.image = options.image || process.env.FLARENET_LOCAL_BUILD_IMAGE || 'flarenet/task-cloner:latest';
+    this.workDir = options.workDir || process.env.FLARENET_LOCAL_BUILD_DIR || path.join(os.tmpdir(), 'flarenet-builds');
+    this.builds = new Map(); // taskId -> { child, status, exitCode, reason }
+
+    if (!['process', 'docker'].includes(this.mode)) {
+      throw new Error(`Unknown local build mode: ${this.mode}`);
+    }
+  }
+
+  get name() {
+    return `local:${this.mode}`;
+  }
+
+  /**
+   * Start a build in the background
+   * @param {Object} request - Build request (see BuildExecutor#startBuild)
+   * @returns {Promise<Object>} Started build, `{ taskId }`
+   */
+  async startBuild({ deploymentId, environment = [], infrastructure = null }) {
+    const taskId = `local-${deploymentId}`;
+    const child = this.mode === 'docker'
+      ? this.spawnContainer(taskId, environment, infrastructure)
+      : this.spawnProcess(deploymentId, environment);
+
+    const build = { child, status: 'RUNNING', exitCode: null, reason: null };
+    this.builds.set(taskId, build);
+
+    child.stdout.on('data', (chunk) => this.log(deploymentId, chunk));
+    child.stderr.on('data', (chunk) => this.log(deploymentId, chunk));
+    child.on('error', (err) => {
+      console.error(`[local build ${deploymentId}] failed to start: ${err.message}`);
+      build.status = 'STOPPED';
+      build.reason = err.message;
+    });
+    child.on('close', (code, signal) => {
+      build.exitCode = code;
+      build.status = 'STOPPED';
+      build.reason = build.reason || (signal ? `Killed by ${signal}` : null);
+      console.log(`[local build ${deploymentId}] exited with code ${code}`);
+    });
+
+    return { taskId };
+  }
+
+  /**
+   * Run the clone/build steps in a shell on this machine. The shell only gets
+   * the allowlisted worker variables plus the build variables.
+   * @param {String} deploymentId - Deployment being built
+   * @param {Array<{name: String, value: String}>} environment - Build variables
+   * @returns {ChildProcess} Spawned process
+   */
+  spawnProcess(deploymentId, environment) {
+    const cwd = path.join(this.workDir, deploymentId);
+    fs.rmSync(cwd, { recursive: true, force: true });
+    fs.mkdirSync(cwd, { recursive: true });
+
+    const env = {};
+    PROCESS_ENV_ALLOWLIST.filter((name) => process.env[name] !== undefined).forEach((name) => {
+      env[name] = process.env[name];
+    });
+    environment.forEach(({ name, value }) => {
+      env[name] = value;
+    });
+
+    // Own process group, so stopBuild reaches git, npm and whatever the build command started
+    return spawn('sh', ['-c', PROCESS_BUILD_SCRIPT], { cwd, env, detached: true });
+  }
+
+  /**
+   * Run the builder image in a local Docker container
+   * @param {String} taskId - Used as the container name
+   * @param {Array<{name: String, value: String}>} environment - Build variables
+   * @param {Object|null} infrastructure - Infrastructure profile, only its size applies locally
+   * @returns {ChildProcess} Spawned `docker run` process
+   */
+  spawnContainer(taskId, environment, infrastructure = null) {
+    const args = ['run', '--rm', '--name', taskId];
+    if (infrastructure) {
+      args.push('--cpus', String(infrastructure.cpu / 1024), '--memory', `${infrastructure.memory}m`);
+    }
+    environment.forEach(({ name, value }) => {
+      args.push('-e', `${name}=${value}`);
+      // Local cache archives are mounted at the same path so the locations stay valid inside the container
+      if (['CACHE_RESTORE_LOCATION', 'CACHE_SAVE_LOCATION'].includes(name) && path.isAbsolute(value)) {
+        const directory = path.dirname(value);
+        fs.mkdirSync(directory, { recursive: true });
+        args.push('-v', `${directory}:${directory}`);
+      }
+    });
+    args.push(this.image);
+
+    return spawn('docker', args);
+  }
+
+  /**
+   * Get the state of a build started by this executor
+   * @param {String} taskId - Id returned by startBuild
+   * @returns {Promise<Object>} `{ status, exitCode, reason }`
+   */
+  async getBuildStatus(taskId) {
+    const build = this.builds.get(taskId);
+    if (!build) {
+      return { status: 'STOPPED', exitCode: null, reason: 'Build not found' };
+    }
+    return { status: build.status, exitCode: build.exitCode, reason: build.reason };
+  }
+
+  /**
+   * Stop a running build. Only builds started by this executor instance can be
+   * stopped, it holds their processes; other callers get `stopped: false`.
+   * @param {String} taskId - Id returned by startBuild
+   * @param {String} reason - Recorded as the stop reason
+   * @returns {Promise<Object>} `{ stopped }`, true when the build was signalled
+   */
+  async stopBuild(taskId, reason = 'Stopped by FlareNet') {
+    const build = this.builds.get(taskId);
+    if (!build || build.status === 'STOPPED') {
+      return { stopped: false };
+    }
+
+    build.reason = reason;
+    if (this.mode === 'docker') {
+      // Killing the docker CLI would leave the container running
+      spawn('docker', ['stop', taskId]);
+      return { stopped: true };
+    }
+
+    try {
+      process.kill(-build.child.pid, 'SIGTERM');
+    } catch (error) {
+      // The group is gone already, its close event is on its way
+      if (error.code !== 'ESRCH') {
+        throw error;
+      }
+      return { stopped: false };
+    }
+    return { stopped: true };
+  }
+
+  log(deploymentId, chunk) {
+    chunk.toString().split('\n').filter(Boolean).forEach((line) => {
+      console.log(`[local build ${deploymentId}] ${line}`);
+    });
+  }
+}
+
+module.exports = LocalBuildExecutor;
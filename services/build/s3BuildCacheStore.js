@@ -0,0 +1,56 @@
+const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const BuildCacheStore = require('./buildCacheStore');
+
+/**
+ * Keeps cache archives in an S3 bucket, for builds running on ECS.
+ * The build task reads and writes the objects with its own task role, purged
+ * caches have their object deleted with the platform credentials.
+ */
+class S3BuildCacheStore extends BuildCacheStore {
+  /**
+   * Create a new S3BuildCacheStore instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.client - S3 client (default: shared client from utils/awsClient)
+   * @param {String} options.bucket - Bucket holding the archives
+   * @param {String} options.prefix - Key prefix inside the bucket
+   */
+  constructor(options = {}) {
+    super(options);
+    this.client = options.client || null;
+    this.bucket = options.bucket || process.env.FLARENET_BUILD_CACHE_BUCKET;
+    this.prefix = options.prefix || process.env.FLARENET_BUILD_CACHE_PREFIX || 'build-cache';
+
+    if (!this.bucket) {
+      throw new Error('FLARENET_BUILD_CACHE_BUCKET is required for the s3 build cache store');
+    }
+  }
+
+  get name() {
+    return 's3';
+  }
+
+  getLocation(projectId, key) {
+    return `s3://${this.bucket}/${this.prefix}/${projectId}/${key}.tar.gz`;
+  }
+
+  /**
+   * S3 client, required lazily so a store that only hands out locations needs no AWS configuration
+   * @returns {Object} S3 client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = require('../../utils/awsClient').s3Client;
+    }
+    return this.client;
+  }
+
+  async remove(location) {
+    const match = String(location).match(/^s3:\/\/([^/]+)\/(.+)$/);
+    if (!match) {
+      throw new Error(`Not an S3 location: ${location}`);
+    }
+    await this.getClient().send(new DeleteObjectCommand({ Bucket: match[1], Key: match[2] }));
+  }
+}
+
+module.exports = S3BuildCacheStore;
@@ -0,0 +1,117 @@
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+
+/**
+ * Point a project environment at a deployment and record the switch.
+ * Every change of the live deployment goes through here so the audit trail
+ * in DeploymentSwitch stays complete.
+ * @param {Object} params - Switch parameters
+ * @param {String} params.projectId - Project id
+ * @param {String} params.environment - PRODUCTION, STAGING or DEVELOPMENT
+ * @param {String} params.deploymentId - Deployment that becomes current
+ * @param {String} params.reason - DEPLOY, ROLLBACK or PROMOTE
+ * @param {Number} params.actorId - User who triggered the switch (null for the system)
+ * @returns {Promise<Object>} Created DeploymentSwitch record
+ */
+async function setCurrentDeployment({ projectId, environment, deploymentId, reason, actorId = null }) {
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.currentDeployment.findUnique({
+      where: { projectId_environment: { projectId, environment } }
+    });
+
+    await tx.currentDeployment.upsert({
+      where: { projectId_environment: { projectId, environment } },
+      create: { projectId, environment, deploymentId },
+      update: { deploymentId }
+    });
+
+    return tx.deploymentSwitch.create({
+      data: {
+        projectId,
+        environment,
+        fromDeploymentId: existing ? existing.deploymentId : null,
+        toDeploymentId: deploymentId,
+        reason,
+        actorId
+      }
+    });
+  });
+}
+
+/**
+ * Get the deployment currently serving a project environment
+ * @param {String} projectId - Project id
+ * @param {String} environment - Environment name
+ * @returns {Promise<Object|null>} Deployment or null when nothing was deployed yet
+ */
+async function getCurrentDeployment(projectId, environment) {
+  const current = await prisma.currentDeployment.findUnique({
+    where: { projectId_environment: { projectId, environment } },
+    include: { deployment: true }
+  });
+  return current ? current.deployment : null;
+}
+
+/**
+ * Roll a project environment back to a previous successful deployment
+ * without rebuilding it. Previews build with DEVELOPMENT but never serve it,
+ * so they are no rollback targets.
+ * @param {Object} params - Rollback parameters
+ * @param {String} params.projectId - Project id
+ * @param {String} params.environment - Environment to roll back
+ * @param {String} params.deploymentId - Target deployment, defaults to the one before the current
+ * @param {Number} params.actorId - User requesting the rollback
+ * @returns {Promise<Object>} `{ deployment, switch }`
+ */
+async function rollbackDeployment({ projectId, environment, deploymentId = null, actorId }) {
+  const current = await getCurrentDeployment(projectId, environment);
+
+  let target;
+  if (deploymentId) {
+    target = await prisma.deployment.findUnique({ where: { id: deploymentId } });
+    if (!target || target.projectId !== projectId || target.isPreview) {
+      throw new HttpError(404, 'Deployment not found for this project');
+    }
+    if (target.environment !== environment) {
+      throw new HttpError(400, `Deployment belongs to ${target.environment}, not ${environment}`);
+    }
+    if (target.status !== 'ACTIVE') {
+      throw new HttpError(409, `Only successful deployments can be rolled back to, this one is ${target.status}`);
+    }
+  } else {
+    // Most recent successful deployment older than the current one
+    target = await prisma.deployment.findFirst({
+      where: {
+        projectId,
+        environment,
+        isPreview: false,
+        status: 'ACTIVE',
+        ...(current ? { id: { not: current.id }, createdAt: { lt: current.createdAt } } : {})
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+    if (!target) {
+      throw new HttpError(404, 'No previous successful deployment to roll back to');
+    }
+  }
+
+  if (current && current.id === target.id) {
+    throw new HttpError(409, 'Deployment is already current');
+  }
+
+  const switchRecord = await setCurrentDeployment({
+    projectId,
+    environment,
+    deploymentId: target.id,
+    reason: 'ROLLBACK',
+    actorId
+  });
+
+  return { deployment: target, switch: switchRecord };
+}
+
+module.exports = {
+  setCurrentDeployment,
+  getCurrentDeployment,
+  rollbackDeployment
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../../utils/redisClient');
+const { HttpError } = require('../../utils/httpError');
+
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.FLARENET_IDEMPOTENCY_TTL_SECONDS || '86400', 10);
+
+/**
+ * Fingerprint of a request body, a key reused with another body is refused
+ * @param {Object} body - Validated request body
+ * @returns {String} sha256 hex digest
+ */
+const getRequestFingerprint = (body) => {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+};
+
+/**
+ * Idempotency keys of /deploy stored in Redis. The first request with a key
+ * claims it, once it answered its response is stored so retries of the same
+ * request get that response back instead of creating another deployment.
+ */
+class DeployIdempotency {
+  /**
+   * Create a new DeployIdempotency instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.redis - Redis client (default: shared client)
+   * @param {Number} options.ttlSeconds - How long responses are replayed
+   * @param {Number} options.pendingTtlSeconds - Expiry of a claim whose request never answered
+   * @param {String} options.keyPrefix - Key prefix (default: 'deployidem:')
+   * @param {Number} options.completeAttempts - Attempts to store a response (default: 3)
+   * @param {Number} options.retryDelayMs - Wait before the second attempt, grows per attempt (default: 200)
+   */
+  constructor(options = {}) {
+    this.redis = options.redis || getRedisClient();
+    this.ttlSeconds = options.ttlSeconds || IDEMPOTENCY_TTL_SECONDS;
+    this.pendingTtlSeconds = options.pendingTtlSeconds || 5 * 60;
+    this.keyPrefix = options.keyPrefix || 'deployidem:';
+    this.completeAttempts = options.completeAttempts || 3;
+    this.retryDelayMs = options.retryDelayMs ?? 200;
+  }
+
+  getKey(scope, key) {
+    return `${this.keyPrefix}${scope}:${key}`;
+  }
+
+  /**
+   * Claim a key for a request
+   * @param {String} scope - Project the key belongs to
+   * @param {String} key - Idempotency-Key header
+   * @param {String} fingerprint - Fingerprint of the request body
+   * @returns {Promise<Object|null>} null when claimed, the stored `{ statusCode, body }` to replay otherwise
+   * @throws {HttpError} 409 while the first request is running, 422 for another body
+   */
+  async begin(scope, key, fingerprint) {
+    const redisKey = this.getKey(scope, key);
+    const claim = JSON.stringify({ state: 'PENDING', fingerprint });
+    const result = await this.redis.set(redisKey, claim, 'EX', this.pendingTtlSeconds, 'NX');
+    if (result === 'OK') {
+      return null;
+    }
+
+    const stored = JSON.parse(await this.redis.get(redisKey) || 'null');
+    if (!stored) {
+      // Expired between both calls, claim it again
+      return this.begin(scope, key, fingerprint);
+    }
+    if (stored.fingerprint !== fingerprint) {
+      throw new HttpError(422, 'Idempotency-Key was already used with a different request');
+    }
+    if (stored.state === 'PENDING') {
+      throw new HttpError(409, 'A request with this Idempotency-Key is still being processed');
+    }
+    return { statusCode: stored.statusCode, body: stored.body };
+  }
+
+  /**
+   * Store the response of the request holding a key. Retried a few times: once
+   * a deployment was created its key must not be given up, a retry of the
+   * request would create a second one.
+   * @param {String} scope - Project the key belongs to
+   * @param {String} key - Idempotency-Key header
+   * @param {String} fingerprint - Fingerprint of the request body
+   * @param {Object} response - `{ statusCode, body }` sent to the client
+   * @returns {Promise<void>}
+   * @throws {Error} When Redis refused every attempt
+   */
+  async complete(scope, key, fingerprint, { statusCode, body }) {
+    const stored = JSON.stringify({ state: 'COMPLETED', fingerprint, statusCode, body });
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.redis.set(this.getKey(scope, key), stored, 'EX', this.ttlSeconds);
+        return;
+      } catch (error) {
+        if (attempt >= this.completeAttempts) {
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs * attempt));
+      }
+    }
+  }
+
+  /**
+   * Give a key up after a server error so the client can retry with it
+   * @param {String} scope - Project the key belongs to
+   * @param {String} key - Idempotency-Key header
+   * @returns {Promise<void>}
+   */
+  async release(scope, key) {
+    await this.redis.del(this.getKey(scope, key));
+  }
+}
+
+module.exports = {
+  DeployIdempotency,
+  getRequestFingerprint
+};
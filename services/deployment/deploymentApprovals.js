@@ -0,0 +1,298 @@
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+const buildQueue = require('../../queues/buildQueue');
+const { getManageableDeployment } = require('../project/projectAccess');
+const { setCurrentDeployment } = require('./currentDeployment');
+const { stopDeployment } = require('./deploymentCancellation');
+const { transitionDeployment } = require('./deploymentStateMachine');
+
+// Only PRODUCTION is gated, the other environments are there to try things
+const GATED_ENVIRONMENT = 'PRODUCTION';
+
+/**
+ * Check whether a deployment needs approvals before it may go live
+ * @param {Object} project - Project record
+ * @param {Object} deployment - Deployment (or `{ environment, isPreview }` of one about to be created)
+ * @returns {Boolean} Approval required
+ */
+const requiresApproval = (project, deployment) => {
+  return deployment.environment === GATED_ENVIRONMENT
+    && !deployment.isPreview
+    && project.requiredApprovals > 0;
+};
+
+/**
+ * Hold a deployment until enough project admins approved it
+ * @param {Object} deployment - INACTIVE deployment
+ * @param {Object} project - Project the deployment belongs to
+ * @returns {Promise<Object>} Deployment in AWAITING_APPROVAL with its `approvalExpiresAt`
+ */
+async function requestApproval(deployment, project) {
+  const expiresAt = new Date(Date.now() + project.approvalExpiryHours * 60 * 60 * 1000);
+  return transitionDeployment({
+    deploymentId: deployment.id,
+    to: 'AWAITING_APPROVAL',
+    cause: `Waiting for ${project.requiredApprovals} approval(s) until ${expiresAt.toISOString()}`,
+    data: { approvalExpiresAt: expiresAt }
+  });
+}
+
+/**
+ * Number of approvals a deployment collected so far
+ * @param {String} deploymentId - Deployment id
+ * @returns {Promise<Number>} Approvals
+ */
+const countApprovals = (deploymentId) => {
+  return prisma.deploymentApproval.count({ where: { deploymentId, decision: 'APPROVED' } });
+};
+
+/**
+ * Cancel a deployment whose approval request ran out.
+ * Approved deployments have no expiry any more and are left alone.
+ * @param {Object} deployment - Deployment record
+ * @returns {Promise<Boolean>} True when the deployment was expired
+ */
+async function expireIfStale(deployment) {
+  if (deployment.status !== 'AWAITING_APPROVAL' || !deployment.approvalExpiresAt) {
+    return false;
+  }
+  if (new Date(deployment.approvalExpiresAt).getTime() > Date.now()) {
+    return false;
+  }
+
+  await stopDeployment(deployment, { reason: 'Approval request expired' });
+  return true;
+}
+
+/**
+ * Decide whether the worker may build a deployment.
+ * Gated deployments are moved to AWAITING_APPROVAL the first time the worker sees them
+ * and are released by approveDeployment or expired once `approvalExpiresAt` passed.
+ * A released deployment found short of approvals is cancelled instead of waiting on no expiry.
+ * @param {Object} deployment - Deployment picked up by the worker
+ * @returns {Promise<Object>} `{ state: 'OPEN' }`, `{ state: 'WAITING', until }` or `{ state: 'CLOSED' }`
+ */
+async function checkApprovalGate(deployment) {
+  const project = await prisma.project.findUnique({ where: { id: deployment.projectId } });
+
+  if (deployment.status === 'AWAITING_APPROVAL') {
+    if (await countApprovals(deployment.id) >= project.requiredApprovals) {
+      return { state: 'OPEN' };
+    }
+    if (await expireIfStale(deployment)) {
+      return { state: 'CLOSED' };
+    }
+    if (!deployment.approvalExpiresAt) {
+      // Released, yet short of approvals now (the requirement was raised since). Nothing would wake
+      // it up again and waiting until epoch 0 only spins the worker, so give up on it
+      await stopDeployment(deployment, { reason: 'Released with fewer approvals than required' });
+      return { state: 'CLOSED' };
+    }
+    return { state: 'WAITING', until: new Date(deployment.approvalExpiresAt) };
+  }
+
+  if (deployment.status === 'INACTIVE' && requiresApproval(project, deployment)) {
+    const waiting = await requestApproval(deployment, project);
+    return { state: 'WAITING', until: waiting.approvalExpiresAt };
+  }
+
+  return { state: 'OPEN' };
+}
+
+/**
+ * Let an approved deployment go live. Promotions become ACTIVE right away,
+ * builds are woken up in buildQueue instead of waiting for their next check.
+ *
+ * Two final approvals may arrive at the same time. The release is claimed by
+ * clearing `approvalExpiresAt` with a conditional update, only the approval
+ * winning that claim releases the deployment, the other one gets it as is.
+ * @param {Object} deployment - Approved deployment
+ * @param {Number} actorId - User giving the final approval
+ * @returns {Promise<Object>} Updated deployment
+ */
+async function releaseDeployment(deployment, actorId) {
+  // No expiry once approved, a build waiting for the deployment lock must not expire
+  const { count } = await prisma.deployment.updateMany({
+    where: { id: deployment.id, status: 'AWAITING_APPROVAL', approvalExpiresAt: { not: null } },
+    data: { approvalExpiresAt: null }
+  });
+  if (count === 0) {
+    return prisma.deployment.findUnique({ where: { id: deployment.id } });
+  }
+
+  if (deployment.promotedFromId) {
+    const promoted = await transitionDeployment({
+      deploymentId: deployment.id,
+      to: 'ACTIVE',
+      cause: 'Promotion approved',
+      actorId
+    });
+    await setCurrentDeployment({
+      projectId: deployment.projectId,
+      environment: deployment.environment,
+      deploymentId: deployment.id,
+      reason: 'PROMOTE',
+      actorId
+    });
+    return promoted;
+  }
+
+  const job = await buildQueue.getJob(deployment.id);
+  if (job && await job.getState() === 'delayed') {
+    try {
+      await job.promote();
+    } catch (error) {
+      // Picked up in the meantime, the worker sees the approvals itself
+      console.warn(`Could not wake build job ${job.id}: ${error.message}`);
+    }
+  }
+  return prisma.deployment.findUnique({ where: { id: deployment.id } });
+}
+
+/**
+ * Load a deployment waiting for approval on behalf of a project admin
+ * @param {String} deploymentId - Deployment id
+ * @param {Object} user - JWT payload of the caller ({ userId, role })
+ * @returns {Promise<Object>} Deployment including its project
+ */
+async function getPendingDeployment(deploymentId, user) {
+  const deployment = await getManageableDeployment(deploymentId, user);
+  if (deployment.status !== 'AWAITING_APPROVAL') {
+    throw new HttpError(409, `Deployment is ${deployment.status} and not waiting for approval`);
+  }
+  if (await expireIfStale(deployment)) {
+    throw new HttpError(409, 'Approval request expired');
+  }
+  return deployment;
+}
+
+/**
+ * Store a user's decision, every admin decides once per deployment
+ * @param {Object} params - Decision parameters
+ * @returns {Promise<Object>} Created DeploymentApproval
+ */
+async function recordDecision({ deploymentId, userId, decision, comment }) {
+  try {
+    return await prisma.deploymentApproval.create({
+      data: { deploymentId, userId, decision, comment }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new HttpError(409, 'You already decided on this deployment');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Approve a deployment waiting for approval. The approval that reaches the
+ * project's `requiredApprovals` releases the deployment.
+ * @param {Object} params - Approval parameters
+ * @param {String} params.deploymentId - Deployment to approve
+ * @param {Object} params.user - JWT payload of the caller ({ userId, role })
+ * @param {String} params.comment - Optional note stored with the approval
+ * @returns {Promise<Object>} `{ deployment, approval, approvals, requiredApprovals, released }`
+ */
+async function approveDeployment({ deploymentId, user, comment = null }) {
+  const deployment = await getPendingDeployment(deploymentId, user);
+  const approval = await recordDecision({
+    deploymentId: deployment.id,
+    userId: user.userId,
+    decision: 'APPROVED',
+    comment
+  });
+
+  const approvals = await countApprovals(deployment.id);
+  const { requiredApprovals } = deployment.project;
+  const released = approvals >= requiredApprovals;
+
+  const { project, ...updated } = released
+    ? { ...deployment, ...(await releaseDeployment(deployment, user.userId)) }
+    : deployment;
+
+  return { deployment: updated, approval, approvals, requiredApprovals, released };
+}
+
+/**
+ * Reject a deployment waiting for approval, a single rejection cancels it
+ * @param {Object} params - Rejection parameters
+ * @param {String} params.deploymentId - Deployment to reject
+ * @param {Object} params.user - JWT payload of the caller ({ userId, role })
+ * @param {String} params.comment - Optional reason stored with the rejection
+ * @returns {Promise<Object>} `{ deployment, approval }`
+ */
+async function rejectDeployment({ deploymentId, user, comment = null }) {
+  const deployment = await getPendingDeployment(deploymentId, user);
+  const approval = await recordDecision({
+    deploymentId: deployment.id,
+    userId: user.userId,
+    decision: 'REJECTED',
+    comment
+  });
+
+  const { deployment: cancelled } = await stopDeployment(deployment, {
+    cancelledById: user.userId,
+    reason: `Rejected by user ${user.userId}${comment ? `: ${comment}` : ''}`
+  });
+
+  return { deployment: cancelled, approval };
+}
+
+/**
+ * Approval state and decisions of a deployment, oldest decision first
+ * @param {String} deploymentId - Deployment id
+ * @param {Object} user - JWT payload of the caller ({ userId, role })
+ * @returns {Promise<Object>} Approval summary
+ */
+async function getApprovals(deploymentId, user) {
+  const deployment = await getManageableDeployment(deploymentId, user);
+  await expireIfStale(deployment);
+
+  const [current, decisions] = await Promise.all([
+    prisma.deployment.findUnique({ where: { id: deployment.id } }),
+    prisma.deploymentApproval.findMany({
+      where: { deploymentId: deployment.id },
+      include: { user: { select: { id: true, name: true, email: true } } },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  return {
+    deploymentId: current.id,
+    status: current.status,
+    requiredApprovals: deployment.project.requiredApprovals,
+    approvalExpiresAt: current.approvalExpiresAt,
+    decisions
+  };
+}
+
+/**
+ * Deployments of a project waiting for approval, stale requests are expired first
+ * @param {String} projectId - Project id
+ * @returns {Promise<Array>} Waiting deployments, oldest first
+ */
+async function listPendingApprovals(projectId) {
+  const waiting = await prisma.deployment.findMany({
+    where: { projectId, status: 'AWAITING_APPROVAL' },
+    include: { approvals: { orderBy: { createdAt: 'asc' } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const pending = [];
+  for (const deployment of waiting) {
+    if (!(await expireIfStale(deployment))) {
+      pending.push(deployment);
+    }
+  }
+  return pending;
+}
+
+module.exports = {
+  requiresApproval,
+  requestApproval,
+  checkApprovalGate,
+  approveDeployment,
+  rejectDeployment,
+  getApprovals,
+  listPendingApprovals
+};
@@ -0,0 +1,96 @@
+const { HttpError } = require('../../utils/httpError');
+const buildQueue = require('../../queues/buildQueue');
+const { getBuildExecutor } = require('../build/buildExecutorFactory');
+const { getManageableDeployment } = require('../project/projectAccess');
+const { transitionDeployment } = require('./deploymentStateMachine');
+
+// Statuses of a deployment that is queued, waiting for approval, building or being verified
+const CANCELLABLE_STATUSES = ['INACTIVE', 'AWAITING_APPROVAL', 'PENDING', 'BUILDING', 'VERIFYING'];
+
+// Queue states in which a job has not been picked up by the worker yet
+const REMOVABLE_JOB_STATES = ['waiting', 'delayed', 'prioritized', 'waiting-children'];
+
+/**
+ * Mark a deployment CANCELLED and stop whatever is running for it.
+ *
+ * The status is written first so the worker notices it on its next check,
+ * then the queued job is removed or the running build stopped. `buildStopped`
+ * is only true when the build was actually signalled from here; otherwise the
+ * worker following the build stops it once it sees the CANCELLED status.
+ * @param {Object} deployment - Deployment record in a cancellable status
+ * @param {Object} options - Cancellation details
+ * @param {Number} options.cancelledById - User cancelling, null when the system does
+ * @param {String} options.reason - Why the deployment was cancelled
+ * @returns {Promise<Object>} Cancelled deployment and what was stopped
+ */
+async function stopDeployment(deployment, { cancelledById = null, reason = null } = {}) {
+  const cancelled = await transitionDeployment({
+    deploymentId: deployment.id,
+    to: 'CANCELLED',
+    cause: reason || 'Deployment cancelled',
+    actorId: cancelledById,
+    data: {
+      cancelledAt: new Date(),
+      cancelledById,
+      cancelReason: reason
+    }
+  });
+
+  let jobRemoved = false;
+  const job = await buildQueue.getJob(deployment.id);
+  if (job) {
+    const state = await job.getState();
+    if (REMOVABLE_JOB_STATES.includes(state)) {
+      try {
+        await job.remove();
+        jobRemoved = true;
+      } catch (error) {
+        // The worker picked the job up in the meantime, it will see the CANCELLED status
+        console.warn(`Could not remove build job ${job.id}: ${error.message}`);
+      }
+    }
+  }
+
+  let buildStopped = false;
+  if (deployment.taskArn) {
+    try {
+      // Local builds belong to the worker's executor, this one cannot reach them and says so.
+      // The worker polls the CANCELLED status while following a build and stops it then
+      ({ stopped: buildStopped } = await getBuildExecutor().stopBuild(deployment.taskArn, reason || 'Deployment cancelled'));
+    } catch (error) {
+      // The worker stops the build itself once it sees the CANCELLED status
+      console.warn(`Could not stop build task ${deployment.taskArn}: ${error.message}`);
+    }
+  }
+
+  return {
+    deployment: cancelled,
+    jobRemoved,
+    buildStopped
+  };
+}
+
+/**
+ * Cancel a queued or running deployment on behalf of a user
+ * @param {Object} params - Cancellation parameters
+ * @param {String} params.deploymentId - Deployment to cancel
+ * @param {Object} params.user - JWT payload of the caller ({ userId, role })
+ * @returns {Promise<Object>} Cancelled deployment and what was stopped
+ */
+async function cancelDeployment({ deploymentId, user }) {
+  const deployment = await getManageableDeployment(deploymentId, user);
+  if (!CANCELLABLE_STATUSES.includes(deployment.status)) {
+    throw new HttpError(409, `Deployment is ${deployment.status} and can no longer be cancelled`);
+  }
+
+  return stopDeployment(deployment, {
+    cancelledById: user.userId,
+    reason: `Cancelled by user ${user.userId}`
+  });
+}
+
+module.exports = {
+  cancelDeployment,
+  stopDeployment,
+  CANCELLABLE_STATUSES
+};
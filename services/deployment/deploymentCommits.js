@@ -0,0 +1,142 @@
+const GitHubService = require('../github/githubService');
+const { HttpError } = require('../../utils/httpError');
+const { getStoredGitHubToken } = require('../../auth/githubAuth');
+const { getManageableDeployment } = require('../project/projectAccess');
+
+const githubService = new GitHubService();
+
+/**
+ * Commit fields of a push webhook payload
+ * @param {Object} body - GitHub push event body
+ * @returns {Object} `{ commitSha, commitMessage, commitAuthor }`
+ */
+const commitFromPushEvent = ({ head_commit: headCommit, after }) => ({
+  commitSha: headCommit?.id || after || null,
+  commitMessage: headCommit?.message || null,
+  commitAuthor: headCommit?.author?.username || headCommit?.author?.name || null
+});
+
+/**
+ * Commit fields of a pull_request webhook payload.
+ * The payload only names the head sha, message and author are looked up with the owner's token.
+ * @param {Object} project - Project the pull request targets
+ * @param {Object} pullRequest - `pull_request` object of the event
+ * @returns {Promise<Object>} `{ commitSha, commitMessage, commitAuthor }`
+ */
+async function commitFromPullRequest(project, pullRequest) {
+  const fallback = {
+    commitSha: pullRequest.head.sha,
+    commitMessage: null,
+    commitAuthor: pullRequest.user?.login || null
+  };
+  return (await lookupCommit(project, pullRequest.head.sha, pullRequest.head.repo?.html_url)) || fallback;
+}
+
+/**
+ * Look up a commit on GitHub with the project owner's token
+ * @param {Object} project - Project record
+ * @param {String} ref - Branch, tag or sha, the default branch when omitted
+ * @param {String} repositoryUrl - Repository to look in, the project's when omitted
+ * @returns {Promise<Object|null>} `{ commitSha, commitMessage, commitAuthor }`, null when unavailable
+ */
+async function lookupCommit(project, ref, repositoryUrl = project.gitUrl) {
+  try {
+    const token = await getStoredGitHubToken(project.ownerId);
+    if (!token) {
+      return null;
+    }
+
+    const { owner, repo } = githubService.parseGitHubUrl(repositoryUrl);
+    const commit = await githubService.getCommit({ owner, repo, ref, token });
+    return {
+      commitSha: commit.sha,
+      commitMessage: commit.message,
+      commitAuthor: commit.author
+    };
+  } catch (error) {
+    // Commit details are informative only, a deployment never fails on them
+    console.warn(`Could not look up commit ${ref || 'HEAD'} of project ${project.id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Commit details of a manual deployment. Fields sent by the caller win,
+ * anything missing is filled in from GitHub when the owner connected it.
+ * @param {Object} params - Commit parameters
+ * @param {Object} params.project - Project being deployed
+ * @param {String} params.branch - Branch being deployed, the default branch when omitted
+ * @param {String} params.commitSha - Commit sha sent by the caller
+ * @param {String} params.commitMessage - Commit message sent by the caller
+ * @param {String} params.commitAuthor - Commit author sent by the caller
+ * @returns {Promise<Object>} `{ commitSha, commitMessage, commitAuthor }`
+ */
+async function resolveDeployCommit({ project, branch, commitSha = null, commitMessage = null, commitAuthor = null }) {
+  const provided = { commitSha, commitMessage, commitAuthor };
+  if (commitSha && commitMessage && commitAuthor) {
+    return provided;
+  }
+
+  const found = await lookupCommit(project, commitSha || branch);
+  if (!found) {
+    return provided;
+  }
+
+  return {
+    commitSha: commitSha || found.commitSha,
+    commitMessage: commitMessage || found.commitMessage,
+    commitAuthor: commitAuthor || found.commitAuthor
+  };
+}
+
+/**
+ * List the commits between two deployments of the same project
+ * @param {Object} params - Comparison parameters
+ * @param {String} params.baseId - Older deployment
+ * @param {String} params.headId - Newer deployment
+ * @param {Object} params.user - JWT payload of the caller ({ userId, role })
+ * @returns {Promise<Object>} Both deployments and the GitHub comparison
+ */
+async function compareDeployments({ baseId, headId, user }) {
+  const base = await getManageableDeployment(baseId, user);
+  const head = await getManageableDeployment(headId, user);
+
+  if (base.projectId !== head.projectId) {
+    throw new HttpError(400, 'Deployments belong to different projects');
+  }
+  const withoutCommit = [base, head].filter((deployment) => !deployment.commitSha);
+  if (withoutCommit.length > 0) {
+    throw new HttpError(409, `No commit recorded for deployment ${withoutCommit.map(({ id }) => id).join(', ')}`);
+  }
+
+  // The caller's own token first, the owner's lets admins compare any project
+  const token = (await getStoredGitHubToken(user.userId)) || (await getStoredGitHubToken(base.project.ownerId));
+  if (!token) {
+    throw new HttpError(400, 'Connect a GitHub account to compare deployments');
+  }
+
+  const { owner, repo } = githubService.parseGitHubUrl(base.project.gitUrl);
+  const comparison = await githubService.compareCommits({
+    owner,
+    repo,
+    base: base.commitSha,
+    head: head.commitSha,
+    token
+  });
+
+  const summarize = ({ id, status, environment, branch, commitSha, commitMessage, commitAuthor, createdAt }) =>
+    ({ id, status, environment, branch, commitSha, commitMessage, commitAuthor, createdAt });
+
+  return {
+    ...comparison,
+    base: summarize(base),
+    head: summarize(head)
+  };
+}
+
+module.exports = {
+  commitFromPushEvent,
+  commitFromPullRequest,
+  resolveDeployCommit,
+  compareDeployments
+};
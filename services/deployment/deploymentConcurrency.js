@@ -0,0 +1,89 @@
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+const { stopDeployment, CANCELLABLE_STATUSES } = require('./deploymentCancellation');
+const { InvalidTransitionError } = require('./deploymentStateMachine');
+
+/**
+ * Deployments of a project environment that are queued or building, previews excluded
+ * @param {String} projectId - Project id
+ * @param {String} environment - Environment name
+ * @returns {Promise<Array>} In-flight deployments, oldest first
+ */
+async function findInFlightDeployments(projectId, environment) {
+  return prisma.deployment.findMany({
+    where: {
+      projectId,
+      environment,
+      isPreview: false, // previews are superseded per pull request or branch instead
+      status: { in: CANCELLABLE_STATUSES }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Apply the project's concurrency policy once a new deployment is committed.
+ * The policy is checked with checkConcurrencyPolicy before the deployment is
+ * created, so a refused or failed creation never cancels anything.
+ *
+ * - QUEUE: nothing to do here, the worker's deployment lock makes the new
+ *   build wait until the running one finished
+ * - CANCEL_PREVIOUS: cancel every older in-flight deployment of the environment
+ * - REJECT: nothing to do here, checkConcurrencyPolicy refused the deployment already
+ * @param {Object} params - Policy parameters
+ * @param {Object} params.project - Project record
+ * @param {Object} params.deployment - The new deployment, never cancelled itself
+ * @returns {Promise<Object>} `{ policy, cancelled }` with the ids of cancelled deployments
+ */
+async function applyConcurrencyPolicy({ project, deployment }) {
+  const policy = project.concurrencyPolicy || 'QUEUE';
+  if (policy !== 'CANCEL_PREVIOUS') {
+    return { policy, cancelled: [] };
+  }
+
+  // Deployments created after this one supersede it in turn, they are left alone
+  const inFlight = (await findInFlightDeployments(project.id, deployment.environment))
+    .filter(({ id, createdAt }) => id !== deployment.id && !(createdAt > deployment.createdAt));
+
+  const cancelled = [];
+  for (const previous of inFlight) {
+    try {
+      await stopDeployment(previous, { reason: 'Superseded by a newer deployment' });
+      cancelled.push(previous.id);
+    } catch (error) {
+      // Finished between the lookup and the cancellation, nothing to supersede
+      if (!(error instanceof InvalidTransitionError)) {
+        throw error;
+      }
+    }
+  }
+  return { policy, cancelled };
+}
+
+/**
+ * What the project's concurrency policy would do to a new deployment, without
+ * doing it. Checked before the deployment is created.
+ * @param {Object} params - Policy parameters
+ * @param {Object} params.project - Project record
+ * @param {String} params.environment - Environment the new deployment targets
+ * @returns {Promise<Object>} `{ policy, wouldCancel }` with the ids CANCEL_PREVIOUS would cancel
+ * @throws {HttpError} 409 under REJECT while another deployment is in flight
+ */
+async function checkConcurrencyPolicy({ project, environment }) {
+  const policy = project.concurrencyPolicy || 'QUEUE';
+  if (policy === 'QUEUE') {
+    return { policy, wouldCancel: [] };
+  }
+
+  const inFlight = await findInFlightDeployments(project.id, environment);
+  if (policy === 'REJECT' && inFlight.length > 0) {
+    throw new HttpError(409, `Deployment ${inFlight[0].id} is already in progress for ${environment}`);
+  }
+  return { policy, wouldCancel: inFlight.map(({ id }) => id) };
+}
+
+module.exports = {
+  findInFlightDeployments,
+  applyConcurrencyPolicy,
+  checkConcurrencyPolicy
+};
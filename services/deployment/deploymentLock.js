@@ -0,0 +1,79 @@
+const { getRedisClient } = require('../../utils/redisClient');
+
+// Delete the key only when it still belongs to the caller
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+else
+  return 0
+end`;
+
+/**
+ * Redis lock allowing one build per project environment at a time.
+ * The lock value is the deployment id holding it, and the TTL releases locks
+ * of workers that died mid-build.
+ */
+class DeploymentLock {
+  /**
+   * Create a new DeploymentLock instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.redis - Redis client (default: shared client)
+   * @param {Number} options.ttlMs - Lock expiry in milliseconds
+   * @param {String} options.keyPrefix - Key prefix (default: 'deploylock:')
+   */
+  constructor(options = {}) {
+    this.redis = options.redis || getRedisClient();
+    this.ttlMs = options.ttlMs || 35 * 60 * 1000; // longer than the default build timeout
+    this.keyPrefix = options.keyPrefix || 'deploylock:';
+  }
+
+  getKey(projectId, environment) {
+    return `${this.keyPrefix}${projectId}:${environment}`;
+  }
+
+  /**
+   * Try to take the lock for a deployment. Taking a lock the deployment
+   * already holds refreshes its expiry, so retried jobs keep their lock.
+   * @param {String} projectId - Project id
+   * @param {String} environment - Environment name
+   * @param {String} deploymentId - Deployment that wants to build
+   * @returns {Promise<Boolean>} True when the deployment holds the lock
+   */
+  async acquire(projectId, environment, deploymentId) {
+    const key = this.getKey(projectId, environment);
+    const result = await this.redis.set(key, deploymentId, 'PX', this.ttlMs, 'NX');
+    if (result === 'OK') {
+      return true;
+    }
+
+    if (await this.redis.get(key) === deploymentId) {
+      await this.redis.pexpire(key, this.ttlMs);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Release the lock if the deployment still holds it
+   * @param {String} projectId - Project id
+   * @param {String} environment - Environment name
+   * @param {String} deploymentId - Deployment releasing the lock
+   * @returns {Promise<Boolean>} True when the lock was released
+   */
+  async release(projectId, environment, deploymentId) {
+    const released = await this.redis.eval(RELEASE_SCRIPT, 1, this.getKey(projectId, environment), deploymentId);
+    return released === 1;
+  }
+
+  /**
+   * Deployment currently holding the lock
+   * @param {String} projectId - Project id
+   * @param {String} environment - Environment name
+   * @returns {Promise<String|null>} Deployment id or null
+   */
+  async getHolder(projectId, environment) {
+    return this.redis.get(this.getKey(projectId, environment));
+  }
+}
+
+module.exports = DeploymentLock;
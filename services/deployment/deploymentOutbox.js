@@ -0,0 +1,150 @@
+const { prisma } = require('../../utils/prismaClient');
+const { encrypt, decrypt } = require('../../utils/encryption');
+const buildQueue = require('../../queues/buildQueue');
+
+// Queues outbox messages can be published to, by name
+const QUEUES = { buildQueue };
+
+// Messages published per relay pass
+const BATCH_SIZE = 50;
+
+// How long a relay owns a message it is publishing before another one may pick it up
+const CLAIM_MS = 30 * 1000;
+
+// How long a publish waits for the queue. buildQueue retries commands for as long
+// as Redis is down, an unbounded add would hang the request or relay pass publishing
+const PUBLISH_TIMEOUT_MS = parseInt(process.env.FLARENET_OUTBOX_PUBLISH_TIMEOUT_MS || '5000', 10);
+
+// First wait after a failed publish, doubled per attempt up to the maximum
+const RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Settle with a promise, or reject once it took longer than allowed
+ * @param {Promise} promise - Pending operation, left running on timeout
+ * @param {Number} timeoutMs - Time allowed
+ * @returns {Promise} Result of the operation
+ */
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Queue did not answer within ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Write a job to the outbox. Called with the transaction client of the rows
+ * the job belongs to, so the job exists exactly when they do. Job data may
+ * carry variables sent with a deploy request, it is stored encrypted with
+ * SECRET_KEY like project variables.
+ * @param {Object} client - Prisma transaction client
+ * @param {Object} job - Job to publish
+ * @param {String} job.queue - Queue name (default: buildQueue)
+ * @param {String} job.name - Job name
+ * @param {Object} job.data - Job data
+ * @param {String} job.jobId - BullMQ job id, publishing twice never queues the job twice
+ * @param {String} job.deploymentId - Deployment the job belongs to, if any
+ * @returns {Promise<Object>} Created OutboxMessage
+ */
+async function addOutboxJob(client, { queue = 'buildQueue', name, data, jobId, deploymentId = null }) {
+  return client.outboxMessage.create({
+    data: { queue, jobName: name, jobId, payload: encrypt(JSON.stringify(data)), deploymentId }
+  });
+}
+
+/**
+ * Publish an outbox message to its queue and mark it published.
+ *
+ * The message is claimed first so concurrent relays do not publish it both.
+ * A relay dying between publishing and marking leaves the message pending,
+ * publishing it again is harmless since BullMQ ignores a job id it already holds.
+ * The same goes for a publish that timed out but reaches Redis later on.
+ * @param {Object} message - Pending OutboxMessage
+ * @param {Object} options - Publish options
+ * @param {Object} options.queues - Queues by name (default: the application queues)
+ * @param {Number} options.timeoutMs - Time the queue has to accept the job
+ * @returns {Promise<Boolean>} True when published by this call, false when another relay has it
+ * @throws {Error} When the queue refused the job or did not answer in time, the message is retried later
+ */
+async function publishOutboxMessage(message, { queues = QUEUES, timeoutMs = PUBLISH_TIMEOUT_MS } = {}) {
+  const now = new Date();
+  const { count } = await prisma.outboxMessage.updateMany({
+    where: { id: message.id, status: 'PENDING', availableAt: { lte: now } },
+    data: { availableAt: new Date(now.getTime() + CLAIM_MS) }
+  });
+  if (count === 0) {
+    return false;
+  }
+
+  try {
+    const queue = queues[message.queue];
+    if (!queue) {
+      throw new Error(`Unknown queue ${message.queue}`);
+    }
+    await withTimeout(queue.add(message.jobName, JSON.parse(decrypt(message.payload)), { jobId: message.jobId }), timeoutMs);
+  } catch (error) {
+    const delay = Math.min(RETRY_DELAY_MS * 2 ** message.attempts, MAX_RETRY_DELAY_MS);
+    await prisma.outboxMessage.update({
+      where: { id: message.id },
+      data: { attempts: { increment: 1 }, lastError: error.message, availableAt: new Date(Date.now() + delay) }
+    });
+    throw error;
+  }
+
+  await prisma.outboxMessage.update({
+    where: { id: message.id },
+    data: { status: 'PUBLISHED', publishedAt: new Date(), attempts: { increment: 1 }, lastError: null }
+  });
+  return true;
+}
+
+/**
+ * Publish the pending outbox messages that are due, oldest first
+ * @param {Object} options - Relay options
+ * @param {Number} options.batchSize - Messages per pass
+ * @param {Object} options.queues - Queues by name (default: the application queues)
+ * @param {Number} options.timeoutMs - Time the queue has to accept each job
+ * @returns {Promise<Object>} `{ published, failed }` counts
+ */
+async function relayOutbox({ batchSize = BATCH_SIZE, queues = QUEUES, timeoutMs = PUBLISH_TIMEOUT_MS } = {}) {
+  const due = await prisma.outboxMessage.findMany({
+    where: { status: 'PENDING', availableAt: { lte: new Date() } },
+    orderBy: { createdAt: 'asc' },
+    take: batchSize
+  });
+
+  let published = 0;
+  let failed = 0;
+  for (const message of due) {
+    try {
+      if (await publishOutboxMessage(message, { queues, timeoutMs })) {
+        published++;
+      }
+    } catch (error) {
+      failed++;
+      console.warn(`Outbox message ${message.id} (${message.jobName} ${message.jobId}) not published: ${error.message}`);
+    }
+  }
+  return { published, failed };
+}
+
+/**
+ * Delete published messages, pending ones are kept until they are published
+ * @param {Object} options - Purge options
+ * @param {Number} options.retentionMs - Age of published messages to delete
+ * @returns {Promise<Number>} Deleted messages
+ */
+async function purgeOutbox({ retentionMs }) {
+  const { count } = await prisma.outboxMessage.deleteMany({
+    where: { status: 'PUBLISHED', publishedAt: { lt: new Date(Date.now() - retentionMs) } }
+  });
+  return count;
+}
+
+module.exports = {
+  addOutboxJob,
+  publishOutboxMessage,
+  relayOutbox,
+  purgeOutbox
+};
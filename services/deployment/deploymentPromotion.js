@@ -0,0 +1,83 @@
+const { HttpError } = require('../../utils/httpError');
+const { getManageableDeployment } = require('../project/projectAccess');
+const { setCurrentDeployment } = require('./currentDeployment');
+const { applyConcurrencyPolicy, checkConcurrencyPolicy } = require('./deploymentConcurrency');
+const { recordDeploymentCreated } = require('./deploymentStateMachine');
+const { requiresApproval, requestApproval } = require('./deploymentApprovals');
+const { createDeploymentWithSlug } = require('../domains/hostnames');
+
+const SOURCE_ENVIRONMENT = 'STAGING';
+const TARGET_ENVIRONMENT = 'PRODUCTION';
+
+/**
+ * Promote a successful STAGING deployment to PRODUCTION without rebuilding.
+ *
+ * The new PRODUCTION deployment serves the build output of the source
+ * (`artifactDeploymentId`) and keeps a link to it (`promotedFromId`), so the
+ * lineage of what runs in production can always be traced back to its build.
+ * Projects requiring approvals get the deployment in AWAITING_APPROVAL instead,
+ * it goes live once approved.
+ * @param {Object} params - Promotion parameters
+ * @param {String} params.deploymentId - STAGING deployment to promote
+ * @param {Object} params.user - JWT payload of the caller ({ userId, role })
+ * @returns {Promise<Object>} `{ deployment, source, switch, cancelled }`, switch is null while awaiting approval
+ */
+async function promoteDeployment({ deploymentId, user }) {
+  const source = await getManageableDeployment(deploymentId, user);
+
+  if (source.isPreview || source.environment !== SOURCE_ENVIRONMENT) {
+    throw new HttpError(400, `Only ${SOURCE_ENVIRONMENT} deployments can be promoted to ${TARGET_ENVIRONMENT}`);
+  }
+  if (source.status !== 'ACTIVE') {
+    throw new HttpError(409, `Only successful deployments can be promoted, this one is ${source.status}`);
+  }
+
+  // A PRODUCTION build still in flight would replace the promoted deployment once it finished
+  await checkConcurrencyPolicy({ project: source.project, environment: TARGET_ENVIRONMENT });
+
+  const gated = requiresApproval(source.project, { environment: TARGET_ENVIRONMENT });
+  let deployment = await createDeploymentWithSlug({
+    data: {
+      projectId: source.projectId,
+      environment: TARGET_ENVIRONMENT,
+      status: gated ? 'INACTIVE' : 'ACTIVE',
+      version: source.version,
+      branch: source.branch,
+      commitSha: source.commitSha,
+      commitMessage: source.commitMessage,
+      commitAuthor: source.commitAuthor,
+      exitCode: source.exitCode,
+      promotedFromId: source.id,
+      // Promoting a promotion still points at the deployment that was actually built
+      artifactDeploymentId: source.artifactDeploymentId || source.id
+    }
+  }, async (tx, created) => {
+    await recordDeploymentCreated(created, {
+      cause: `Promoted from ${SOURCE_ENVIRONMENT} deployment ${source.id}`,
+      actorId: user.userId
+    }, tx);
+  });
+
+  // Cancelled only once the promoted deployment exists
+  const { cancelled } = await applyConcurrencyPolicy({ project: source.project, deployment });
+
+  const { project, ...sourceDeployment } = source;
+  if (gated) {
+    deployment = await requestApproval(deployment, project);
+    return { deployment, source: sourceDeployment, switch: null, cancelled };
+  }
+
+  const switchRecord = await setCurrentDeployment({
+    projectId: source.projectId,
+    environment: TARGET_ENVIRONMENT,
+    deploymentId: deployment.id,
+    reason: 'PROMOTE',
+    actorId: user.userId
+  });
+
+  return { deployment, source: sourceDeployment, switch: switchRecord, cancelled };
+}
+
+module.exports = {
+  promoteDeployment
+};
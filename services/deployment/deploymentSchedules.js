@@ -0,0 +1,326 @@
+const { z } = require('zod');
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+const buildQueue = require('../../queues/buildQueue');
+const { triggerDeployment } = require('./deploymentTrigger');
+
+// Name of the buildQueue jobs schedules fire, the worker creates a deployment from them
+const SCHEDULED_DEPLOY_JOB = 'scheduledDeploy';
+
+/**
+ * Check a timezone name against the IANA database of the runtime
+ * @param {String} timezone - e.g. `Europe/Berlin`
+ * @returns {Boolean} Known timezone
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Five fields (minute to weekday) or six with seconds first, checked for real by BullMQ
+const cronSchema = z.string()
+  .trim()
+  .regex(/^(\S+\s+){4,5}\S+$/, 'Cron expression needs 5 or 6 fields, e.g. "0 3 * * *"')
+  .regex(/^[\d*/,\-?LW#A-Za-z\s]+$/, 'Cron expression has invalid characters');
+
+const timezoneSchema = z.string().trim().refine(isValidTimezone, 'Unknown timezone');
+
+// One-off runs are absolute instants, the offset makes the timezone explicit
+const runAtSchema = z.string()
+  .datetime({ offset: true, message: 'runAt must be an ISO date with offset, e.g. 2026-11-01T09:00:00+01:00' })
+  .transform((value) => new Date(value))
+  .refine((date) => date.getTime() > Date.now(), 'runAt must be in the future');
+
+const scheduleFields = {
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  branch: z.string().trim().min(1).max(255).nullable(),
+  environment: z.enum(['PRODUCTION', 'STAGING', 'DEVELOPMENT'], { message: 'Invalid environment' }),
+  timezone: timezoneSchema
+};
+
+const createScheduleSchema = z.object({
+  ...scheduleFields,
+  branch: scheduleFields.branch.optional(),
+  timezone: timezoneSchema.default('UTC'),
+  cron: cronSchema.optional(),
+  runAt: runAtSchema.optional()
+}).strict().refine((data) => Boolean(data.cron) !== Boolean(data.runAt), {
+  message: 'Set either cron (recurring) or runAt (one-off)',
+  path: ['cron']
+});
+
+const updateScheduleSchema = z.object({
+  ...Object.fromEntries(Object.entries(scheduleFields).map(([key, schema]) => [key, schema.optional()])),
+  cron: cronSchema.optional(),
+  runAt: runAtSchema.optional(),
+  enabled: z.boolean().optional()
+}).strict();
+
+/**
+ * Id of the buildQueue job scheduler (cron) or delayed job (one-off) of a schedule
+ * @param {String} scheduleId - Schedule id
+ * @returns {String} Job id, BullMQ ids cannot contain `:`
+ */
+const getScheduleJobId = (scheduleId) => `schedule-${scheduleId}`;
+
+/**
+ * Remove the queued job of a schedule, whatever its type
+ * @param {Object} schedule - DeploymentSchedule record
+ * @returns {Promise<void>}
+ */
+async function unscheduleJob(schedule) {
+  const jobId = getScheduleJobId(schedule.id);
+  if (schedule.type === 'CRON') {
+    await buildQueue.removeJobScheduler(jobId);
+    return;
+  }
+  const job = await buildQueue.getJob(jobId);
+  if (job) {
+    await job.remove();
+  }
+}
+
+/**
+ * Queue the job of an enabled schedule: a job scheduler for cron schedules,
+ * a delayed job for one-off runs that have not happened yet
+ * @param {Object} schedule - DeploymentSchedule record
+ * @returns {Promise<void>}
+ */
+async function scheduleJob(schedule) {
+  const jobId = getScheduleJobId(schedule.id);
+  const template = { name: SCHEDULED_DEPLOY_JOB, data: { scheduleId: schedule.id } };
+
+  if (schedule.type === 'CRON') {
+    try {
+      await buildQueue.upsertJobScheduler(jobId, { pattern: schedule.cronExpression, tz: schedule.timezone }, template);
+    } catch (error) {
+      throw new HttpError(400, `Invalid cron expression "${schedule.cronExpression}": ${error.message}`);
+    }
+    return;
+  }
+
+  if (!schedule.lastRunAt) {
+    await buildQueue.add(template.name, template.data, {
+      jobId,
+      delay: Math.max(0, schedule.runAt.getTime() - Date.now()),
+      removeOnComplete: true
+    });
+  }
+}
+
+/**
+ * Schedule as returned by the API, with the time it fires next
+ * @param {Object} schedule - DeploymentSchedule record
+ * @returns {Promise<Object>} Schedule view
+ */
+async function toScheduleView(schedule) {
+  let nextRunAt = null;
+  if (schedule.enabled && schedule.type === 'CRON') {
+    const scheduler = await buildQueue.getJobScheduler(getScheduleJobId(schedule.id));
+    nextRunAt = scheduler?.next ? new Date(scheduler.next) : null;
+  } else if (schedule.enabled && !schedule.lastRunAt) {
+    nextRunAt = schedule.runAt;
+  }
+  return { ...schedule, nextRunAt };
+}
+
+/**
+ * Load a schedule of a project
+ * @param {String} projectId - Project id
+ * @param {String} scheduleId - Schedule id
+ * @returns {Promise<Object>} DeploymentSchedule record
+ */
+async function getProjectSchedule(projectId, scheduleId) {
+  const schedule = await prisma.deploymentSchedule.findUnique({ where: { id: scheduleId } });
+  if (!schedule || schedule.projectId !== projectId) {
+    throw new HttpError(404, 'Schedule not found');
+  }
+  return schedule;
+}
+
+/**
+ * Schedules of a project, oldest first
+ * @param {String} projectId - Project id
+ * @returns {Promise<Array>} Schedule views
+ */
+async function listSchedules(projectId) {
+  const schedules = await prisma.deploymentSchedule.findMany({
+    where: { projectId },
+    orderBy: { createdAt: 'asc' }
+  });
+  return Promise.all(schedules.map(toScheduleView));
+}
+
+/**
+ * One schedule of a project
+ * @param {String} projectId - Project id
+ * @param {String} scheduleId - Schedule id
+ * @returns {Promise<Object>} Schedule view
+ */
+async function getSchedule(projectId, scheduleId) {
+  return toScheduleView(await getProjectSchedule(projectId, scheduleId));
+}
+
+/**
+ * Create a recurring (cron) or one-off (runAt) schedule
+ * @param {Object} params - Schedule settings, validated with createScheduleSchema
+ * @param {String} params.projectId - Project id
+ * @param {Number} params.userId - Creator
+ * @returns {Promise<Object>} Schedule view
+ */
+async function createSchedule({ projectId, userId, name, branch = null, environment, timezone, cron, runAt }) {
+  const schedule = await prisma.deploymentSchedule.create({
+    data: {
+      projectId,
+      name,
+      type: cron ? 'CRON' : 'ONCE',
+      cronExpression: cron || null,
+      runAt: runAt || null,
+      timezone,
+      branch,
+      environment,
+      createdById: userId
+    }
+  });
+
+  try {
+    await scheduleJob(schedule);
+  } catch (error) {
+    await prisma.deploymentSchedule.delete({ where: { id: schedule.id } });
+    throw error;
+  }
+  return toScheduleView(schedule);
+}
+
+/**
+ * Change a schedule; its queued job is replaced so the change applies to the next run
+ * @param {Object} params - Update parameters
+ * @param {String} params.projectId - Project id
+ * @param {String} params.scheduleId - Schedule id
+ * @param {Object} params.changes - Fields validated with updateScheduleSchema
+ * @returns {Promise<Object>} Schedule view
+ */
+async function updateSchedule({ projectId, scheduleId, changes }) {
+  const schedule = await getProjectSchedule(projectId, scheduleId);
+  const { cron, runAt, ...fields } = changes;
+
+  if (cron && schedule.type !== 'CRON') {
+    throw new HttpError(400, 'cron can only be changed on recurring schedules');
+  }
+  if (runAt && schedule.type !== 'ONCE') {
+    throw new HttpError(400, 'runAt can only be changed on one-off schedules');
+  }
+
+  // A one-off schedule that already ran or whose time passed needs a new time to run again
+  const enabled = fields.enabled ?? schedule.enabled;
+  if (schedule.type === 'ONCE' && enabled && !runAt && (schedule.lastRunAt || schedule.runAt <= new Date())) {
+    throw new HttpError(400, 'This one-off schedule is past, set a new runAt to enable it again');
+  }
+
+  const data = {
+    ...fields,
+    ...(cron ? { cronExpression: cron } : {}),
+    // A new time makes a one-off schedule due again
+    ...(runAt ? { runAt, lastRunAt: null } : {})
+  };
+
+  await unscheduleJob(schedule);
+  const updated = await prisma.deploymentSchedule.update({ where: { id: schedule.id }, data });
+  if (updated.enabled) {
+    try {
+      await scheduleJob(updated);
+    } catch (error) {
+      // Keep the previous settings running rather than none, every changed field goes back
+      const previous = Object.fromEntries(Object.keys(data).map((field) => [field, schedule[field]]));
+      await prisma.deploymentSchedule.update({ where: { id: schedule.id }, data: previous });
+      if (schedule.enabled) await scheduleJob(schedule);
+      throw error;
+    }
+  }
+  return toScheduleView(updated);
+}
+
+/**
+ * Delete a schedule, the deployments it created keep existing
+ * @param {String} projectId - Project id
+ * @param {String} scheduleId - Schedule id
+ * @returns {Promise<Object>} Deleted DeploymentSchedule record
+ */
+async function deleteSchedule(projectId, scheduleId) {
+  const schedule = await getProjectSchedule(projectId, scheduleId);
+  await unscheduleJob(schedule);
+  return prisma.deploymentSchedule.delete({ where: { id: schedule.id } });
+}
+
+/**
+ * Deployments a schedule created, newest first
+ * @param {String} projectId - Project id
+ * @param {String} scheduleId - Schedule id
+ * @returns {Promise<Array>} Deployments
+ */
+async function listScheduleDeployments(projectId, scheduleId) {
+  const schedule = await getProjectSchedule(projectId, scheduleId);
+  return prisma.deployment.findMany({
+    where: { scheduleId: schedule.id },
+    orderBy: { createdAt: 'desc' },
+    take: 100
+  });
+}
+
+/**
+ * Fire a schedule: called by the worker for scheduledDeploy jobs. The deployment
+ * is queued like any other; a run that cannot deploy (e.g. REJECT policy while a
+ * build is running) is recorded on the schedule instead of failing the job.
+ * @param {String} scheduleId - Schedule id
+ * @returns {Promise<Object|null>} Created deployment, null when nothing was deployed
+ */
+async function runSchedule(scheduleId) {
+  const schedule = await prisma.deploymentSchedule.findUnique({
+    where: { id: scheduleId },
+    include: { project: true }
+  });
+  if (!schedule || !schedule.enabled) {
+    console.log(`Schedule ${scheduleId} is gone or disabled, nothing deployed`);
+    return null;
+  }
+
+  const ranAt = new Date();
+  try {
+    const { deployment } = await triggerDeployment({
+      project: schedule.project,
+      environment: schedule.environment,
+      branch: schedule.branch,
+      scheduleId: schedule.id,
+      cause: `Schedule "${schedule.name}"`
+    });
+    await prisma.deploymentSchedule.update({
+      where: { id: schedule.id },
+      data: { lastRunAt: ranAt, lastRunError: null, ...(schedule.type === 'ONCE' ? { enabled: false } : {}) }
+    });
+    return deployment;
+  } catch (error) {
+    console.error(`Schedule ${schedule.id} did not deploy: ${error.message}`);
+    await prisma.deploymentSchedule.update({
+      where: { id: schedule.id },
+      data: { lastRunAt: ranAt, lastRunError: error.message, ...(schedule.type === 'ONCE' ? { enabled: false } : {}) }
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  SCHEDULED_DEPLOY_JOB,
+  createScheduleSchema,
+  updateScheduleSchema,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listScheduleDeployments,
+  runSchedule
+};
@@ -0,0 +1,148 @@
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+
+/**
+ * Allowed deployment status transitions.
+ *
+ * INACTIVE           queued, waiting for the worker
+ * AWAITING_APPROVAL  PRODUCTION deployment held until enough project admins approved it
+ * PENDING            validated, build task requested
+ * BUILDING           build task running
+ * VERIFYING          built, health checks probing the deployment URL
+ * ACTIVE             built (and healthy) or promoted (INACTIVE again once retired)
+ * FAILED             validation, build or health checks failed (PENDING again when retried)
+ * CANCELLED          stopped by a user, superseded, rejected or expired, final
+ */
+const TRANSITIONS = {
+  INACTIVE: ['AWAITING_APPROVAL', 'PENDING', 'FAILED', 'CANCELLED'],
+  // ACTIVE directly for approved promotions, which have nothing to build
+  AWAITING_APPROVAL: ['PENDING', 'ACTIVE', 'FAILED', 'CANCELLED'],
+  PENDING: ['BUILDING', 'FAILED', 'CANCELLED'],
+  BUILDING: ['VERIFYING', 'ACTIVE', 'FAILED', 'CANCELLED'],
+  VERIFYING: ['ACTIVE', 'FAILED', 'CANCELLED'],
+  ACTIVE: ['INACTIVE'],
+  FAILED: ['PENDING'],
+  CANCELLED: []
+};
+
+class InvalidTransitionError extends HttpError {
+  constructor(from, to) {
+    super(409, `Deployment cannot move from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Check whether a deployment may move between two statuses
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @returns {Boolean} Transition allowed
+ */
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Move a deployment to a new status and record the transition.
+ * The status is compare-and-set inside a transaction, so two writers racing
+ * on the same deployment cannot both apply their transition.
+ * @param {Object} params - Transition parameters
+ * @param {String} params.deploymentId - Deployment to move
+ * @param {String} params.to - Target status
+ * @param {String} params.cause - Human readable reason stored with the event
+ * @param {Number} params.actorId - User causing the transition, null for the system
+ * @param {Object} params.data - Additional deployment fields written with the status
+ * @returns {Promise<Object>} Updated deployment
+ */
+async function transitionDeployment({ deploymentId, to, cause, actorId = null, data = {} }) {
+  return prisma.$transaction(async (tx) => {
+    const deployment = await tx.deployment.findUnique({ where: { id: deploymentId } });
+    if (!deployment) {
+      throw new HttpError(404, 'Deployment not found');
+    }
+
+    const from = deployment.status;
+    if (from === to) {
+      // Nothing changes, only persist the extra fields
+      return Object.keys(data).length > 0
+        ? tx.deployment.update({ where: { id: deploymentId }, data })
+        : deployment;
+    }
+
+    if (!canTransition(from, to)) {
+      throw new InvalidTransitionError(from, to);
+    }
+
+    const { count } = await tx.deployment.updateMany({
+      where: { id: deploymentId, status: from },
+      data: { ...data, status: to }
+    });
+    if (count === 0) {
+      // Someone else moved the deployment since it was read
+      const latest = await tx.deployment.findUnique({ where: { id: deploymentId }, select: { status: true } });
+      throw new InvalidTransitionError(latest ? latest.status : from, to);
+    }
+
+    await tx.deploymentEvent.create({
+      data: {
+        deploymentId,
+        fromStatus: from,
+        toStatus: to,
+        cause,
+        actorId
+      }
+    });
+
+    return tx.deployment.findUnique({ where: { id: deploymentId } });
+  });
+}
+
+/**
+ * Like transitionDeployment, but an invalid transition is logged and ignored.
+ * Meant for signals that may arrive late, such as build log classification.
+ * @param {Object} params - See transitionDeployment
+ * @returns {Promise<Object|null>} Updated deployment, null when the transition was refused
+ */
+async function tryTransitionDeployment(params) {
+  try {
+    return await transitionDeployment(params);
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      console.warn(`Ignoring transition of deployment ${params.deploymentId}: ${error.message}`);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record the creation of a deployment as its first event
+ * @param {Object} deployment - Newly created deployment
+ * @param {Object} options - Event details
+ * @param {String} options.cause - Where the deployment came from
+ * @param {Number} options.actorId - User creating it, null for the system
+ * @param {Object} client - Prisma client, a transaction client to record it with the deployment
+ * @returns {Promise<Object>} Created DeploymentEvent
+ */
+async function recordDeploymentCreated(deployment, { cause, actorId = null }, client = prisma) {
+  return client.deploymentEvent.create({
+    data: {
+      deploymentId: deployment.id,
+      fromStatus: null,
+      toStatus: deployment.status,
+      cause,
+      actorId
+    }
+  });
+}
+
+module.exports = {
+  TRANSITIONS,
+  InvalidTransitionError,
+  canTransition,
+  transitionDeployment,
+  tryTransitionDeployment,
+  recordDeploymentCreated
+};
@@ -0,0 +1,248 @@
+const GitHubService = require('../github/githubService');
+const { HttpError } = require('../../utils/httpError');
+const { getStoredGitHubToken } = require('../../auth/githubAuth');
+const { applyConcurrencyPolicy, checkConcurrencyPolicy } = require('./deploymentConcurrency');
+const { recordDeploymentCreated } = require('./deploymentStateMachine');
+const { resolveDeployCommit } = require('./deploymentCommits');
+const { requiresApproval } = require('./deploymentApprovals');
+const { createDeploymentWithSlug } = require('../domains/hostnames');
+const { addOutboxJob, publishOutboxMessage } = require('./deploymentOutbox');
+const { FlarenetConfigError, loadFlarenetConfig, getConfigBuildCommand, getBuildDirectories, findMissingEnvVars } = require('../build/flarenetConfig');
+const { resolveBuildProfile } = require('../build/infrastructureProfiles');
+const { detectToolchain, resolveToolchain } = require('../build/buildToolchain');
+const { getBuildEnvVars, normalizeEnvVars, mergeEnvVars } = require('../project/projectEnvVars');
+
+const DEFAULT_VERSION = 'v1.0.0';
+
+const githubService = new GitHubService();
+
+/**
+ * Data of the buildQueue job building a deployment
+ * @param {Object} params - Job parameters
+ * @param {String|null} params.deploymentId - Deployment the job builds
+ * @param {Object} params.project - Project record
+ * @param {String} params.environment - Environment name
+ * @param {String} params.version - Version label
+ * @param {String} params.gitUrl - Repository to build, the project's when omitted (forks differ)
+ * @param {String} params.buildCommand - Build command sent with the request
+ * @param {Array<{name: String, value: String}>} params.envVars - Variables of this build only
+ * @returns {Object} Job data
+ */
+const createJobData = ({ deploymentId, project, environment, version, gitUrl = null, buildCommand, envVars = [] }) => ({
+  deploymentId,
+  projectId: project.id,
+  environment,
+  gitUrl: gitUrl || project.gitUrl,
+  version,
+  buildCommand: buildCommand && buildCommand.trim() !== '' ? buildCommand : undefined,
+  envVars
+});
+
+/**
+ * Create an INACTIVE deployment and its first status event together with its
+ * buildQueue job in the outbox, in one transaction, then publish the job right
+ * away. When that fails the outbox relay publishes it once Redis is reachable
+ * again. The deployment id is the job id so the job can be found again for
+ * cancellation and approvals.
+ * @param {Object} params - Deployment parameters
+ * @param {Object} params.project - Project record
+ * @param {Object} params.data - Deployment fields besides the project
+ * @param {String} params.cause - Recorded on the creation event
+ * @param {Number} params.actorId - User the deployment was created by, if any
+ * @param {Object} params.job - `{ gitUrl, buildCommand, envVars }` of the build job
+ * @returns {Promise<Object>} Created deployment
+ */
+async function createQueuedDeployment({ project, data, cause, actorId = null, job = {} }) {
+  let outboxMessage;
+  const deployment = await createDeploymentWithSlug({
+    data: { ...data, projectId: project.id, status: 'INACTIVE' }
+  }, async (tx, created) => {
+    await recordDeploymentCreated(created, { cause, actorId }, tx);
+    outboxMessage = await addOutboxJob(tx, {
+      name: 'deploy',
+      data: createJobData({ ...job, deploymentId: created.id, project, environment: created.environment, version: created.version }),
+      jobId: created.id,
+      deploymentId: created.id
+    });
+  });
+
+  try {
+    await publishOutboxMessage(outboxMessage);
+  } catch (error) {
+    console.warn(`Build job of deployment ${deployment.id} left to the outbox relay: ${error.message}`);
+  }
+  return deployment;
+}
+
+/**
+ * Create a deployment and queue its build, the way `/deploy` does.
+ *
+ * The project's concurrency policy is checked first, commit details the caller
+ * left out are looked up on GitHub, then the deployment is created INACTIVE together
+ * with its buildQueue job in the outbox, in one transaction. The job is
+ * published right away, or by the outbox relay once Redis is reachable again.
+ * Older in-flight deployments are cancelled under CANCEL_PREVIOUS after that.
+ * Everything after that (approval gate, build, status) is the worker's business.
+ * @param {Object} params - Deployment request
+ * @param {Object} params.project - Project record
+ * @param {String} params.environment - PRODUCTION, STAGING or DEVELOPMENT
+ * @param {String} params.branch - Branch to build, the repository default when omitted
+ * @param {String} params.commitSha - Commit to build, the branch head when omitted
+ * @param {String} params.commitMessage - Commit message, looked up when omitted
+ * @param {String} params.commitAuthor - Commit author, looked up when omitted
+ * @param {String} params.version - Version label
+ * @param {Boolean} params.autoDeploy - Auto-deploy flag stored on the deployment
+ * @param {String} params.buildCommand - Build command, flarenet.json or the npm default when omitted
+ * @param {Array<{name: String, value: String}>} params.envVars - Variables of this build only
+ * @param {String} params.scheduleId - Schedule that created the deployment, if any
+ * @param {String} params.cause - Recorded on the creation event
+ * @param {Number} params.actorId - User the deployment was created by, if any
+ * @returns {Promise<Object>} `{ deployment, policy, cancelled, approvalRequired }`
+ */
+async function triggerDeployment({
+  project,
+  environment,
+  branch = null,
+  commitSha = null,
+  commitMessage = null,
+  commitAuthor = null,
+  version = DEFAULT_VERSION,
+  autoDeploy = false,
+  buildCommand = null,
+  envVars = [],
+  scheduleId = null,
+  cause,
+  actorId = null
+}) {
+  // REJECT refuses the deployment before anything is written
+  const { policy } = await checkConcurrencyPolicy({ project, environment });
+
+  const commit = await resolveDeployCommit({ project, branch, commitSha, commitMessage, commitAuthor });
+
+  // Every deployment starts queued, the worker moves it through the state machine
+  const deployment = await createQueuedDeployment({
+    project,
+    data: {
+      environment,
+      version: version || DEFAULT_VERSION,
+      autoDeploy,
+      branch,
+      scheduleId,
+      ...commit
+    },
+    cause,
+    actorId,
+    job: { buildCommand, envVars }
+  });
+
+  // CANCEL_PREVIOUS only cancels once the deployment replacing the older ones is committed.
+  // The deployment exists from here on, a failed cancellation must not fail the request:
+  // callers retrying it (Idempotency-Key, deploy hooks) would create a second deployment
+  let cancelled = [];
+  try {
+    ({ cancelled } = await applyConcurrencyPolicy({ project, deployment }));
+  } catch (error) {
+    console.warn(`Deployments superseded by ${deployment.id} not cancelled: ${error.message}`);
+  }
+
+  return {
+    deployment,
+    policy,
+    cancelled,
+    approvalRequired: requiresApproval(project, deployment)
+  };
+}
+
+/**
+ * Run every check of a deployment without creating it: concurrency policy,
+ * repository and commit access, flarenet.json, infrastructure profile,
+ * toolchain and variables. Nothing is written, queued or cancelled.
+ *
+ * Problems the worker would fail the build on are thrown here instead,
+ * as 422 for flarenet.json and missing variables.
+ * @param {Object} params - Same parameters as triggerDeployment
+ * @returns {Promise<Object>} `{ deployment, job, build, policy, wouldCancel, approvalRequired }`
+ */
+async function planDeployment({
+  project,
+  environment,
+  branch = null,
+  commitSha = null,
+  commitMessage = null,
+  commitAuthor = null,
+  version = DEFAULT_VERSION,
+  autoDeploy = false,
+  buildCommand = null,
+  envVars = []
+}) {
+  const { policy, wouldCancel } = await checkConcurrencyPolicy({ project, environment });
+
+  // The build clones the repository, a dry run makes sure the commit can be read
+  const token = await getStoredGitHubToken(project.ownerId);
+  if (!token) {
+    throw new HttpError(400, 'The project owner has not connected a GitHub account, the repository cannot be checked');
+  }
+  const { owner, repo } = githubService.parseGitHubUrl(project.gitUrl);
+  const commit = await githubService.getCommit({ owner, repo, ref: commitSha || branch, token });
+
+  const deployment = {
+    projectId: project.id,
+    environment,
+    status: 'INACTIVE',
+    version: version || DEFAULT_VERSION,
+    autoDeploy,
+    branch,
+    isPreview: false,
+    commitSha: commitSha || commit.sha,
+    commitMessage: commitMessage || commit.message,
+    commitAuthor: commitAuthor || commit.author
+  };
+
+  let buildConfig;
+  try {
+    buildConfig = await loadFlarenetConfig({ project, ref: deployment.commitSha });
+  } catch (error) {
+    if (error instanceof FlarenetConfigError) {
+      throw new HttpError(422, error.message);
+    }
+    throw error;
+  }
+  const infrastructureProfile = await resolveBuildProfile(project);
+
+  // Detected directly, a dry run does not store the detected toolchain on the project
+  const { rootDirectory, outputDirectory } = getBuildDirectories(project, buildConfig);
+  const detected = await detectToolchain({ githubService, owner, repo, token, ref: deployment.commitSha, rootDirectory });
+  const toolchain = resolveToolchain({ project, buildConfig, detected });
+
+  const variables = mergeEnvVars(await getBuildEnvVars(project.id, environment), normalizeEnvVars(envVars));
+  const missingVariables = findMissingEnvVars(buildConfig, variables);
+  if (missingVariables.length > 0) {
+    throw new HttpError(422, `flarenet.json requires ${missingVariables.join(', ')}, not set for ${environment}`);
+  }
+
+  return {
+    deployment,
+    job: {
+      name: 'deploy',
+      data: createJobData({ deploymentId: null, project, environment, version: deployment.version, buildCommand, envVars })
+    },
+    build: {
+      buildCommand: buildCommand && buildCommand.trim() !== '' ? buildCommand : getConfigBuildCommand(buildConfig, toolchain.packageManager),
+      rootDirectory,
+      outputDirectory,
+      ...toolchain,
+      infrastructureProfile: infrastructureProfile ? infrastructureProfile.name : null,
+      // Names only, values may be secrets
+      envVariables: variables.map(({ name }) => name)
+    },
+    policy,
+    wouldCancel,
+    approvalRequired: requiresApproval(project, deployment)
+  };
+}
+
+module.exports = {
+  createQueuedDeployment,
+  triggerDeployment,
+  planDeployment
+};
@@ -0,0 +1,104 @@
+const axios = require('axios');
+const { prisma } = require('../../utils/prismaClient');
+const { healthCheckSchema } = require('../build/flarenetConfig');
+
+// Bodies longer than this are cut before they are matched
+const MAX_BODY_LENGTH = 1024 * 1024;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Health check a build is verified with: the project setting wins over flarenet.json.
+ * Without either the deployment goes live as soon as it is built.
+ * @param {Object} project - Project record
+ * @param {Object|null} buildConfig - Validated flarenet.json
+ * @returns {Object|null} Health check with defaults applied
+ */
+const getHealthCheckConfig = (project, buildConfig) => {
+  const configured = project.healthCheck || buildConfig?.healthCheck;
+  return configured ? healthCheckSchema.parse(configured) : null;
+};
+
+/**
+ * Request the health check URL once
+ * @param {String} url - URL to probe
+ * @param {Object} healthCheck - Health check settings
+ * @returns {Promise<Object>} `{ statusCode, durationMs, passed, error }`
+ */
+async function probe(url, healthCheck) {
+  const startedAt = Date.now();
+  try {
+    const response = await axios.get(url, {
+      timeout: healthCheck.timeoutSeconds * 1000,
+      responseType: 'text',
+      maxContentLength: MAX_BODY_LENGTH,
+      headers: { 'User-Agent': 'Flarenet-HealthCheck' },
+      validateStatus: () => true
+    });
+    const durationMs = Date.now() - startedAt;
+
+    if (response.status !== healthCheck.expectedStatus) {
+      return { statusCode: response.status, durationMs, passed: false, error: `Expected status ${healthCheck.expectedStatus}, got ${response.status}` };
+    }
+    if (healthCheck.bodyMatch && !String(response.data).includes(healthCheck.bodyMatch)) {
+      return { statusCode: response.status, durationMs, passed: false, error: `Response body does not contain "${healthCheck.bodyMatch}"` };
+    }
+    return { statusCode: response.status, durationMs, passed: true, error: null };
+  } catch (error) {
+    return { statusCode: null, durationMs: Date.now() - startedAt, passed: false, error: error.message };
+  }
+}
+
+/**
+ * Probe a freshly built deployment on its own URL until it answers as expected
+ * or the retries are used up. Every attempt is recorded on the deployment.
+ * @param {Object} params - Verification parameters
+ * @param {Object} params.deployment - Deployment to verify, served on deployment.url
+ * @param {Object} params.healthCheck - Result of getHealthCheckConfig
+ * @param {Function} params.isCancelled - Async check between attempts, stops probing when true
+ * @param {Function} params.wait - Pause between attempts, injectable for tests
+ * @returns {Promise<Object>} `{ passed, cancelled, attempts, reason }`
+ */
+async function runHealthChecks({ deployment, healthCheck, isCancelled = async () => false, wait = sleep }) {
+  const url = `${deployment.url.replace(/\/+$/, '')}${healthCheck.path}`;
+  const maxAttempts = healthCheck.retries + 1;
+
+  let result;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) {
+      await wait(healthCheck.intervalSeconds * 1000);
+      if (await isCancelled()) {
+        return { passed: false, cancelled: true, attempts: attempt - 1, reason: 'Deployment cancelled' };
+      }
+    }
+
+    result = await probe(url, healthCheck);
+    await prisma.deploymentHealthCheck.create({
+      data: { deploymentId: deployment.id, attempt, url, ...result }
+    });
+    if (result.passed) {
+      return { passed: true, cancelled: false, attempts: attempt, reason: null };
+    }
+    console.warn(`Health check ${attempt}/${maxAttempts} of deployment ${deployment.id} failed: ${result.error}`);
+  }
+
+  return { passed: false, cancelled: false, attempts: maxAttempts, reason: `${url}: ${result.error}` };
+}
+
+/**
+ * Recorded health check attempts of a deployment, first attempt first
+ * @param {String} deploymentId - Deployment id
+ * @returns {Promise<Array>} DeploymentHealthCheck records
+ */
+async function listHealthChecks(deploymentId) {
+  return prisma.deploymentHealthCheck.findMany({
+    where: { deploymentId },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+module.exports = {
+  getHealthCheckConfig,
+  runHealthChecks,
+  listHealthChecks
+};
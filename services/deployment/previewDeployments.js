@@ -0,0 +1,181 @@
+const { prisma } = require('../../utils/prismaClient');
+const { stopDeployment, CANCELLABLE_STATUSES } = require('./deploymentCancellation');
+const { tryTransitionDeployment, InvalidTransitionError } = require('./deploymentStateMachine');
+const { createQueuedDeployment } = require('./deploymentTrigger');
+const { getBranchUrl, getPullRequestUrl } = require('../domains/hostnames');
+
+// Previews build with the DEVELOPMENT variables but never become the current DEVELOPMENT deployment
+const PREVIEW_ENVIRONMENT = 'DEVELOPMENT';
+
+/**
+ * Human readable name of what a preview is built from
+ * @param {Object} source - Preview source
+ * @param {Number} source.pullRequestNumber - Pull request number
+ * @param {String} source.branch - Branch name
+ * @returns {String} `pull request #12` or `branch feature/x`
+ */
+const describeSource = ({ pullRequestNumber, branch }) => {
+  return pullRequestNumber ? `pull request #${pullRequestNumber}` : `branch ${branch}`;
+};
+
+/**
+ * URL serving the newest preview, stable across pushes to the same pull request or branch
+ * @param {Object} project - Project record
+ * @param {Object} source - Preview source
+ * @param {Number} source.pullRequestNumber - Pull request number, takes precedence over the branch
+ * @param {String} source.branch - Branch name
+ * @returns {Promise<String>} Preview URL
+ */
+const getPreviewUrl = (project, { pullRequestNumber, branch }) => {
+  return pullRequestNumber ? getPullRequestUrl(project, pullRequestNumber) : getBranchUrl(project, branch);
+};
+
+/**
+ * Whether a pull request comes from a fork. Anyone can open one, so its code
+ * must never see the project's variables or secrets.
+ * @param {Object} pullRequest - `pull_request` object of the event
+ * @returns {Boolean} Head and base live in different repositories
+ */
+const isForkPullRequest = (pullRequest) => {
+  const head = pullRequest.head?.repo?.full_name;
+  const base = pullRequest.base?.repo?.full_name;
+  return !head || !base || head.toLowerCase() !== base.toLowerCase();
+};
+
+/**
+ * Prisma filter for the previews of one pull request or, without one, one branch
+ * @param {String} projectId - Project id
+ * @param {Object} source - Preview source
+ * @returns {Object} Deployment where clause
+ */
+const previewWhere = (projectId, { pullRequestNumber, branch }) => ({
+  projectId,
+  isPreview: true,
+  ...(pullRequestNumber ? { pullRequestNumber } : { branch, pullRequestNumber: null })
+});
+
+/**
+ * Cancel queued or running builds of a preview
+ * @param {String} projectId - Project id
+ * @param {Object} source - Preview source (`{ pullRequestNumber }` or `{ branch }`)
+ * @param {String} reason - Cancellation reason
+ * @returns {Promise<Array<String>>} Ids of cancelled deployments
+ */
+async function cancelInFlightPreviews(projectId, source, reason) {
+  const inFlight = await prisma.deployment.findMany({
+    where: {
+      ...previewWhere(projectId, source),
+      status: { in: CANCELLABLE_STATUSES }
+    }
+  });
+
+  const cancelled = [];
+  for (const deployment of inFlight) {
+    try {
+      await stopDeployment(deployment, { reason });
+      cancelled.push(deployment.id);
+    } catch (error) {
+      // Finished between the lookup and the cancellation
+      if (!(error instanceof InvalidTransitionError)) {
+        throw error;
+      }
+    }
+  }
+  return cancelled;
+}
+
+/**
+ * Build a preview of a pull request's head commit or of a branch.
+ * A newer push supersedes builds of the same preview still in flight.
+ * Fork previews are built without any project variables or secrets.
+ * @param {Object} params - Preview parameters
+ * @param {Object} params.project - Project the preview belongs to
+ * @param {Number} params.pullRequestNumber - Pull request number, omitted for branch previews
+ * @param {String} params.branch - Branch to build
+ * @param {String} params.gitUrl - Repository holding the branch (differs from the project's for forks)
+ * @param {Object} params.commit - `{ commitSha, commitMessage, commitAuthor }` of the built commit
+ * @param {Boolean} params.isFork - Pull request comes from a fork, see isForkPullRequest
+ * @returns {Promise<Object>} `{ deployment, previewUrl, cancelled }`
+ */
+async function deployPreview({ project, pullRequestNumber = null, branch, gitUrl, commit = {}, isFork = false }) {
+  const source = { pullRequestNumber, branch };
+  const cancelled = await cancelInFlightPreviews(
+    project.id,
+    source,
+    `Superseded by a newer commit on ${describeSource(source)}`
+  );
+
+  const deployment = await createQueuedDeployment({
+    project,
+    data: {
+      environment: PREVIEW_ENVIRONMENT,
+      isPreview: true,
+      isFork,
+      branch,
+      pullRequestNumber,
+      ...commit
+    },
+    cause: `Preview of ${describeSource(source)}`,
+    job: { gitUrl }
+  });
+
+  return { deployment, previewUrl: await getPreviewUrl(project, source), cancelled };
+}
+
+/**
+ * Tear down a preview once its pull request is closed or its branch deleted:
+ * in-flight builds are cancelled and built previews retired so their URL stops serving them
+ * @param {Object} params - Teardown parameters
+ * @param {Object} params.project - Project the preview belongs to
+ * @param {Number} params.pullRequestNumber - Pull request number, omitted for branch previews
+ * @param {String} params.branch - Branch of a branch preview
+ * @returns {Promise<Object>} `{ cancelled, retired }` deployment ids
+ */
+async function teardownPreviews({ project, pullRequestNumber = null, branch }) {
+  const source = { pullRequestNumber, branch };
+  const reason = pullRequestNumber ? `Pull request #${pullRequestNumber} closed` : `Branch ${branch} deleted`;
+  const cancelled = await cancelInFlightPreviews(project.id, source, reason);
+
+  const active = await prisma.deployment.findMany({
+    where: { ...previewWhere(project.id, source), status: 'ACTIVE' }
+  });
+
+  const retired = [];
+  for (const deployment of active) {
+    if (await tryTransitionDeployment({ deploymentId: deployment.id, to: 'INACTIVE', cause: reason })) {
+      retired.push(deployment.id);
+    }
+  }
+  return { cancelled, retired };
+}
+
+/**
+ * Preview deployments of a project, newest first
+ * @param {String} projectId - Project id
+ * @param {Object} filters - Optional filters
+ * @param {Number} filters.pullRequestNumber - Only previews of this pull request
+ * @param {String} filters.branch - Only previews built from this branch
+ * @param {Boolean} filters.activeOnly - Only previews that are currently served
+ * @returns {Promise<Array>} Preview deployments
+ */
+async function listPreviews(projectId, { pullRequestNumber, branch, activeOnly = false } = {}) {
+  return prisma.deployment.findMany({
+    where: {
+      projectId,
+      isPreview: true,
+      ...(pullRequestNumber ? { pullRequestNumber } : {}),
+      ...(branch ? { branch } : {}),
+      ...(activeOnly ? { status: 'ACTIVE' } : {})
+    },
+    orderBy: { createdAt: 'desc' },
+    take: 100
+  });
+}
+
+module.exports = {
+  isForkPullRequest,
+  getPreviewUrl,
+  deployPreview,
+  teardownPreviews,
+  listPreviews
+};
@@ -0,0 +1,35 @@
+/**
+ * Base class for DNS resolvers.
+ *
+ * Domain ownership is proven with a TXT record, looked up through a resolver
+ * so verification can run against real DNS in production and against fixed
+ * records in development and tests.
+ */
+class DnsResolver {
+  /**
+   * Create a new DnsResolver instance
+   * @param {Object} options - Resolver specific configuration
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Short identifier of the resolver, used in logs
+   * @returns {String} Resolver name
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Look up the TXT records of a name
+   * @param {String} name - Fully qualified name, e.g. `_flarenet-verification.example.com`
+   * @returns {Promise<Array<String>>} Record values, empty when the name has none
+   */
+  async resolveTxt(name) {
+    throw new Error(`${this.constructor.name} does not implement resolveTxt`);
+  }
+}
+
+module.exports = DnsResolver;
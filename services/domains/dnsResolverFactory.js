@@ -0,0 +1,41 @@
+const SystemDnsResolver = require('./systemDnsResolver');
+const StaticDnsResolver = require('./staticDnsResolver');
+
+const resolvers = {
+  system: SystemDnsResolver,
+  static: StaticDnsResolver
+};
+
+let dnsResolver;
+
+/**
+ * Create a DNS resolver by name
+ * @param {String} type - 'system' or 'static'
+ * @param {Object} options - Options forwarded to the resolver constructor
+ * @returns {DnsResolver} Resolver instance
+ */
+const createDnsResolver = (type, options = {}) => {
+  const Resolver = resolvers[type];
+  if (!Resolver) {
+    throw new Error(`Unknown DNS resolver "${type}". Expected one of: ${Object.keys(resolvers).join(', ')}`);
+  }
+  return new Resolver(options);
+};
+
+/**
+ * Get the configured DNS resolver (singleton pattern).
+ * Selected with FLARENET_DNS_RESOLVER, defaults to system DNS.
+ * @returns {DnsResolver} Resolver instance
+ */
+const getDnsResolver = () => {
+  if (!dnsResolver) {
+    dnsResolver = createDnsResolver(process.env.FLARENET_DNS_RESOLVER || 'system');
+    console.log(`DNS resolver initialized: ${dnsResolver.name}`);
+  }
+  return dnsResolver;
+};
+
+module.exports = {
+  createDnsResolver,
+  getDnsResolver
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { z } = require('zod');
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+const { getCurrentDeployment } = require('../deployment/currentDeployment');
+const { getDnsResolver } = require('./dnsResolverFactory');
+
+// Verified domains always serve the project's current PRODUCTION deployment
+const DOMAIN_ENVIRONMENT = 'PRODUCTION';
+
+const VERIFICATION_PREFIX = '_flarenet-verification';
+
+const hostnameSchema = z.string()
+  .trim()
+  .toLowerCase()
+  .transform((hostname) => hostname.replace(/\.$/, ''))
+  .pipe(z.string()
+    .max(253, 'Hostname is too long')
+    .regex(/^(?!-)[a-z0-9-]{1,63}(?<!-)(\.(?!-)[a-z0-9-]{1,63}(?<!-))+$/, 'Invalid hostname')
+    .refine((hostname) => !/(^|\.)localhost$/.test(hostname), 'localhost domains are reserved'));
+
+/**
+ * TXT record proving ownership of a domain
+ * @param {Object} domain - Domain record
+ * @returns {Object} `{ type, name, value }` to create at the DNS provider
+ */
+const getVerificationRecord = (domain) => ({
+  type: 'TXT',
+  name: `${VERIFICATION_PREFIX}.${domain.hostname}`,
+  value: `flarenet-verification=${domain.verificationToken}`
+});
+
+/**
+ * Domain as returned by the API: the TXT record while it is unverified,
+ * the deployment it serves once verified
+ * @param {Object} domain - Domain record
+ * @param {Object|null} current - Current PRODUCTION deployment of the project
+ * @returns {Object} Domain view
+ */
+const toDomainView = ({ verificationToken, ...domain }, current) => ({
+  ...domain,
+  verified: Boolean(domain.verifiedAt),
+  verification: domain.verifiedAt ? null : getVerificationRecord({ ...domain, verificationToken }),
+  deploymentId: domain.verifiedAt && current ? current.id : null
+});
+
+/**
+ * Load a domain of a project
+ * @param {String} projectId - Project id
+ * @param {String} domainId - Domain id
+ * @returns {Promise<Object>} Domain record
+ */
+async function getProjectDomain(projectId, domainId) {
+  const domain = await prisma.domain.findUnique({ where: { id: domainId } });
+  if (!domain || domain.projectId !== projectId) {
+    throw new HttpError(404, 'Domain not found');
+  }
+  return domain;
+}
+
+/**
+ * Custom domains of a project, oldest first
+ * @param {String} projectId - Project id
+ * @returns {Promise<Array>} Domain views
+ */
+async function listDomains(projectId) {
+  const [domains, current] = await Promise.all([
+    prisma.domain.findMany({ where: { projectId }, orderBy: { createdAt: 'asc' } }),
+    getCurrentDeployment(projectId, DOMAIN_ENVIRONMENT)
+  ]);
+  return domains.map((domain) => toDomainView(domain, current));
+}
+
+/**
+ * Attach a domain to a project. It serves nothing until its TXT record was verified.
+ * @param {String} projectId - Project id
+ * @param {String} hostname - Hostname, already validated with hostnameSchema
+ * @returns {Promise<Object>} Domain view including the TXT record to create
+ */
+async function addDomain(projectId, hostname) {
+  const existing = await prisma.domain.findUnique({ where: { hostname } });
+  if (existing) {
+    throw new HttpError(409, existing.projectId === projectId
+      ? `${hostname} is already attached to this project`
+      : `${hostname} is already attached to another project`);
+  }
+
+  const domain = await prisma.domain.create({
+    data: {
+      projectId,
+      hostname,
+      verificationToken: crypto.randomBytes(16).toString('hex')
+    }
+  });
+  return toDomainView(domain, null);
+}
+
+/**
+ * Detach a domain from a project
+ * @param {String} projectId - Project id
+ * @param {String} domainId - Domain id
+ * @returns {Promise<Object>} Removed domain record
+ */
+async function removeDomain(projectId, domainId) {
+  const domain = await getProjectDomain(projectId, domainId);
+  return prisma.domain.delete({ where: { id: domain.id } });
+}
+
+/**
+ * Check the TXT record of a domain and mark it verified when it matches
+ * @param {Object} params - Verification parameters
+ * @param {String} params.projectId - Project id
+ * @param {String} params.domainId - Domain id
+ * @param {DnsResolver} params.resolver - Resolver to ask, the configured one by default
+ * @returns {Promise<Object>} Verified domain view
+ */
+async function verifyDomain({ projectId, domainId, resolver = getDnsResolver() }) {
+  const domain = await getProjectDomain(projectId, domainId);
+  const current = await getCurrentDeployment(projectId, DOMAIN_ENVIRONMENT);
+  if (domain.verifiedAt) {
+    return toDomainView(domain, current);
+  }
+
+  const record = getVerificationRecord(domain);
+  let values;
+  try {
+    values = await resolver.resolveTxt(record.name);
+  } catch (error) {
+    throw new HttpError(502, `DNS lookup of ${record.name} failed: ${error.message}`);
+  }
+
+  const verified = values.some((value) => value.trim() === record.value);
+  const updated = await prisma.domain.update({
+    where: { id: domain.id },
+    data: {
+      lastCheckedAt: new Date(),
+      ...(verified ? { verifiedAt: new Date() } : {})
+    }
+  });
+
+  if (!verified) {
+    throw new HttpError(409, `TXT record ${record.name} with value ${record.value} not found`);
+  }
+  return toDomainView(updated, current);
+}
+
+/**
+ * Deployment a custom domain serves
+ * @param {String} hostname - Requested hostname
+ * @returns {Promise<Object|null>} `{ domain, deployment }`, null for unknown or unverified domains
+ */
+async function findDomainDeployment(hostname) {
+  const parsed = hostnameSchema.safeParse(hostname);
+  if (!parsed.success) {
+    return null;
+  }
+
+  const domain = await prisma.domain.findUnique({ where: { hostname: parsed.data } });
+  if (!domain || !domain.verifiedAt) {
+    return null;
+  }
+
+  const deployment = await getCurrentDeployment(domain.projectId, DOMAIN_ENVIRONMENT);
+  return deployment ? { domain, deployment } : null;
+}
+
+module.exports = {
+  hostnameSchema,
+  getVerificationRecord,
+  listDomains,
+  addDomain,
+  removeDomain,
+  verifyDomain,
+  findDomainDeployment
+};
@@ -0,0 +1,296 @@
+const { generateSlug } = require('random-word-slugs');
+const { prisma } = require('../../utils/prismaClient');
+const { getCurrentDeployment } = require('../deployment/currentDeployment');
+const { findDomainDeployment } = require('./domainService');
+
+// Every project and deployment gets a subdomain of this domain
+const BASE_DOMAIN = process.env.FLARENET_BASE_DOMAIN || 'localhost:9000';
+
+// Project aliases serve the current deployment of this environment
+const ALIAS_ENVIRONMENT = 'PRODUCTION';
+
+// Attempts at a free slug before giving up on the unique constraint
+const MAX_SLUG_ATTEMPTS = 5;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Turn text into a hostname label, e.g. `feature/Login_Page` -> `feature-login-page`
+ * @param {String} text - Project name, branch name...
+ * @param {Number} maxLength - Maximum length of the label
+ * @returns {String} Slug, empty when the text has no usable characters
+ */
+const slugify = (text, maxLength = 40) => {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+/, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+};
+
+/**
+ * Branch part of a branch alias, short enough to keep the label within 63 characters
+ * @param {String} branch - Branch name
+ * @returns {String} Slug
+ */
+const getBranchLabel = (branch) => slugify(branch, 28);
+
+/**
+ * URL of a subdomain of the platform domain
+ * @param {String} label - Project or deployment slug, or an alias
+ * @returns {String} URL
+ */
+const getHostUrl = (label) => `https://${label}.${BASE_DOMAIN}`;
+
+/**
+ * Random deployment slug such as `brave-otter-42`
+ * @returns {String} Slug
+ */
+const generateDeploymentSlug = () => {
+  return `${generateSlug(2, { format: 'kebab' })}-${Math.floor(Math.random() * 90) + 10}`;
+};
+
+/**
+ * Whether a slug has the shape of a pull request or branch alias. Such a slug
+ * would take over the previews of the project the alias names, e.g. a project
+ * `shop-pr-12` those of pull request 12 of `shop`.
+ * @param {String} slug - Project or deployment slug
+ * @returns {Boolean} Slug is reserved for aliases
+ */
+const isReservedSlug = (slug) => /-pr-\d+$/.test(slug) || slug.includes('-git-');
+
+/**
+ * Project slug derived from its name: `shop` first, `shop-brave-otter` once that is taken.
+ * Alias shaped names lose the hyphen after `git` or `pr`, e.g. `shop-git-main` becomes `shop-gitmain`.
+ * @param {String} name - Project name
+ * @param {Number} attempt - 1 for the first attempt
+ * @returns {String} Slug
+ */
+const generateProjectSlug = (name, attempt) => {
+  let base = slugify(name, 30) || 'project';
+  while (isReservedSlug(base)) {
+    base = base.replace('-git-', '-git').replace(/-pr-(\d+)$/, '-pr$1');
+  }
+  return attempt === 1 ? base : `${base}-${generateSlug(2, { format: 'kebab' })}`;
+};
+
+/**
+ * Run a create with generated slugs until one is free. Project and deployment
+ * slugs share the subdomains, a slug taken by the other table or shaped like
+ * an alias is skipped. Uniqueness within the table is left to the database,
+ * a conflicting slug just means another try.
+ * @param {Function} generate - Called with the attempt number, returns a slug
+ * @param {Function} create - Called with the slug, creates the record
+ * @param {Function} isTakenElsewhere - Called with the slug, resolves true when the other table has it
+ * @returns {Promise<Object>} Created record
+ */
+async function withUniqueSlug(generate, create, isTakenElsewhere) {
+  for (let attempt = 1; attempt <= MAX_SLUG_ATTEMPTS; attempt++) {
+    const slug = generate(attempt);
+    if (isReservedSlug(slug) || await isTakenElsewhere(slug)) {
+      continue;
+    }
+
+    try {
+      return await create(slug);
+    } catch (error) {
+      const target = [].concat(error.meta?.target || []);
+      const slugTaken = error.code === 'P2002' && target.some((field) => String(field).includes('slug'));
+      if (!slugTaken || attempt >= MAX_SLUG_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+  throw new Error(`No free slug found in ${MAX_SLUG_ATTEMPTS} attempts`);
+}
+
+/**
+ * Whether a project already uses a slug
+ * @param {String} slug - Candidate slug
+ * @returns {Promise<Boolean>} Slug is taken
+ */
+const isProjectSlug = async (slug) => Boolean(await prisma.project.findUnique({ where: { slug } }));
+
+/**
+ * Whether a deployment already uses a slug
+ * @param {String} slug - Candidate slug
+ * @returns {Promise<Boolean>} Slug is taken
+ */
+const isDeploymentSlug = async (slug) => Boolean(await prisma.deployment.findUnique({ where: { slug } }));
+
+/**
+ * Create a project with a slug derived from its name
+ * @param {Object} args - `prisma.project.create` arguments
+ * @returns {Promise<Object>} Created project
+ */
+async function createProjectWithSlug(args) {
+  return withUniqueSlug(
+    (attempt) => generateProjectSlug(args.data.name, attempt),
+    (slug) => prisma.project.create({ ...args, data: { ...args.data, slug } }),
+    isDeploymentSlug
+  );
+}
+
+/**
+ * Create a deployment with its own slug, its `url` is the slug's subdomain.
+ * Deployments with a branch also get its `branchLabel`, the branch alias they answer to.
+ * With `withinTransaction` the deployment and the writes of the callback are
+ * committed together; a taken slug rolls both back and they are retried.
+ * @param {Object} args - `prisma.deployment.create` arguments
+ * @param {Function} withinTransaction - Called with the transaction client and the deployment
+ * @returns {Promise<Object>} Created deployment
+ */
+async function createDeploymentWithSlug(args, withinTransaction = null) {
+  return withUniqueSlug(generateDeploymentSlug, (slug) => {
+    const data = {
+      ...args.data,
+      slug,
+      url: getHostUrl(slug),
+      // Branch aliases are looked up by this label, slugified branches cannot be turned back into names
+      branchLabel: args.data.branch ? getBranchLabel(args.data.branch) : null
+    };
+    const create = (client) => client.deployment.create({ ...args, data });
+    if (!withinTransaction) {
+      return create(prisma);
+    }
+    return prisma.$transaction(async (tx) => {
+      const deployment = await create(tx);
+      await withinTransaction(tx, deployment);
+      return deployment;
+    });
+  }, isProjectSlug);
+}
+
+/**
+ * Slug of a project, assigned on first use for projects that do not have one yet
+ * @param {Object} project - Project record
+ * @returns {Promise<String>} Slug
+ */
+async function getProjectSlug(project) {
+  if (project.slug) {
+    return project.slug;
+  }
+  const { slug } = await withUniqueSlug(
+    (attempt) => generateProjectSlug(project.name, attempt),
+    (candidate) => prisma.project.update({ where: { id: project.id }, data: { slug: candidate } }),
+    isDeploymentSlug
+  );
+  return slug;
+}
+
+/**
+ * Newest successful deployment of a project matching a filter
+ * @param {String} projectId - Project id
+ * @param {Object} where - Additional deployment filter
+ * @returns {Promise<Object|null>} Deployment
+ */
+const findLatestActive = (projectId, where) => {
+  return prisma.deployment.findFirst({
+    where: { projectId, status: 'ACTIVE', ...where },
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+/**
+ * Resolve a subdomain label of the platform domain.
+ *
+ * - `<deployment-slug>`            that deployment
+ * - `<project-slug>`               current PRODUCTION deployment (also the project id, for older URLs)
+ * - `<project-slug>-pr-<n>`        newest successful preview of pull request n
+ * - `<project-slug>-git-<branch>`  newest successful deployment built from the branch
+ * @param {String} label - Subdomain label
+ * @returns {Promise<Object|null>} `{ kind, deployment }`
+ */
+async function resolveLabel(label) {
+  const deployment = await prisma.deployment.findUnique({ where: { slug: label } });
+  if (deployment) {
+    return { kind: 'deployment', deployment };
+  }
+
+  // Aliases of an existing project win over a project slug of the same shape,
+  // which can only be a leftover from before such slugs were refused
+  const pullRequest = label.match(/^(.+)-pr-(\d+)$/);
+  if (pullRequest) {
+    const prProject = await prisma.project.findUnique({ where: { slug: pullRequest[1] } });
+    if (prProject) {
+      const preview = await findLatestActive(prProject.id, {
+        isPreview: true,
+        pullRequestNumber: parseInt(pullRequest[2], 10)
+      });
+      return preview ? { kind: 'pullRequest', deployment: preview } : null;
+    }
+  }
+
+  // Project slugs created before `-git-` was reserved may contain it, so try every split
+  for (let index = label.indexOf('-git-'); index > 0; index = label.indexOf('-git-', index + 1)) {
+    const branchProject = await prisma.project.findUnique({ where: { slug: label.slice(0, index) } });
+    if (!branchProject) {
+      continue;
+    }
+
+    const match = await findLatestActive(branchProject.id, { branchLabel: label.slice(index + '-git-'.length) });
+    return match ? { kind: 'branch', deployment: match } : null;
+  }
+
+  const project = await prisma.project.findFirst({
+    where: UUID_PATTERN.test(label) ? { OR: [{ slug: label }, { id: label }] } : { slug: label }
+  });
+  if (project) {
+    const current = await getCurrentDeployment(project.id, ALIAS_ENVIRONMENT);
+    return current ? { kind: 'project', deployment: current } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Alias URL always serving the newest successful deployment of a branch
+ * @param {Object} project - Project record
+ * @param {String} branch - Branch name
+ * @returns {Promise<String>} URL like `https://shop-git-feature-x.localhost:9000`
+ */
+async function getBranchUrl(project, branch) {
+  return getHostUrl(`${await getProjectSlug(project)}-git-${getBranchLabel(branch)}`);
+}
+
+/**
+ * Alias URL always serving the newest successful preview of a pull request
+ * @param {Object} project - Project record
+ * @param {Number} pullRequestNumber - Pull request number
+ * @returns {Promise<String>} URL like `https://shop-pr-12.localhost:9000`
+ */
+async function getPullRequestUrl(project, pullRequestNumber) {
+  return getHostUrl(`${await getProjectSlug(project)}-pr-${pullRequestNumber}`);
+}
+
+/**
+ * Find the deployment a hostname serves: subdomains of the platform domain
+ * by slug or alias, anything else as a verified custom domain
+ * @param {String} hostname - Requested host, a port is ignored
+ * @returns {Promise<Object|null>} `{ kind, deployment }`, null when nothing is served there
+ */
+async function resolveHostname(hostname) {
+  const host = String(hostname).trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+  const baseHost = BASE_DOMAIN.toLowerCase().replace(/:\d+$/, '');
+
+  if (host.endsWith(`.${baseHost}`)) {
+    const label = host.slice(0, -(baseHost.length + 1));
+    return label.includes('.') ? null : resolveLabel(label);
+  }
+
+  const found = await findDomainDeployment(host);
+  return found ? { kind: 'domain', deployment: found.deployment } : null;
+}
+
+module.exports = {
+  slugify,
+  isReservedSlug,
+  getHostUrl,
+  createProjectWithSlug,
+  createDeploymentWithSlug,
+  getProjectSlug,
+  getBranchUrl,
+  getPullRequestUrl,
+  resolveHostname
+};
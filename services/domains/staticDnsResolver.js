@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const path = require('path');
+const DnsResolver = require('./dnsResolver');
+
+/**
+ * Answers TXT lookups from fixed records, for development and tests.
+ * Records are passed in directly or read from a JSON file:
+ *
+ *   { "_flarenet-verification.example.com": ["flarenet-verification=..."] }
+ */
+class StaticDnsResolver extends DnsResolver {
+  /**
+   * Create a new StaticDnsResolver instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.records - TXT values by name, the file is not read when given
+   * @param {String} options.filePath - JSON file holding the records
+   */
+  constructor(options = {}) {
+    super(options);
+    this.records = options.records || null;
+    this.filePath = path.resolve(options.filePath || process.env.FLARENET_DNS_RECORDS_FILE || 'dns.local.json');
+  }
+
+  get name() {
+    return 'static';
+  }
+
+  /**
+   * Look up TXT records, the file is read on every call so edits apply without a restart
+   * @param {String} name - Fully qualified name
+   * @returns {Promise<Array<String>>} Record values
+   */
+  async resolveTxt(name) {
+    let records = this.records;
+    if (!records) {
+      try {
+        records = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw new Error(`Could not read DNS records file ${this.filePath}: ${error.message}`);
+      }
+    }
+
+    const values = records[name.toLowerCase()] || [];
+    return (Array.isArray(values) ? values : [values]).map(String);
+  }
+}
+
+module.exports = StaticDnsResolver;
@@ -0,0 +1,50 @@
+const { Resolver } = require('dns').promises;
+const DnsResolver = require('./dnsResolver');
+
+// Answers meaning the record does not exist (yet), not that DNS is broken
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA'];
+
+/**
+ * Resolves TXT records through DNS, using the servers of this machine
+ * or FLARENET_DNS_SERVERS (comma separated, e.g. `1.1.1.1,8.8.8.8`).
+ */
+class SystemDnsResolver extends DnsResolver {
+  /**
+   * Create a new SystemDnsResolver instance
+   * @param {Object} options - Configuration options
+   * @param {Array<String>} options.servers - DNS servers to ask instead of the system ones
+   */
+  constructor(options = {}) {
+    super(options);
+    this.resolver = new Resolver();
+
+    const servers = options.servers
+      || (process.env.FLARENET_DNS_SERVERS || '').split(',').map((server) => server.trim()).filter(Boolean);
+    if (servers.length > 0) {
+      this.resolver.setServers(servers);
+    }
+  }
+
+  get name() {
+    return 'system';
+  }
+
+  /**
+   * Look up TXT records, chunks of long records are joined back together
+   * @param {String} name - Fully qualified name
+   * @returns {Promise<Array<String>>} Record values
+   */
+  async resolveTxt(name) {
+    try {
+      const records = await this.resolver.resolveTxt(name);
+      return records.map((chunks) => chunks.join(''));
+    } catch (error) {
+      if (NOT_FOUND_CODES.includes(error.code)) {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = SystemDnsResolver;
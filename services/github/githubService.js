@@ -1,6 +1,7 @@
 // Using dynamic import for ESM module
 let Octokit;
 const { getRedisClient, isRedisAvailable } = require('../../utils/redisClient');
+const { HttpError } = require('../../utils/httpError');
 
 class GitHubService {
   /**
@@ -44,10 +45,11 @@ class GitHubService {
    * @param {String} owner - Repository owner
    * @param {String} repo - Repository name
    * @param {String} path - File path
+   * @param {String} ref - Branch, tag or sha, omitted for the default branch
    * @returns {String} Cache key
    */
-  getCacheKey(owner, repo, path) {
-    return `github:repo:${owner}:${repo}:${path}`;
+  getCacheKey(owner, repo, path, ref = null) {
+    return ref ? `github:repo:${owner}:${repo}:${path}@${ref}` : `github:repo:${owner}:${repo}:${path}`;
   }
 
   /**
@@ -56,16 +58,17 @@ class GitHubService {
    * @param {String} params.owner - Repository owner
    * @param {String} params.repo - Repository name
    * @param {String} params.path - File path
+   * @param {String} params.ref - Branch, tag or sha to read the file at, the default branch when omitted
    * @param {String} params.token - GitHub token
    * @returns {Promise<Object>} File content
    */
-  async getFileContent({ owner, repo, path, token }) {
+  async getFileContent({ owner, repo, path, ref = null, token }) {
     if (!owner || !repo || !path) {
       throw new Error('Owner, repo and path are required');
     }
 
     // Try to get from cache first
-    const cacheKey = this.getCacheKey(owner, repo, path);
+    const cacheKey = this.getCacheKey(owner, repo, path, ref);
     if (isRedisAvailable()) {
       const redis = getRedisClient();
       const cachedContent = await redis.get(cacheKey);
@@ -87,6 +90,7 @@ class GitHubService {
         owner,
         repo,
         path,
+        ...(ref ? { ref } : {}),
         headers: {
           'X-GitHub-Api-Version': '2022-11-28'
         }
@@ -116,19 +120,247 @@ class GitHubService {
     } catch (error) {
       // Handle specific GitHub API errors
       if (error.status === 404) {
-        throw new Error(`File '${path}' not found in repository ${owner}/${repo}`);
+        throw new HttpError(404, `File '${path}' not found in repository ${owner}/${repo}`);
       } else if (error.status === 403 && error.response?.headers?.['x-ratelimit-remaining'] === '0') {
         throw new Error('GitHub API rate limit exceeded. Please try again later.');
       } else if (error.status === 401) {
         throw new Error('Invalid or expired GitHub token');
-      } else if (error.message.includes('JSON')) {
-        throw new Error(`Invalid ${path} format`);
+      } else if (error instanceof SyntaxError || error.message.includes('JSON')) {
+        throw new Error(`Invalid ${path} format: ${error.message}`);
       }
       
       throw new Error(`Error fetching ${path}: ${error.message}`);
     }
   }
 
+  /**
+   * Get a text file of a GitHub repository as is, e.g. `.nvmrc`
+   * @param {Object} params - Request parameters
+   * @param {String} params.owner - Repository owner
+   * @param {String} params.repo - Repository name
+   * @param {String} params.path - File path
+   * @param {String} params.ref - Branch, tag or sha, the default branch when omitted
+   * @param {String} params.token - GitHub token
+   * @returns {Promise<String>} File content
+   */
+  async getTextFile({ owner, repo, path, ref = null, token }) {
+    if (!owner || !repo || !path) {
+      throw new Error('Owner, repo and path are required');
+    }
+
+    const cacheKey = this.getCacheKey(owner, repo, `text:${path}`, ref);
+    if (isRedisAvailable()) {
+      const cached = await getRedisClient().get(cacheKey);
+      if (cached !== null) {
+        return cached;
+      }
+    }
+
+    try {
+      const octokit = await this.createOctokitClient(token);
+      const response = await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+        owner,
+        repo,
+        path,
+        ...(ref ? { ref } : {}),
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28'
+        }
+      });
+
+      if (Array.isArray(response.data) || response.data.content === undefined) {
+        throw new HttpError(400, `'${path}' is not a file of ${owner}/${repo}`);
+      }
+      const content = Buffer.from(response.data.content, 'base64').toString('utf-8');
+
+      if (isRedisAvailable()) {
+        await getRedisClient().set(cacheKey, content, 'EX', this.cacheTTL);
+      }
+
+      return content;
+    } catch (error) {
+      throw this.toHttpError(error, `File '${path}' of ${owner}/${repo}`);
+    }
+  }
+
+  /**
+   * List the entries of a directory of a GitHub repository
+   * @param {Object} params - Request parameters
+   * @param {String} params.owner - Repository owner
+   * @param {String} params.repo - Repository name
+   * @param {String} params.path - Directory path, the repository root when empty
+   * @param {String} params.ref - Branch, tag or sha, the default branch when omitted
+   * @param {String} params.token - GitHub token
+   * @returns {Promise<Array>} `{ name, path, type, sha }` entries, type being `file` or `dir`
+   */
+  async listDirectory({ owner, repo, path = '', ref = null, token }) {
+    if (!owner || !repo) {
+      throw new Error('Owner and repo are required');
+    }
+
+    const cacheKey = this.getCacheKey(owner, repo, `dir:${path}`, ref);
+    if (isRedisAvailable()) {
+      const cached = await getRedisClient().get(cacheKey);
+      if (cached) {
+        try {
+          return JSON.parse(cached);
+        } catch (error) {
+          console.error('Error parsing cached directory listing:', error);
+        }
+      }
+    }
+
+    try {
+      const octokit = await this.createOctokitClient(token);
+      const response = await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+        owner,
+        repo,
+        path,
+        ...(ref ? { ref } : {}),
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28'
+        }
+      });
+
+      if (!Array.isArray(response.data)) {
+        throw new HttpError(400, `'${path}' is not a directory of ${owner}/${repo}`);
+      }
+      const entries = response.data.map(({ name, path: entryPath, type, sha }) => ({ name, path: entryPath, type, sha }));
+
+      if (isRedisAvailable()) {
+        await getRedisClient().set(cacheKey, JSON.stringify(entries), 'EX', this.cacheTTL);
+      }
+
+      return entries;
+    } catch (error) {
+      throw this.toHttpError(error, `Directory '${path}' of ${owner}/${repo}`);
+    }
+  }
+
+  /**
+   * Map a failed GitHub API call to an HttpError
+   * @param {Error} error - Octokit request error
+   * @param {String} subject - What was requested, used in the message
+   * @returns {HttpError} Error carrying a matching status code
+   */
+  toHttpError(error, subject) {
+    if (error instanceof HttpError) {
+      return error;
+    }
+    if (error.status === 404) {
+      return new HttpError(404, `${subject} not found on GitHub`);
+    } else if (error.status === 403 && error.response?.headers?.['x-ratelimit-remaining'] === '0') {
+      return new HttpError(429, 'GitHub API rate limit exceeded. Please try again later.');
+    } else if (error.status === 401) {
+      return new HttpError(401, 'Invalid or expired GitHub token');
+    }
+    return new HttpError(502, `Error fetching ${subject}: ${error.message}`);
+  }
+
+  /**
+   * Reduce a GitHub commit object to the fields stored on deployments
+   * @param {Object} commit - Commit from the GitHub API
+   * @returns {Object} `{ sha, message, author, date, url }`
+   */
+  formatCommit(commit) {
+    return {
+      sha: commit.sha,
+      message: commit.commit?.message || null,
+      author: commit.author?.login || commit.commit?.author?.name || null,
+      date: commit.commit?.author?.date || null,
+      url: commit.html_url || null
+    };
+  }
+
+  /**
+   * Get the commit a ref (branch, tag or sha) points to
+   * @param {Object} params - Request parameters
+   * @param {String} params.owner - Repository owner
+   * @param {String} params.repo - Repository name
+   * @param {String} params.ref - Branch, tag or sha, the default branch when omitted
+   * @param {String} params.token - GitHub token
+   * @returns {Promise<Object>} `{ sha, message, author, date, url }`
+   */
+  async getCommit({ owner, repo, ref, token }) {
+    if (!owner || !repo) {
+      throw new Error('Owner and repo are required');
+    }
+
+    try {
+      const octokit = await this.createOctokitClient(token);
+      const response = await octokit.request('GET /repos/{owner}/{repo}/commits/{ref}', {
+        owner,
+        repo,
+        ref: ref || 'HEAD',
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28'
+        }
+      });
+
+      return this.formatCommit(response.data);
+    } catch (error) {
+      throw this.toHttpError(error, `Commit ${ref || 'HEAD'} of ${owner}/${repo}`);
+    }
+  }
+
+  /**
+   * List the commits between two commits.
+   * Results are cached since a comparison of two shas never changes.
+   * @param {Object} params - Request parameters
+   * @param {String} params.owner - Repository owner
+   * @param {String} params.repo - Repository name
+   * @param {String} params.base - Older commit sha
+   * @param {String} params.head - Newer commit sha
+   * @param {String} params.token - GitHub token
+   * @returns {Promise<Object>} `{ status, aheadBy, behindBy, totalCommits, commits, url }`
+   */
+  async compareCommits({ owner, repo, base, head, token }) {
+    if (!owner || !repo || !base || !head) {
+      throw new Error('Owner, repo, base and head are required');
+    }
+
+    const cacheKey = this.getCacheKey(owner, repo, `compare:${base}...${head}`);
+    if (isRedisAvailable()) {
+      const cached = await getRedisClient().get(cacheKey);
+      if (cached) {
+        try {
+          return JSON.parse(cached);
+        } catch (error) {
+          console.error('Error parsing cached comparison:', error);
+        }
+      }
+    }
+
+    try {
+      const octokit = await this.createOctokitClient(token);
+      const response = await octokit.request('GET /repos/{owner}/{repo}/compare/{basehead}', {
+        owner,
+        repo,
+        basehead: `${base}...${head}`,
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28'
+        }
+      });
+
+      const comparison = {
+        status: response.data.status,
+        aheadBy: response.data.ahead_by,
+        behindBy: response.data.behind_by,
+        totalCommits: response.data.total_commits,
+        commits: (response.data.commits || []).map((commit) => this.formatCommit(commit)),
+        url: response.data.html_url
+      };
+
+      if (isRedisAvailable()) {
+        await getRedisClient().set(cacheKey, JSON.stringify(comparison), 'EX', this.cacheTTL);
+      }
+
+      return comparison;
+    } catch (error) {
+      throw this.toHttpError(error, `Comparison ${base}...${head} of ${owner}/${repo}`);
+    }
+  }
+
   /**
    * Parse GitHub repository URL
    * @param {String} url - GitHub repository URL
@@ -161,7 +393,7 @@ class GitHubService {
 
       return {
         owner: pathParts[0],
-        repo: pathParts[1]
+        repo: pathParts[1].replace(/\.git$/, '') // clone urls end in .git
       };
     } catch (error) {
       throw new Error(`Error parsing GitHub URL: ${error.message}`);
@@ -0,0 +1,68 @@
+const { z } = require('zod');
+
+// Where a push to a matching branch goes
+const BRANCH_TARGETS = ['PRODUCTION', 'STAGING', 'DEVELOPMENT', 'PREVIEW', 'IGNORE'];
+
+// Projects without rules keep deploying every push to DEVELOPMENT
+const DEFAULT_TARGET = 'DEVELOPMENT';
+
+const branchRuleSchema = z.object({
+  pattern: z.string().trim().min(1, 'Pattern is required').max(255),
+  target: z.enum(BRANCH_TARGETS, { message: `Target must be one of ${BRANCH_TARGETS.join(', ')}` })
+}).strict();
+
+const branchRulesSchema = z.array(branchRuleSchema).max(50, 'At most 50 branch rules');
+
+/**
+ * Turn a branch pattern into a regular expression.
+ * `*` matches within one path segment, `**` across segments:
+ * `feature/*` matches `feature/login` but not `feature/a/b`, `release/**` matches both.
+ * @param {String} pattern - Branch pattern
+ * @returns {RegExp} Anchored expression
+ */
+const patternToRegExp = (pattern) => {
+  const source = pattern
+    .split('**')
+    .map((part) => part
+      .split('*')
+      .map((literal) => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Check whether a branch matches a pattern
+ * @param {String} pattern - Branch pattern, may contain `*` and `**`
+ * @param {String} branch - Branch name without `refs/heads/`
+ * @returns {Boolean} Branch matches
+ */
+const matchesBranch = (pattern, branch) => {
+  return patternToRegExp(pattern).test(branch);
+};
+
+/**
+ * Find where a push to a branch should be deployed.
+ * Rules are checked in order and the first match wins; once a project has rules,
+ * branches no rule matches are ignored.
+ * @param {Array<{pattern: String, target: String}>} rules - Project branch rules
+ * @param {String} branch - Branch name without `refs/heads/`
+ * @returns {Object} `{ target, rule }`, rule is null when the default applied
+ */
+const resolveBranchTarget = (rules, branch) => {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return { target: DEFAULT_TARGET, rule: null };
+  }
+
+  const rule = rules.find(({ pattern }) => matchesBranch(pattern, branch));
+  return rule
+    ? { target: rule.target, rule }
+    : { target: 'IGNORE', rule: null };
+};
+
+module.exports = {
+  BRANCH_TARGETS,
+  branchRulesSchema,
+  matchesBranch,
+  resolveBranchTarget
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { z } = require('zod');
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+const { triggerDeployment } = require('../deployment/deploymentTrigger');
+
+// Base of the hook URLs handed out, the API server itself
+const API_URL = (process.env.FLARENET_API_URL || 'http://localhost:5000').replace(/\/+$/, '');
+
+const deployHookSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  branch: z.string().trim().min(1, 'Branch is required').max(255),
+  environment: z.enum(['PRODUCTION', 'STAGING', 'DEVELOPMENT'], { message: 'Invalid environment' })
+}).strict();
+
+/**
+ * Only a hash of hook tokens is stored, the token itself is shown once
+ * @param {String} token - Hook token
+ * @returns {String} Hex sha256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Hook as returned by the API, the token only right after it was generated
+ * @param {Object} hook - DeployHook record
+ * @param {String|null} token - Freshly generated token
+ * @returns {Object} Hook view
+ */
+const toHookView = ({ tokenHash, ...hook }, token = null) => ({
+  ...hook,
+  url: `${API_URL}/hooks/deploy/${hook.id}`,
+  revoked: Boolean(hook.revokedAt),
+  ...(token ? { token } : {})
+});
+
+/**
+ * Load a hook of a project
+ * @param {String} projectId - Project id
+ * @param {String} hookId - Hook id
+ * @returns {Promise<Object>} DeployHook record
+ */
+async function getProjectHook(projectId, hookId) {
+  const hook = await prisma.deployHook.findUnique({ where: { id: hookId } });
+  if (!hook || hook.projectId !== projectId) {
+    throw new HttpError(404, 'Deploy hook not found');
+  }
+  return hook;
+}
+
+/**
+ * Deploy hooks of a project, oldest first
+ * @param {String} projectId - Project id
+ * @returns {Promise<Array>} Hook views without tokens
+ */
+async function listDeployHooks(projectId) {
+  const hooks = await prisma.deployHook.findMany({
+    where: { projectId },
+    orderBy: { createdAt: 'asc' }
+  });
+  return hooks.map((hook) => toHookView(hook));
+}
+
+/**
+ * Create a deploy hook bound to a branch and environment
+ * @param {Object} params - Hook settings, validated with deployHookSchema
+ * @param {String} params.projectId - Project id
+ * @param {String} params.name - Label, e.g. the CMS calling it
+ * @param {String} params.branch - Branch every call builds
+ * @param {String} params.environment - Environment every call deploys to
+ * @param {Number} params.userId - Creator
+ * @returns {Promise<Object>} Hook view including its token
+ */
+async function createDeployHook({ projectId, name, branch, environment, userId }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hook = await prisma.deployHook.create({
+    data: { projectId, name, branch, environment, tokenHash: hashToken(token), createdById: userId }
+  });
+  return toHookView(hook, token);
+}
+
+/**
+ * Replace the token of a hook, the previous one stops working immediately
+ * @param {String} projectId - Project id
+ * @param {String} hookId - Hook id
+ * @returns {Promise<Object>} Hook view including the new token
+ */
+async function regenerateDeployHookToken(projectId, hookId) {
+  const hook = await getProjectHook(projectId, hookId);
+  if (hook.revokedAt) {
+    throw new HttpError(409, 'Deploy hook is revoked, create a new one');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const updated = await prisma.deployHook.update({
+    where: { id: hook.id },
+    data: { tokenHash: hashToken(token) }
+  });
+  return toHookView(updated, token);
+}
+
+/**
+ * Revoke a hook for good, it stays listed for the record
+ * @param {String} projectId - Project id
+ * @param {String} hookId - Hook id
+ * @returns {Promise<Object>} Hook view
+ */
+async function revokeDeployHook(projectId, hookId) {
+  const hook = await getProjectHook(projectId, hookId);
+  if (hook.revokedAt) {
+    return toHookView(hook);
+  }
+
+  const updated = await prisma.deployHook.update({
+    where: { id: hook.id },
+    data: { revokedAt: new Date() }
+  });
+  return toHookView(updated);
+}
+
+/**
+ * Deploy the branch of a hook. Unknown and revoked hooks look the same to callers.
+ * @param {Object} params - Call parameters
+ * @param {String} params.hookId - Hook id from the URL
+ * @param {String} params.token - Token sent by the caller
+ * @returns {Promise<Object>} `{ hook, deployment, policy, cancelled, approvalRequired }`
+ */
+async function triggerDeployHook({ hookId, token }) {
+  const hook = await prisma.deployHook.findUnique({
+    where: { id: hookId },
+    include: { project: true }
+  });
+  if (!hook || hook.revokedAt) {
+    throw new HttpError(404, 'Deploy hook not found');
+  }
+
+  const expected = Buffer.from(hook.tokenHash, 'hex');
+  const given = Buffer.from(hashToken(String(token || '')), 'hex');
+  if (!token || !crypto.timingSafeEqual(expected, given)) {
+    throw new HttpError(401, 'Invalid deploy hook token');
+  }
+
+  const result = await triggerDeployment({
+    project: hook.project,
+    environment: hook.environment,
+    branch: hook.branch,
+    cause: `Deploy hook "${hook.name}"`
+  });
+
+  await prisma.deployHook.update({
+    where: { id: hook.id },
+    data: { lastTriggeredAt: new Date() }
+  });
+
+  const { project, ...hookRecord } = hook;
+  return { hook: toHookView(hookRecord), ...result };
+}
+
+module.exports = {
+  deployHookSchema,
+  listDeployHooks,
+  createDeployHook,
+  regenerateDeployHookToken,
+  revokeDeployHook,
+  triggerDeployHook
+};
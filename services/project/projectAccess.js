@@ -0,0 +1,60 @@
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+
+/**
+ * Check whether a user may manage a project (owner or platform admin)
+ * @param {Object} user - JWT payload ({ userId, role })
+ * @param {Object} project - Project record
+ * @returns {Boolean} Access allowed
+ */
+const canManageProject = (user, project) => {
+  if (!user || !project) return false;
+  return user.role === 'ADMIN' || project.ownerId === user.userId;
+};
+
+/**
+ * Load a project and make sure the user may manage it
+ * @param {String} projectId - Project id
+ * @param {Object} user - JWT payload ({ userId, role })
+ * @returns {Promise<Object>} Project record
+ */
+const getManageableProject = async (projectId, user) => {
+  const project = await prisma.project.findUnique({ where: { id: projectId } });
+
+  if (!project) {
+    throw new HttpError(404, 'Project not found');
+  }
+  if (!canManageProject(user, project)) {
+    throw new HttpError(403, 'You do not have access to this project');
+  }
+
+  return project;
+};
+
+/**
+ * Load a deployment with its project and make sure the user may manage it
+ * @param {String} deploymentId - Deployment id
+ * @param {Object} user - JWT payload ({ userId, role })
+ * @returns {Promise<Object>} Deployment record including its project
+ */
+const getManageableDeployment = async (deploymentId, user) => {
+  const deployment = await prisma.deployment.findUnique({
+    where: { id: deploymentId },
+    include: { project: true }
+  });
+
+  if (!deployment) {
+    throw new HttpError(404, 'Deployment not found');
+  }
+  if (!canManageProject(user, deployment.project)) {
+    throw new HttpError(403, 'You do not have access to this deployment');
+  }
+
+  return deployment;
+};
+
+module.exports = {
+  canManageProject,
+  getManageableProject,
+  getManageableDeployment
+};
@@ -0,0 +1,215 @@
+const { prisma } = require('../../utils/prismaClient');
+const { HttpError } = require('../../utils/httpError');
+const { encrypt, decrypt } = require('../../utils/encryption');
+const { isSecretReference, isProjectSecretReference, getProjectSecretPrefix } = require('../secrets/secretResolver');
+
+const MASKED_VALUE = '********';
+
+// Variables the build task sets itself, a project cannot override them
+const RESERVED_KEYS = [
+  'GIT_URI', 'GIT_BRANCH', 'GIT_COMMIT_SHA', 'GIT_COMMIT_MESSAGE', 'GIT_COMMIT_AUTHOR',
+  'PROJECT_ID', 'DEPLOYMENT_ID', 'BUILD_COMMAND', 'ROOT_DIRECTORY', 'OUTPUT_DIRECTORY', 'NODE_VERSION', 'PACKAGE_MANAGER',
+  'CACHE_KEY', 'CACHE_RESTORE_LOCATION', 'CACHE_SAVE_LOCATION'
+];
+
+/**
+ * Strip the encrypted value of a stored variable for API responses
+ * @param {Object} envVar - ProjectEnvVar record
+ * @returns {Object} Variable with a masked value
+ */
+const maskEnvVar = ({ encryptedValue, iv, ...envVar }) => ({
+  ...envVar,
+  value: MASKED_VALUE
+});
+
+/**
+ * Reject keys the build task reserves for itself
+ * @param {String} key - Variable name
+ */
+const assertKeyAllowed = (key) => {
+  if (RESERVED_KEYS.includes(key)) {
+    throw new HttpError(400, `${key} is set by the build and cannot be overridden`);
+  }
+};
+
+/**
+ * Reject secret references to paths outside the project's own prefix
+ * @param {String} projectId - Project id
+ * @param {String} value - Variable value
+ */
+const assertSecretReferenceAllowed = (projectId, value) => {
+  if (isSecretReference(value) && !isProjectSecretReference(projectId, value)) {
+    throw new HttpError(400, `Secret references must start with ssm:${getProjectSecretPrefix(projectId)}`);
+  }
+};
+
+/**
+ * List a project's variables with masked values
+ * @param {String} projectId - Project id
+ * @param {String} environment - Optional environment filter
+ * @returns {Promise<Array>} Masked variables
+ */
+async function listEnvVars(projectId, environment) {
+  const envVars = await prisma.projectEnvVar.findMany({
+    where: {
+      projectId,
+      ...(environment ? { environment } : {})
+    },
+    orderBy: [{ environment: 'asc' }, { key: 'asc' }]
+  });
+  return envVars.map(maskEnvVar);
+}
+
+/**
+ * Store a new variable for one environment of a project
+ * @param {Object} params - Variable parameters
+ * @param {String} params.projectId - Project id
+ * @param {String} params.environment - Environment the variable applies to
+ * @param {String} params.key - Variable name
+ * @param {String} params.value - Plain text value, encrypted before it is stored
+ * @returns {Promise<Object>} Masked variable
+ */
+async function createEnvVar({ projectId, environment, key, value }) {
+  assertKeyAllowed(key);
+  assertSecretReferenceAllowed(projectId, value);
+
+  const existing = await prisma.projectEnvVar.findUnique({
+    where: { projectId_environment_key: { projectId, environment, key } }
+  });
+  if (existing) {
+    throw new HttpError(409, `${key} already exists for ${environment}`);
+  }
+
+  const { encryptedData, iv } = encrypt(value);
+  const envVar = await prisma.projectEnvVar.create({
+    data: { projectId, environment, key, encryptedValue: encryptedData, iv }
+  });
+  return maskEnvVar(envVar);
+}
+
+/**
+ * Replace the value of a stored variable
+ * @param {Object} params - Update parameters
+ * @param {String} params.projectId - Project the variable must belong to
+ * @param {String} params.envVarId - Variable id
+ * @param {String} params.value - New plain text value
+ * @returns {Promise<Object>} Masked variable
+ */
+async function updateEnvVar({ projectId, envVarId, value }) {
+  assertSecretReferenceAllowed(projectId, value);
+  await findProjectEnvVar(projectId, envVarId);
+
+  const { encryptedData, iv } = encrypt(value);
+  const envVar = await prisma.projectEnvVar.update({
+    where: { id: envVarId },
+    data: { encryptedValue: encryptedData, iv }
+  });
+  return maskEnvVar(envVar);
+}
+
+/**
+ * Delete a stored variable
+ * @param {Object} params - Delete parameters
+ * @param {String} params.projectId - Project the variable must belong to
+ * @param {String} params.envVarId - Variable id
+ * @returns {Promise<Object>} Deleted variable, masked
+ */
+async function deleteEnvVar({ projectId, envVarId }) {
+  await findProjectEnvVar(projectId, envVarId);
+
+  const envVar = await prisma.projectEnvVar.delete({ where: { id: envVarId } });
+  return maskEnvVar(envVar);
+}
+
+/**
+ * Load a variable and make sure it belongs to the project
+ * @param {String} projectId - Project id
+ * @param {String} envVarId - Variable id
+ * @returns {Promise<Object>} ProjectEnvVar record
+ */
+async function findProjectEnvVar(projectId, envVarId) {
+  const envVar = await prisma.projectEnvVar.findUnique({ where: { id: envVarId } });
+  if (!envVar || envVar.projectId !== projectId) {
+    throw new HttpError(404, 'Environment variable not found');
+  }
+  return envVar;
+}
+
+/**
+ * Decrypted variables of a project environment in the build task format
+ * @param {String} projectId - Project id
+ * @param {String} environment - Environment being deployed
+ * @returns {Promise<Array>} `[{ name, value }]`
+ */
+async function getBuildEnvVars(projectId, environment) {
+  const envVars = await prisma.projectEnvVar.findMany({
+    where: { projectId, environment },
+    orderBy: { key: 'asc' }
+  });
+  return envVars.map(({ key, encryptedValue, iv }) => ({
+    name: key,
+    value: decrypt({ encryptedData: encryptedValue, iv })
+  }));
+}
+
+/**
+ * Variables a deployment's build gets: the stored ones of its environment and
+ * the ones sent with the deploy request, which win on duplicate names. Fork
+ * previews run code anyone could have written and get neither.
+ * @param {Object} deployment - Deployment being built
+ * @param {Array|Object} requestEnvVars - Variables from the job payload
+ * @returns {Promise<Object>} `{ stored, request }` in the build task format, stored ones without those the request overrides
+ */
+async function getDeploymentEnvVars(deployment, requestEnvVars) {
+  if (deployment.isFork) {
+    return { stored: [], request: [] };
+  }
+
+  const request = normalizeEnvVars(requestEnvVars);
+  const stored = (await getBuildEnvVars(deployment.projectId, deployment.environment))
+    .filter(({ name }) => !request.some((envVar) => envVar.name === name));
+  return { stored, request };
+}
+
+/**
+ * Bring request supplied variables into the build task format.
+ * Accepts `[{ key, value }]` as sent by /deploy, `[{ name, value }]` or a plain object.
+ * @param {Array|Object} envVars - Variables from the job payload
+ * @returns {Array} `[{ name, value }]`
+ */
+const normalizeEnvVars = (envVars) => {
+  if (!envVars || typeof envVars !== 'object') {
+    return [];
+  }
+
+  const entries = Array.isArray(envVars)
+    ? envVars.map((envVar) => [envVar.key ?? envVar.name, envVar.value])
+    : Object.entries(envVars);
+
+  return entries
+    .filter(([name]) => typeof name === 'string' && name.trim() !== '')
+    .map(([name, value]) => ({ name: name.trim(), value: String(value ?? '') }));
+};
+
+/**
+ * Merge variable lists, later lists win on duplicate names
+ * @param {...Array} lists - `[{ name, value }]` lists in increasing priority
+ * @returns {Array} Merged `[{ name, value }]`
+ */
+const mergeEnvVars = (...lists) => {
+  const merged = new Map();
+  lists.flat().forEach(({ name, value }) => merged.set(name, value));
+  return [...merged].map(([name, value]) => ({ name, value }));
+};
+
+module.exports = {
+  RESERVED_KEYS,
+  listEnvVars,
+  createEnvVar,
+  updateEnvVar,
+  deleteEnvVar,
+  getBuildEnvVars,
+  getDeploymentEnvVars,
+  normalizeEnvVars,
+  mergeEnvVars
+};
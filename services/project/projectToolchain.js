@@ -0,0 +1,70 @@
+const { prisma } = require('../../utils/prismaClient');
+const GitHubService = require('../github/githubService');
+const { getStoredGitHubToken } = require('../../auth/githubAuth');
+const { detectToolchain, resolveToolchain } = require('../build/buildToolchain');
+const { FlarenetConfigError, loadFlarenetConfig, getBuildDirectories } = require('../build/flarenetConfig');
+
+const githubService = new GitHubService();
+
+/**
+ * Detect the toolchain a project's repository pins at a commit and store it
+ * on the project next to the user's overrides
+ * @param {Object} params - Detection parameters
+ * @param {Object} params.project - Project record
+ * @param {String|null} params.ref - Commit sha or branch, the default branch when omitted
+ * @param {String|null} params.rootDirectory - Root directory of the build
+ * @returns {Promise<Object|null>} Result of detectToolchain, null without a GitHub token
+ */
+async function detectProjectToolchain({ project, ref = null, rootDirectory = null }) {
+  const token = await getStoredGitHubToken(project.ownerId);
+  if (!token) {
+    return null;
+  }
+
+  const { owner, repo } = githubService.parseGitHubUrl(project.gitUrl);
+  const detected = await detectToolchain({ githubService, owner, repo, token, ref, rootDirectory });
+
+  await prisma.project.update({
+    where: { id: project.id },
+    data: {
+      detectedPackageManager: detected.packageManager,
+      detectedNodeVersion: detected.nodeVersion,
+      toolchainDetectedAt: new Date()
+    }
+  });
+  return detected;
+}
+
+/**
+ * Toolchain of a project at its default branch: what the repository pins,
+ * what the user overrode, and what the next build would run with
+ * @param {Object} project - Project record
+ * @returns {Promise<Object>} `{ detected, overrides, resolved }`
+ */
+async function getProjectToolchain(project) {
+  let buildConfig = null;
+  try {
+    buildConfig = await loadFlarenetConfig({ project });
+  } catch (error) {
+    // A broken flarenet.json fails the build with its own message, here it only adds nothing
+    if (!(error instanceof FlarenetConfigError)) {
+      throw error;
+    }
+  }
+
+  const { rootDirectory } = getBuildDirectories(project, buildConfig);
+  const detected = await detectProjectToolchain({ project, rootDirectory });
+
+  return {
+    detected: detected
+      ? { packageManager: detected.packageManager, nodeVersion: detected.nodeVersion, nodeVersionSource: detected.nodeVersionSource }
+      : null,
+    overrides: { packageManager: project.packageManager, nodeVersion: project.nodeVersion },
+    resolved: resolveToolchain({ project, buildConfig, detected })
+  };
+}
+
+module.exports = {
+  detectProjectToolchain,
+  getProjectToolchain
+};
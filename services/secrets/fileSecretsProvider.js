@@ -0,0 +1,52 @@
+const fs = require('fs/promises');
+const path = require('path');
+const SecretsProvider = require('./secretsProvider');
+
+/**
+ * Reads secrets from a JSON file mapping paths to values, for development and tests:
+ *
+ *   { "/flarenet/prod/STRIPE_KEY": "sk_test_..." }
+ */
+class FileSecretsProvider extends SecretsProvider {
+  /**
+   * Create a new FileSecretsProvider instance
+   * @param {Object} options - Configuration options
+   * @param {String} options.filePath - JSON file holding the secrets
+   */
+  constructor(options = {}) {
+    super(options);
+    this.filePath = path.resolve(options.filePath || process.env.FLARENET_SECRETS_FILE || 'secrets.local.json');
+  }
+
+  get name() {
+    return 'file';
+  }
+
+  /**
+   * Read the requested paths from the secrets file.
+   * The file is read on every call so edits apply without a restart.
+   * @param {Array<String>} paths - Secret paths
+   * @returns {Promise<Map<String, String>>} Values by path
+   */
+  async getSecrets(paths) {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new Map();
+      }
+      throw new Error(`Could not read secrets file ${this.filePath}: ${error.message}`);
+    }
+
+    const secrets = new Map();
+    paths.forEach((secretPath) => {
+      if (Object.prototype.hasOwnProperty.call(stored, secretPath)) {
+        secrets.set(secretPath, String(stored[secretPath]));
+      }
+    });
+    return secrets;
+  }
+}
+
+module.exports = FileSecretsProvider;
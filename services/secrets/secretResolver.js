@@ -0,0 +1,85 @@
+const SECRET_REFERENCE_PREFIX = 'ssm:';
+
+// Secrets of a project live under `<prefix>/<projectId>/`, nothing else can be referenced
+const SECRET_PATH_PREFIX = (process.env.FLARENET_SECRETS_PATH_PREFIX || '/flarenet').replace(/\/+$/, '');
+
+/**
+ * Check whether an env var value references a secret
+ * @param {String} value - Env var value
+ * @returns {Boolean} Value is a reference like `ssm:/flarenet/<projectId>/prod/STRIPE_KEY`
+ */
+const isSecretReference = (value) => {
+  return typeof value === 'string' && value.startsWith(SECRET_REFERENCE_PREFIX) && value.length > SECRET_REFERENCE_PREFIX.length;
+};
+
+/**
+ * Path prefix the secrets of a project must sit under
+ * @param {String} projectId - Project id
+ * @returns {String} Prefix like `/flarenet/<projectId>/`
+ */
+const getProjectSecretPrefix = (projectId) => `${SECRET_PATH_PREFIX}/${projectId}/`;
+
+/**
+ * Check whether a reference points at a secret of the project.
+ * Paths with `.` or `..` segments are refused, they could leave the prefix.
+ * @param {String} projectId - Project id
+ * @param {String} value - Reference like `ssm:/flarenet/<projectId>/prod/STRIPE_KEY`
+ * @returns {Boolean} Reference may be resolved for the project
+ */
+const isProjectSecretReference = (projectId, value) => {
+  if (!projectId || !isSecretReference(value)) {
+    return false;
+  }
+  const path = value.slice(SECRET_REFERENCE_PREFIX.length);
+  const prefix = getProjectSecretPrefix(projectId);
+  return path.startsWith(prefix)
+    && path.length > prefix.length
+    && !path.split('/').some((segment) => segment === '.' || segment === '..');
+};
+
+/**
+ * Replace secret references in a variable list with their values.
+ * Only pass variables stored on the project, never ones sent with a request.
+ * References outside the project's prefix are refused before the provider is
+ * asked, and the names of all variables whose secret does not exist are
+ * reported, so a build never starts with a reference instead of a value.
+ * @param {Array<{name: String, value: String}>} envVars - Stored variables to resolve
+ * @param {SecretsProvider} provider - Provider answering the references
+ * @param {Object} options - Resolution options
+ * @param {String} options.projectId - Project the variables belong to
+ * @returns {Promise<Array<{name: String, value: String}>>} Resolved variables
+ */
+async function resolveSecretReferences(envVars, provider, { projectId }) {
+  const foreign = envVars.filter(({ value }) => isSecretReference(value) && !isProjectSecretReference(projectId, value));
+  if (foreign.length > 0) {
+    throw new Error(`Secret references must start with ssm:${getProjectSecretPrefix(projectId)}: ${foreign.map(({ name, value }) => `${name} (${value})`).join(', ')}`);
+  }
+
+  const paths = [...new Set(envVars
+    .filter(({ value }) => isSecretReference(value))
+    .map(({ value }) => value.slice(SECRET_REFERENCE_PREFIX.length)))];
+
+  if (paths.length === 0) {
+    return envVars;
+  }
+
+  const secrets = await provider.getSecrets(paths);
+
+  const missing = envVars.filter(({ value }) =>
+    isSecretReference(value) && !secrets.has(value.slice(SECRET_REFERENCE_PREFIX.length)));
+  if (missing.length > 0) {
+    throw new Error(`Secrets not found in ${provider.name} for: ${missing.map(({ name, value }) => `${name} (${value})`).join(', ')}`);
+  }
+
+  return envVars.map(({ name, value }) => ({
+    name,
+    value: isSecretReference(value) ? secrets.get(value.slice(SECRET_REFERENCE_PREFIX.length)) : value
+  }));
+}
+
+module.exports = {
+  isSecretReference,
+  getProjectSecretPrefix,
+  isProjectSecretReference,
+  resolveSecretReferences
+};
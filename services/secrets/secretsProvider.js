@@ -0,0 +1,35 @@
+/**
+ * Base class for secrets providers.
+ *
+ * Env var values of the form `ssm:/path/to/secret` are references, not values.
+ * The deployment worker hands the referenced paths to a provider right before
+ * the build starts, so the plaintext only exists in the build task itself.
+ */
+class SecretsProvider {
+  /**
+   * Create a new SecretsProvider instance
+   * @param {Object} options - Provider specific configuration
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Short identifier of the provider, used in logs
+   * @returns {String} Provider name
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Look up secrets by path
+   * @param {Array<String>} paths - Secret paths, e.g. `/flarenet/prod/STRIPE_KEY`
+   * @returns {Promise<Map<String, String>>} Values by path, unknown paths are left out
+   */
+  async getSecrets(paths) {
+    throw new Error(`${this.constructor.name} does not implement getSecrets`);
+  }
+}
+
+module.exports = SecretsProvider;
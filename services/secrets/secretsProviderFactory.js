@@ -0,0 +1,41 @@
+const SsmSecretsProvider = require('./ssmSecretsProvider');
+const FileSecretsProvider = require('./fileSecretsProvider');
+
+const providers = {
+  ssm: SsmSecretsProvider,
+  file: FileSecretsProvider
+};
+
+let secretsProvider;
+
+/**
+ * Create a secrets provider by name
+ * @param {String} type - 'ssm' or 'file'
+ * @param {Object} options - Options forwarded to the provider constructor
+ * @returns {SecretsProvider} Provider instance
+ */
+const createSecretsProvider = (type, options = {}) => {
+  const Provider = providers[type];
+  if (!Provider) {
+    throw new Error(`Unknown secrets provider "${type}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+/**
+ * Get the configured secrets provider (singleton pattern).
+ * Selected with FLARENET_SECRETS_PROVIDER, defaults to SSM.
+ * @returns {SecretsProvider} Provider instance
+ */
+const getSecretsProvider = () => {
+  if (!secretsProvider) {
+    secretsProvider = createSecretsProvider(process.env.FLARENET_SECRETS_PROVIDER || 'ssm');
+    console.log(`Secrets provider initialized: ${secretsProvider.name}`);
+  }
+  return secretsProvider;
+};
+
+module.exports = {
+  createSecretsProvider,
+  getSecretsProvider
+};
@@ -0,0 +1,46 @@
+const { GetParametersCommand } = require('@aws-sdk/client-ssm');
+const SecretsProvider = require('./secretsProvider');
+
+// GetParameters accepts at most 10 names per call
+const BATCH_SIZE = 10;
+
+/**
+ * Reads secrets from AWS Systems Manager Parameter Store
+ */
+class SsmSecretsProvider extends SecretsProvider {
+  /**
+   * Create a new SsmSecretsProvider instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.client - SSM client (default: shared client from utils/awsClient)
+   */
+  constructor(options = {}) {
+    super(options);
+    // Required lazily so the file provider never needs AWS configuration
+    this.client = options.client || require('../../utils/awsClient').ssmClient;
+  }
+
+  get name() {
+    return 'ssm';
+  }
+
+  /**
+   * Fetch and decrypt parameters in batches
+   * @param {Array<String>} paths - Parameter names
+   * @returns {Promise<Map<String, String>>} Values by parameter name
+   */
+  async getSecrets(paths) {
+    const secrets = new Map();
+
+    for (let i = 0; i < paths.length; i += BATCH_SIZE) {
+      const response = await this.client.send(new GetParametersCommand({
+        Names: paths.slice(i, i + BATCH_SIZE),
+        WithDecryption: true
+      }));
+      (response.Parameters || []).forEach(({ Name, Value }) => secrets.set(Name, Value));
+    }
+
+    return secrets;
+  }
+}
+
+module.exports = SsmSecretsProvider;
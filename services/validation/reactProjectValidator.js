@@ -1,4 +1,8 @@
 const GitHubService = require('../github/githubService');
+const { detectToolchain, getRunCommand } = require('../build/buildToolchain');
+
+// Packages of a monorepo inspected during validation, the rest is left out of the result
+const MAX_WORKSPACE_PACKAGES = 50;
 
 /**
  * Service for validating React projects
@@ -18,9 +22,10 @@ class ReactProjectValidator {
    * @param {String} params.owner - Repository owner
    * @param {String} params.repo - Repository name
    * @param {String} params.token - GitHub token
+   * @param {String} params.rootDirectory - Directory of the app inside a monorepo, the repository root when omitted
    * @returns {Promise<Object>} Validation result
    */
-  async validateReactProject({ owner, repo, token }) {
+  async validateReactProject({ owner, repo, token, rootDirectory = null }) {
     try {
       // Input validation
       if (!owner || !repo) {
@@ -35,7 +40,7 @@ class ReactProjectValidator {
       const packageJson = await this.githubService.getFileContent({
         owner,
         repo,
-        path: 'package.json',
+        path: this.joinPath(rootDirectory, 'package.json'),
         token
       });
 
@@ -47,21 +52,39 @@ class ReactProjectValidator {
         hasScripts: Boolean(packageJson.scripts)
       });
 
+      // Package manager from the lockfile, Node version from .nvmrc or engines; build commands use the package manager
+      const { packageManager, nodeVersion, nodeVersionSource } = await detectToolchain({
+        githubService: this.githubService,
+        owner,
+        repo,
+        token,
+        rootDirectory,
+        packageJson
+      });
+
+      // Monorepo roots list their packages, each of them can be deployed as its own project
+      const workspaces = await this.listWorkspacePackages({ owner, repo, token, rootDirectory, packageJson, packageManager });
+
       // Check if it's a React project
       const isReact = this.hasReactDependency(packageJson);
       console.log('Is React project:', isReact);
       
-      if (!isReact) {
+      if (!isReact && !workspaces.some((workspace) => workspace.isReact)) {
         throw new Error('This is not a React project');
       }
 
-      // Detect React framework
-      const { framework, buildCommand } = this.detectReactFramework(packageJson);
+      // Detect React framework, a monorepo root itself is not built
+      const { framework, buildCommand } = isReact
+        ? this.detectReactFramework(packageJson, packageManager)
+        : { framework: 'Monorepo', buildCommand: null };
 
       return {
         isValid: true,
         framework,
         buildCommand,
+        rootDirectory,
+        toolchain: { packageManager, nodeVersion, nodeVersionSource },
+        workspaces,
         dependencies: {
           react: packageJson.dependencies?.react || packageJson.devDependencies?.react,
           ...this.getRelevantDependencies(packageJson)
@@ -100,11 +123,6 @@ class ReactProjectValidator {
       }
     }
     
-    // Check for workspaces (monorepo structure)
-    if (packageJson.workspaces) {
-      return true; // If it has workspaces, assume it might contain React in subpackages
-    }
-    
     // Check for React-related scripts
     if (packageJson.scripts) {
       const scriptValues = Object.values(packageJson.scripts).join(' ').toLowerCase();
@@ -125,6 +143,110 @@ class ReactProjectValidator {
     return false;
   }
 
+  /**
+   * Join a directory of the repository and a path inside it
+   * @param {String|null} directory - Directory, the repository root when empty
+   * @param {String} path - Path inside the directory
+   * @returns {String} Repository path
+   */
+  joinPath(directory, path) {
+    const base = (directory || '').replace(/^\.\/?/, '').replace(/\/+$/, '');
+    return base ? `${base}/${path}` : path;
+  }
+
+  /**
+   * Get the workspace patterns of package.json (npm/yarn array or yarn `{ packages }` form)
+   * @param {Object} packageJson - package.json content
+   * @returns {Array<String>} Patterns such as `apps/*`
+   */
+  getWorkspacePatterns(packageJson) {
+    const workspaces = packageJson?.workspaces;
+    const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+    return Array.isArray(patterns) ? patterns.filter((pattern) => typeof pattern === 'string') : [];
+  }
+
+  /**
+   * Expand workspace patterns to package directories.
+   * Supports exact directories and a trailing `*` or `**` (one level deep);
+   * `!` patterns exclude directories again.
+   * @param {Object} params - Expansion parameters
+   * @param {String} params.owner - Repository owner
+   * @param {String} params.repo - Repository name
+   * @param {String} params.token - GitHub token
+   * @param {String|null} params.rootDirectory - Directory holding the workspace package.json
+   * @param {Array<String>} params.patterns - Workspace patterns
+   * @returns {Promise<Array<String>>} Package directories relative to the repository root
+   */
+  async expandWorkspacePatterns({ owner, repo, token, rootDirectory, patterns }) {
+    const normalize = (pattern) => this.joinPath(rootDirectory, pattern.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, ''));
+    const excluded = new Set(patterns.filter((pattern) => pattern.startsWith('!')).map(normalize));
+    const directories = new Set();
+
+    for (const pattern of patterns.filter((pattern) => !pattern.startsWith('!')).map(normalize)) {
+      const wildcard = pattern.match(/^(.*?)\/?\*{1,2}$/);
+      if (!wildcard) {
+        if (!pattern.includes('*')) directories.add(pattern);
+        continue;
+      }
+      if (wildcard[1].includes('*')) {
+        continue; // wildcards in the middle of a pattern are not expanded
+      }
+
+      try {
+        const entries = await this.githubService.listDirectory({ owner, repo, path: wildcard[1], token });
+        entries.filter((entry) => entry.type === 'dir').forEach((entry) => directories.add(entry.path));
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+      }
+    }
+
+    return [...directories].filter((directory) => !excluded.has(directory)).sort();
+  }
+
+  /**
+   * List the packages of a monorepo with what validation found in each of them
+   * @param {Object} params - Lookup parameters
+   * @param {String} params.owner - Repository owner
+   * @param {String} params.repo - Repository name
+   * @param {String} params.token - GitHub token
+   * @param {String|null} params.rootDirectory - Directory holding the workspace package.json
+   * @param {Object} params.packageJson - Content of that package.json
+   * @param {String|null} params.packageManager - Package manager of the monorepo, npm when unknown
+   * @returns {Promise<Array>} `{ name, path, isReact, framework, buildCommand }`, empty for single-package repositories
+   */
+  async listWorkspacePackages({ owner, repo, token, rootDirectory, packageJson, packageManager = null }) {
+    const patterns = this.getWorkspacePatterns(packageJson);
+    if (patterns.length === 0) {
+      return [];
+    }
+
+    const directories = await this.expandWorkspacePatterns({ owner, repo, token, rootDirectory, patterns });
+    const packages = [];
+    for (const directory of directories.slice(0, MAX_WORKSPACE_PACKAGES)) {
+      let workspaceJson;
+      try {
+        workspaceJson = await this.githubService.getFileContent({
+          owner,
+          repo,
+          path: this.joinPath(directory, 'package.json'),
+          token
+        });
+      } catch (error) {
+        if (error.statusCode === 404) continue; // directories without package.json are not packages
+        throw error;
+      }
+
+      const isReact = this.hasReactDependency(workspaceJson);
+      packages.push({
+        name: workspaceJson.name || directory,
+        path: directory,
+        isReact,
+        ...(isReact ? this.detectReactFramework(workspaceJson, packageManager) : { framework: null, buildCommand: null })
+      });
+    }
+    return packages;
+  }
+
   /**
    * Get relevant dependencies from package.json
    * @param {Object} packageJson - package.json content
@@ -151,24 +273,25 @@ class ReactProjectValidator {
   /**
    * Detect React framework from package.json
    * @param {Object} packageJson - package.json content
+   * @param {String|null} packageManager - Package manager running the build script, npm when unknown
    * @returns {Object} Framework and build command
    */
-  detectReactFramework(packageJson) {
+  detectReactFramework(packageJson, packageManager = null) {
     if (!packageJson) {
-      return { framework: 'Unknown', buildCommand: 'npm run build' };
+      return { framework: 'Unknown', buildCommand: getRunCommand(packageManager || 'npm', 'build') };
     }
 
     // Check for specific React frameworks
     if (packageJson.dependencies?.vite || packageJson.devDependencies?.vite) {
-      return { framework: 'Vite', buildCommand: this.getBuildCommand(packageJson, 'build') };
+      return { framework: 'Vite', buildCommand: this.getBuildCommand(packageJson, 'build', packageManager) };
     } else if (packageJson.dependencies?.['react-scripts']) {
-      return { framework: 'Create React App', buildCommand: this.getBuildCommand(packageJson, 'build') };
+      return { framework: 'Create React App', buildCommand: this.getBuildCommand(packageJson, 'build', packageManager) };
     } else if (packageJson.dependencies?.next) {
-      return { framework: 'Next.js', buildCommand: this.getBuildCommand(packageJson, 'build') };
+      return { framework: 'Next.js', buildCommand: this.getBuildCommand(packageJson, 'build', packageManager) };
     } else if (packageJson.dependencies?.gatsby) {
-      return { framework: 'Gatsby', buildCommand: this.getBuildCommand(packageJson, 'build') };
+      return { framework: 'Gatsby', buildCommand: this.getBuildCommand(packageJson, 'build', packageManager) };
     } else {
-      return { framework: 'Custom React', buildCommand: this.getBuildCommand(packageJson, 'build') };
+      return { framework: 'Custom React', buildCommand: this.getBuildCommand(packageJson, 'build', packageManager) };
     }
   }
 
@@ -176,34 +299,37 @@ class ReactProjectValidator {
    * Get build command from package.json scripts
    * @param {Object} packageJson - package.json content
    * @param {String} defaultScript - Default script name
+   * @param {String|null} packageManager - Package manager running the script, npm when unknown
    * @returns {String} Build command
    */
-  getBuildCommand(packageJson, defaultScript = 'build') {
+  getBuildCommand(packageJson, defaultScript = 'build', packageManager = null) {
+    const run = (script) => getRunCommand(packageManager || 'npm', script);
     if (packageJson.scripts && packageJson.scripts[defaultScript]) {
-      return `npm run ${defaultScript}`;
+      return run(defaultScript);
     }
     
     // Look for alternative build scripts
     const buildScripts = ['build', 'prod', 'production', 'compile'];
     for (const script of buildScripts) {
       if (packageJson.scripts && packageJson.scripts[script]) {
-        return `npm run ${script}`;
+        return run(script);
       }
     }
     
-    return 'npm run build';
+    return run('build');
   }
 
   /**
    * Validate a GitHub repository URL
    * @param {String} url - GitHub repository URL
    * @param {String} token - GitHub token
+   * @param {String} rootDirectory - Directory of the app inside a monorepo
    * @returns {Promise<Object>} Validation result
    */
-  async validateReactProjectByUrl(url, token) {
+  async validateReactProjectByUrl(url, token, rootDirectory = null) {
     try {
       const { owner, repo } = this.githubService.parseGitHubUrl(url); //here this will return {owener and repo}
-      return await this.validateReactProject({ owner, repo, token });
+      return await this.validateReactProject({ owner, repo, token, rootDirectory });
     } catch (error) {
       return {
         isValid: false,
@@ -1,14 +1,19 @@
-const buildQueue = require('../queues/buildQueue');
+const { prisma } = require('../utils/prismaClient');
+const { addOutboxJob, publishOutboxMessage } = require('../services/deployment/deploymentOutbox');
 module.exports = async function triggerBuild({ deploymentId, projectId, gitUrl }) {
     // console.log(`Triggering build for deploymentId: ${deploymentId}, projectId: ${projectId}`);
-    //add job to build queue it will buld by queue worker and hosted live as an update from user
+    //deployments queue their own build through the outbox now, this only serves workflow jobs still in flight
+    //the job goes through the outbox as well so the relay retries it when redis is down
+    const message = await addOutboxJob(prisma, {
+        name: 'deploy',
+        data: { deploymentId: deploymentId, projectId: projectId, gitUrl: gitUrl },
+        jobId: deploymentId,
+        deploymentId: deploymentId,
+    });
     try {
-        //current idea is to push jpb inside main build queue from here as per decided architrrcture
-        await buildQueue.add('deploy', { deploymentId: deploymentId, projectId: projectId, gitUrl: gitUrl });
-        // console.log("job sent to above layer build queue as per architecture decided");
+        await publishOutboxMessage(message);
     }
     catch (error) {
-        console.error('Error triggering build:', error.message);
-        throw error;
+        console.error('Error triggering build, left to the outbox relay:', error.message);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,39 @@
+/**
+ * Branch Rule Tests
+ *
+ * Verifies branch pattern matching and the first-match-wins evaluation used
+ * to route GitHub pushes to an environment.
+ */
+
+const { matchesBranch, resolveBranchTarget, branchRulesSchema } = require('../services/project/branchRules');
+
+describe('Branch rules', () => {
+  const rules = [
+    { pattern: 'main', target: 'PRODUCTION' },
+    { pattern: 'develop', target: 'STAGING' },
+    { pattern: 'feature/*', target: 'PREVIEW' },
+    { pattern: 'release/**', target: 'STAGING' }
+  ];
+
+  test('should match single and multi segment wildcards', () => {
+    expect(matchesBranch('feature/*', 'feature/login')).toBe(true);
+    expect(matchesBranch('feature/*', 'feature/auth/login')).toBe(false);
+    expect(matchesBranch('release/**', 'release/2026/10')).toBe(true);
+    expect(matchesBranch('v1.0', 'v1x0')).toBe(false);
+  });
+
+  test('should use the first matching rule', () => {
+    expect(resolveBranchTarget(rules, 'main').target).toBe('PRODUCTION');
+    expect(resolveBranchTarget(rules, 'feature/login').target).toBe('PREVIEW');
+    expect(resolveBranchTarget([{ pattern: '**', target: 'IGNORE' }, ...rules], 'main').target).toBe('IGNORE');
+  });
+
+  test('should ignore unmatched branches only once rules exist', () => {
+    expect(resolveBranchTarget(rules, 'hotfix/typo')).toEqual({ target: 'IGNORE', rule: null });
+    expect(resolveBranchTarget(null, 'hotfix/typo')).toEqual({ target: 'DEVELOPMENT', rule: null });
+  });
+
+  test('should reject unknown targets', () => {
+    expect(branchRulesSchema.safeParse([{ pattern: 'main', target: 'PROD' }]).success).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Build Monitor Tests
+ *
+ * Drives waitForBuild with a mocked executor instead of ECS DescribeTasks,
+ * covering successful builds, failed exit codes, timeouts, cancellation and
+ * flaky polling.
+ */
+
+const { waitForBuild } = require('../services/build/buildMonitor');
+
+// Executor whose getBuildStatus walks through the given states, repeating the last one
+const createMockExecutor = (states) => {
+  let call = 0;
+  return {
+    getBuildStatus: jest.fn(async () => {
+      const state = states[Math.min(call, states.length - 1)];
+      call++;
+      if (state instanceof Error) {
+        throw state;
+      }
+      return state;
+    }),
+    stopBuild: jest.fn(async () => {})
+  };
+};
+
+describe('waitForBuild', () => {
+  test('should report success when the task stops with exit code 0', async () => {
+    const executor = createMockExecutor([
+      { status: 'PENDING', exitCode: null },
+      { status: 'RUNNING', exitCode: null },
+      { status: 'STOPPED', exitCode: 0 }
+    ]);
+    const onStatusChange = jest.fn();
+
+    const result = await waitForBuild({
+      executor,
+      taskId: 'task-1',
+      timeoutMs: 1000,
+      pollIntervalMs: 1,
+      onStatusChange
+    });
+
+    expect(result.succeeded).toBe(true);
+    expect(result.timedOut).toBe(false);
+    expect(onStatusChange.mock.calls.map(([state]) => state.status)).toEqual(['PENDING', 'RUNNING', 'STOPPED']);
+    expect(executor.stopBuild).not.toHaveBeenCalled();
+  });
+
+  test('should report failure for a non-zero exit code', async () => {
+    const executor = createMockExecutor([
+      { status: 'RUNNING', exitCode: null },
+      { status: 'STOPPED', exitCode: 1, reason: 'Essential container exited' }
+    ]);
+
+    const result = await waitForBuild({ executor, taskId: 'task-2', timeoutMs: 1000, pollIntervalMs: 1 });
+
+    expect(result.succeeded).toBe(false);
+    expect(result.exitCode).toBe(1);
+    expect(result.reason).toBe('Essential container exited');
+  });
+
+  test('should stop hung builds once the timeout is reached', async () => {
+    const executor = createMockExecutor([{ status: 'RUNNING', exitCode: null }]);
+
+    const result = await waitForBuild({ executor, taskId: 'task-3', timeoutMs: 20, pollIntervalMs: 5 });
+
+    expect(result.succeeded).toBe(false);
+    expect(result.timedOut).toBe(true);
+    expect(executor.stopBuild).toHaveBeenCalledWith('task-3', expect.stringContaining('timed out'));
+  });
+
+  test('should stop the build when the deployment is cancelled', async () => {
+    const executor = createMockExecutor([{ status: 'RUNNING', exitCode: null }]);
+    const isCancelled = jest.fn()
+      .mockResolvedValueOnce(false)
+      .mockResolvedValueOnce(true);
+
+    const result = await waitForBuild({ executor, taskId: 'task-6', timeoutMs: 1000, pollIntervalMs: 1, isCancelled });
+
+    expect(result.cancelled).toBe(true);
+    expect(result.succeeded).toBe(false);
+    expect(executor.stopBuild).toHaveBeenCalledWith('task-6', 'Deployment cancelled');
+  });
+
+  test('should tolerate transient status check failures', async () => {
+    const executor = createMockExecutor([
+      new Error('ThrottlingException'),
+      { status: 'STOPPED', exitCode: 0 }
+    ]);
+
+    const result = await waitForBuild({ executor, taskId: 'task-4', timeoutMs: 1000, pollIntervalMs: 1 });
+
+    expect(result.succeeded).toBe(true);
+  });
+
+  test('should give up after repeated status check failures', async () => {
+    const executor = createMockExecutor([new Error('AccessDenied')]);
+
+    await expect(waitForBuild({
+      executor,
+      taskId: 'task-5',
+      timeoutMs: 1000,
+      pollIntervalMs: 1,
+      maxPollErrors: 2
+    })).rejects.toThrow('AccessDenied');
+  });
+});
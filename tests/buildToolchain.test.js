@@ -0,0 +1,74 @@
+/**
+ * Build Toolchain Tests
+ *
+ * Checks that the package manager is detected from lockfiles and the Node
+ * version from .nvmrc or engines, and that project overrides and
+ * flarenet.json win over what the repository pins.
+ */
+
+const { detectToolchain, resolveToolchain, parseNvmrc, parseEnginesNode } = require('../services/build/buildToolchain');
+
+const createGitHubService = ({ directories, files = {}, texts = {} }) => ({
+  listDirectory: async ({ path }) => directories[path] || [],
+  getFileContent: async ({ path }) => {
+    if (!files[path]) throw Object.assign(new Error('Not found'), { statusCode: 404 });
+    return files[path];
+  },
+  getTextFile: async ({ path }) => texts[path]
+});
+
+describe('Build toolchain', () => {
+  test('should read Node versions from .nvmrc and engines', () => {
+    expect(parseNvmrc('v20.11.1\n')).toBe('20.11.1');
+    expect(parseNvmrc('lts/iron')).toBeNull();
+    expect(parseEnginesNode('>=18 <21')).toBe('18');
+    expect(parseEnginesNode('^20.11.0')).toBe('20');
+    expect(parseEnginesNode(undefined)).toBeNull();
+  });
+
+  test('should detect the package manager and the pinned Node version', async () => {
+    const githubService = createGitHubService({
+      directories: {
+        'apps/web': [{ name: 'package.json', path: 'apps/web/package.json', type: 'file', sha: 'pkg' }],
+        '': [
+          { name: 'package-lock.json', path: 'package-lock.json', type: 'file', sha: 'npm-lock' },
+          { name: 'pnpm-lock.yaml', path: 'pnpm-lock.yaml', type: 'file', sha: 'pnpm-lock' },
+          { name: '.nvmrc', path: '.nvmrc', type: 'file', sha: 'nvmrc' }
+        ]
+      },
+      files: { 'apps/web/package.json': { engines: { node: '>=18' } } },
+      texts: { '.nvmrc': 'v22.3.0\n' }
+    });
+
+    const detected = await detectToolchain({ githubService, owner: 'acme', repo: 'mono', token: 't', rootDirectory: 'apps/web' });
+
+    expect(detected).toEqual({
+      packageManager: 'pnpm',
+      lockfile: { path: 'pnpm-lock.yaml', sha: 'pnpm-lock', packageManager: 'pnpm' },
+      nodeVersion: '22.3.0',
+      nodeVersionSource: '.nvmrc'
+    });
+  });
+
+  test('should fall back to engines and then to the defaults', async () => {
+    const githubService = createGitHubService({
+      directories: { '': [{ name: 'yarn.lock', path: 'yarn.lock', type: 'file', sha: 'yarn-lock' }] },
+      files: { 'package.json': { engines: { node: '18.x' } } }
+    });
+    const detected = await detectToolchain({ githubService, owner: 'acme', repo: 'shop', token: 't' });
+    const project = { packageManager: null, nodeVersion: null };
+
+    expect(resolveToolchain({ project, detected })).toEqual({
+      packageManager: 'yarn', packageManagerSource: 'lockfile', nodeVersion: '18', nodeVersionSource: 'engines'
+    });
+    expect(resolveToolchain({ project, buildConfig: { nodeVersion: '20' }, detected })).toMatchObject({
+      nodeVersion: '20', nodeVersionSource: 'flarenet.json'
+    });
+    expect(resolveToolchain({ project: { packageManager: 'bun', nodeVersion: '21' }, buildConfig: { nodeVersion: '20' }, detected })).toEqual({
+      packageManager: 'bun', packageManagerSource: 'project', nodeVersion: '21', nodeVersionSource: 'project'
+    });
+    expect(resolveToolchain({ project, detected: null })).toMatchObject({
+      packageManager: 'npm', packageManagerSource: 'default', nodeVersionSource: 'default'
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Current Deployment Tests
+ *
+ * Checks which deployment a rollback picks when none is given, which explicit
+ * targets are refused, that previews are never rolled back to, and that every
+ * switch is recorded with the deployment it replaced.
+ */
+
+const mockDeployments = [];
+const mockCurrent = new Map();
+const mockSwitches = [];
+
+const mockMatches = (deployment, where) => Object.entries(where).every(([field, condition]) => {
+  if (condition && condition.not !== undefined) return deployment[field] !== condition.not;
+  if (condition && condition.lt !== undefined) return deployment[field] < condition.lt;
+  return deployment[field] === condition;
+});
+
+jest.mock('../utils/prismaClient', () => {
+  const client = {
+    deployment: {
+      findUnique: async ({ where }) => mockDeployments.find(({ id }) => id === where.id) || null,
+      findFirst: async ({ where }) => mockDeployments
+        .filter((deployment) => mockMatches(deployment, where))
+        .sort((a, b) => b.createdAt - a.createdAt)[0] || null
+    },
+    currentDeployment: {
+      findUnique: async ({ where, include }) => {
+        const { projectId, environment } = where.projectId_environment;
+        const deploymentId = mockCurrent.get(`${projectId}:${environment}`);
+        if (!deploymentId) return null;
+        return include?.deployment
+          ? { deploymentId, deployment: mockDeployments.find(({ id }) => id === deploymentId) }
+          : { deploymentId };
+      },
+      upsert: async ({ where, update }) => {
+        const { projectId, environment } = where.projectId_environment;
+        mockCurrent.set(`${projectId}:${environment}`, update.deploymentId);
+      }
+    },
+    deploymentSwitch: {
+      create: async ({ data }) => {
+        mockSwitches.push(data);
+        return data;
+      }
+    }
+  };
+  return { prisma: { ...client, $transaction: async (fn) => fn(client) } };
+});
+
+const { rollbackDeployment } = require('../services/deployment/currentDeployment');
+
+const addDeployment = (id, minutesAgo, fields = {}) => mockDeployments.push({
+  id,
+  projectId: 'proj-1',
+  environment: 'PRODUCTION',
+  status: 'ACTIVE',
+  isPreview: false,
+  createdAt: new Date(Date.now() - minutesAgo * 60000),
+  ...fields
+});
+
+describe('Rollback', () => {
+  beforeEach(() => {
+    mockDeployments.splice(0);
+    mockCurrent.clear();
+    mockSwitches.splice(0);
+
+    addDeployment('dep-oldest', 50);
+    addDeployment('dep-failed', 40, { status: 'FAILED' });
+    addDeployment('dep-previous', 30);
+    addDeployment('dep-staging', 25, { environment: 'STAGING' });
+    addDeployment('dep-current', 20);
+    addDeployment('dep-newer', 10);
+    addDeployment('dep-other-project', 5, { projectId: 'proj-2' });
+    mockCurrent.set('proj-1:PRODUCTION', 'dep-current');
+  });
+
+  test('should roll back to the newest successful deployment older than the current one', async () => {
+    const { deployment, switch: switchRecord } = await rollbackDeployment({ projectId: 'proj-1', environment: 'PRODUCTION', actorId: 7 });
+
+    expect(deployment.id).toBe('dep-previous');
+    expect(switchRecord).toEqual({
+      projectId: 'proj-1',
+      environment: 'PRODUCTION',
+      fromDeploymentId: 'dep-current',
+      toDeploymentId: 'dep-previous',
+      reason: 'ROLLBACK',
+      actorId: 7
+    });
+    expect(mockCurrent.get('proj-1:PRODUCTION')).toBe('dep-previous');
+
+    // Rolling back again walks further back
+    expect((await rollbackDeployment({ projectId: 'proj-1', environment: 'PRODUCTION', actorId: 7 })).deployment.id).toBe('dep-oldest');
+    await expect(rollbackDeployment({ projectId: 'proj-1', environment: 'PRODUCTION', actorId: 7 }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'No previous successful deployment to roll back to' });
+  });
+
+  test('should roll back to an explicit successful deployment of the environment', async () => {
+    const rollback = (deploymentId) => rollbackDeployment({ projectId: 'proj-1', environment: 'PRODUCTION', deploymentId, actorId: 7 });
+
+    await expect(rollback('dep-unknown')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(rollback('dep-other-project')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(rollback('dep-staging')).rejects.toMatchObject({ statusCode: 400, message: 'Deployment belongs to STAGING, not PRODUCTION' });
+    await expect(rollback('dep-failed')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(rollback('dep-current')).rejects.toMatchObject({ statusCode: 409, message: 'Deployment is already current' });
+    expect(mockSwitches).toEqual([]);
+
+    expect((await rollback('dep-newer')).deployment.id).toBe('dep-newer');
+  });
+
+  test('should never roll back to a preview', async () => {
+    addDeployment('dep-dev-previous', 30, { environment: 'DEVELOPMENT' });
+    addDeployment('dep-preview', 25, { environment: 'DEVELOPMENT', isPreview: true, pullRequestNumber: 12 });
+    addDeployment('dep-dev-current', 20, { environment: 'DEVELOPMENT' });
+    mockCurrent.set('proj-1:DEVELOPMENT', 'dep-dev-current');
+
+    const rollback = (deploymentId) => rollbackDeployment({ projectId: 'proj-1', environment: 'DEVELOPMENT', deploymentId, actorId: 7 });
+
+    await expect(rollback('dep-preview')).rejects.toMatchObject({ statusCode: 404 });
+    expect((await rollback()).deployment.id).toBe('dep-dev-previous');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Dependency Cache Tests
+ *
+ * Checks the cache key derivation, package manager overrides included, that
+ * deployments record a miss, save the archive after a successful build and hit
+ * it on the next build, hits and misses only being recorded once the build
+ * succeeded, and that purging deletes the archives.
+ */
+
+const mockCaches = [];
+const mockDeployments = new Map();
+const mockDirectories = {
+  '': [
+    { name: 'package.json', path: 'package.json', type: 'file', sha: 'pkg' },
+    { name: 'package-lock.json', path: 'package-lock.json', type: 'file', sha: 'lock-v1' }
+  ]
+};
+
+jest.mock('../auth/githubAuth', () => ({ getStoredGitHubToken: async () => 'token' }));
+
+jest.mock('../services/github/githubService', () => class {
+  parseGitHubUrl() {
+    return { owner: 'acme', repo: 'shop' };
+  }
+
+  async listDirectory({ path }) {
+    return mockDirectories[path] || [];
+  }
+});
+
+jest.mock('../utils/prismaClient', () => {
+  const findCache = ({ projectId, key }) => mockCaches.find((cache) => cache.projectId === projectId && cache.key === key);
+  return {
+    prisma: {
+      deployment: {
+        update: async ({ where, data }) => {
+          mockDeployments.set(where.id, { ...mockDeployments.get(where.id), ...data });
+          return mockDeployments.get(where.id);
+        }
+      },
+      buildCache: {
+        findMany: async ({ where }) => mockCaches.filter((cache) => cache.projectId === where.projectId && (!where.id || cache.id === where.id)),
+        deleteMany: async ({ where }) => {
+          const remaining = mockCaches.filter(({ id }) => !where.id.in.includes(id));
+          mockCaches.splice(0, mockCaches.length, ...remaining);
+          return { count: where.id.in.length };
+        },
+        findUnique: async ({ where }) => findCache(where.projectId_key) || null,
+        update: async ({ where, data }) => {
+          const cache = findCache(where.projectId_key);
+          cache.hits += data.hits.increment;
+          return cache;
+        },
+        upsert: async ({ create }) => {
+          const cache = { id: `cache-${mockCaches.length + 1}`, hits: 0, ...create };
+          mockCaches.push(cache);
+          return cache;
+        }
+      }
+    }
+  };
+});
+
+const { getCacheKey, prepareDependencyCache, getCacheEnvVars, recordCacheOutcome, purgeCaches } = require('../services/build/dependencyCache');
+const S3BuildCacheStore = require('../services/build/s3BuildCacheStore');
+
+const store = { getLocation: (projectId, key) => `/cache/${projectId}/${key}.tar.gz` };
+const project = { id: 'project-1', ownerId: 1, gitUrl: 'https://github.com/acme/shop' };
+const deployment = { id: 'dep-1', commitSha: 'abc123' };
+
+describe('Dependency cache', () => {
+  test('should key caches by lockfile, Node version and root directory', () => {
+    const lockfile = { path: 'package-lock.json', sha: 'lock-v1', packageManager: 'npm' };
+    const key = getCacheKey({ lockfile, nodeVersion: '20' });
+
+    expect(key).toMatch(/^npm-node20-[0-9a-f]{24}$/);
+    expect(getCacheKey({ lockfile, nodeVersion: '20' })).toBe(key);
+    expect(getCacheKey({ lockfile, nodeVersion: '22' })).not.toBe(key);
+    expect(getCacheKey({ lockfile: { ...lockfile, sha: 'lock-v2' }, nodeVersion: '20' })).not.toBe(key);
+    expect(getCacheKey({ lockfile, nodeVersion: '20', rootDirectory: 'apps/web' })).not.toBe(key);
+  });
+
+  test('should save after a miss and restore on the next build', async () => {
+    const miss = await prepareDependencyCache({ project, deployment, store });
+    expect(miss.hit).toBe(false);
+    // Nothing is known about the restore before the build ran
+    expect(mockDeployments.get('dep-1')).toEqual({ cacheKey: miss.key });
+    expect(getCacheEnvVars(miss)).toEqual([
+      { name: 'CACHE_KEY', value: miss.key },
+      { name: 'CACHE_SAVE_LOCATION', value: `/cache/project-1/${miss.key}.tar.gz` }
+    ]);
+
+    await recordCacheOutcome({ projectId: project.id, deploymentId: 'dep-1', cache: miss });
+    expect(mockDeployments.get('dep-1')).toEqual({ cacheKey: miss.key, cacheHit: false });
+
+    const hit = await prepareDependencyCache({ project, deployment: { id: 'dep-2', commitSha: 'def456' }, store });
+    expect(hit).toEqual({ key: miss.key, hit: true, location: `/cache/project-1/${miss.key}.tar.gz` });
+    expect(getCacheEnvVars(hit)[1].name).toBe('CACHE_RESTORE_LOCATION');
+    expect(mockDeployments.get('dep-2')).toEqual({ cacheKey: miss.key });
+    expect(mockCaches[0].hits).toBe(0);
+
+    await recordCacheOutcome({ projectId: project.id, deploymentId: 'dep-2', cache: hit });
+    expect(mockDeployments.get('dep-2')).toEqual({ cacheKey: miss.key, cacheHit: true });
+    expect(mockCaches[0].hits).toBe(1);
+  });
+
+  test('should key by the package manager the build installs with', async () => {
+    // The project overrides the package manager, the npm cache saved above must not be restored
+    expect(mockCaches.map(({ key }) => key)).toEqual([expect.stringMatching(/^npm-node20-/)]);
+    const overridden = await prepareDependencyCache({ project, deployment: { id: 'dep-3', commitSha: 'abc123' }, packageManager: 'pnpm', store });
+
+    expect(overridden.hit).toBe(false);
+    expect(overridden.key).toMatch(/^pnpm-node20-/);
+    expect(overridden.packageManager).toBe('pnpm');
+    expect(mockCaches.some(({ key }) => key === overridden.key)).toBe(false);
+  });
+
+  test('should delete the S3 objects of purged caches', async () => {
+    const sent = [];
+    const s3Store = new S3BuildCacheStore({
+      bucket: 'flarenet-cache',
+      client: { send: async (command) => sent.push(command.input) }
+    });
+    mockCaches.splice(0, mockCaches.length, { id: 'cache-s3', projectId: 'project-2', key: 'npm-node20-abc', location: s3Store.getLocation('project-2', 'npm-node20-abc') });
+
+    const purged = await purgeCaches({ projectId: 'project-2', store: s3Store });
+
+    expect(purged.map(({ id }) => id)).toEqual(['cache-s3']);
+    expect(mockCaches).toEqual([]);
+    expect(sent).toEqual([{ Bucket: 'flarenet-cache', Key: 'build-cache/project-2/npm-node20-abc.tar.gz' }]);
+  });
+
+  test('should refuse to purge without a configured store', async () => {
+    delete process.env.FLARENET_BUILD_CACHE_STORE;
+    delete process.env.FLARENET_BUILD_CACHE_BUCKET;
+    delete process.env.FLARENET_BUILD_EXECUTOR;
+    mockCaches.splice(0, mockCaches.length, { id: 'cache-kept', projectId: 'project-2', key: 'npm-node20-abc', location: 's3://x/y' });
+
+    await expect(purgeCaches({ projectId: 'project-2' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockCaches).toHaveLength(1);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Deploy Hook Tests
+ *
+ * Checks that hook tokens are only stored hashed, that a call with the
+ * right token queues a deployment of the hook's branch and environment,
+ * and that regenerated or revoked hooks stop accepting the old token.
+ */
+
+const mockHooks = new Map();
+const mockTriggered = [];
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    deployHook: {
+      create: async ({ data }) => {
+        const hook = { id: `hook-${mockHooks.size + 1}`, revokedAt: null, lastTriggeredAt: null, ...data };
+        mockHooks.set(hook.id, hook);
+        return { ...hook };
+      },
+      findUnique: async ({ where, include }) => {
+        const hook = mockHooks.get(where.id);
+        if (!hook) return null;
+        return include?.project ? { ...hook, project: { id: hook.projectId } } : { ...hook };
+      },
+      update: async ({ where, data }) => {
+        mockHooks.set(where.id, { ...mockHooks.get(where.id), ...data });
+        return { ...mockHooks.get(where.id) };
+      }
+    }
+  }
+}));
+
+jest.mock('../services/deployment/deploymentTrigger', () => ({
+  triggerDeployment: async (request) => {
+    mockTriggered.push(request);
+    return { deployment: { id: `dep-${mockTriggered.length}` }, policy: 'QUEUE', cancelled: [], approvalRequired: false };
+  }
+}));
+
+const {
+  createDeployHook,
+  regenerateDeployHookToken,
+  revokeDeployHook,
+  triggerDeployHook
+} = require('../services/project/deployHooks');
+
+describe('Deploy hooks', () => {
+  beforeEach(() => {
+    mockHooks.clear();
+    mockTriggered.length = 0;
+  });
+
+  test('should deploy the bound branch only with the right token', async () => {
+    const hook = await createDeployHook({ projectId: 'project-1', name: 'CMS', branch: 'main', environment: 'STAGING', userId: 7 });
+
+    expect(hook.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(hook.tokenHash).toBeUndefined();
+    expect(mockHooks.get(hook.id).tokenHash).not.toBe(hook.token);
+    expect(hook.url).toMatch(new RegExp(`/hooks/deploy/${hook.id}$`));
+
+    await expect(triggerDeployHook({ hookId: hook.id, token: 'wrong' })).rejects.toMatchObject({ statusCode: 401 });
+    await expect(triggerDeployHook({ hookId: hook.id })).rejects.toMatchObject({ statusCode: 401 });
+
+    const { deployment } = await triggerDeployHook({ hookId: hook.id, token: hook.token });
+    expect(deployment.id).toBe('dep-1');
+    expect(mockTriggered).toEqual([
+      { project: { id: 'project-1' }, environment: 'STAGING', branch: 'main', cause: 'Deploy hook "CMS"' }
+    ]);
+    expect(mockHooks.get(hook.id).lastTriggeredAt).toBeInstanceOf(Date);
+  });
+
+  test('should stop accepting old tokens after regeneration and revocation', async () => {
+    const hook = await createDeployHook({ projectId: 'project-1', name: 'CI', branch: 'main', environment: 'PRODUCTION', userId: 7 });
+    const regenerated = await regenerateDeployHookToken('project-1', hook.id);
+
+    await expect(triggerDeployHook({ hookId: hook.id, token: hook.token })).rejects.toMatchObject({ statusCode: 401 });
+    await triggerDeployHook({ hookId: hook.id, token: regenerated.token });
+
+    await expect(regenerateDeployHookToken('project-2', hook.id)).rejects.toMatchObject({ statusCode: 404 });
+    const revoked = await revokeDeployHook('project-1', hook.id);
+    expect(revoked.revoked).toBe(true);
+    await expect(triggerDeployHook({ hookId: hook.id, token: regenerated.token })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(regenerateDeployHookToken('project-1', hook.id)).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockTriggered).toHaveLength(1);
+  });
+});
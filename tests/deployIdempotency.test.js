@@ -0,0 +1,68 @@
+/**
+ * Deploy Idempotency Tests
+ *
+ * Runs the /deploy idempotency keys against ioredis-mock to verify that a
+ * retried request gets the first response back, that a key cannot be
+ * reused for another request or while its first request is running, and
+ * that storing a response is retried.
+ */
+
+const RedisMock = require('ioredis-mock');
+const { DeployIdempotency, getRequestFingerprint } = require('../services/deployment/deployIdempotency');
+
+describe('DeployIdempotency', () => {
+  let redis;
+  let idempotency;
+  const request = getRequestFingerprint({ projectId: 'project-1', environment: 'PRODUCTION' });
+
+  beforeEach(async () => {
+    redis = new RedisMock();
+    await redis.flushall();
+    idempotency = new DeployIdempotency({ redis, ttlSeconds: 60 });
+  });
+
+  afterEach(() => {
+    redis.disconnect();
+  });
+
+  test('should replay the stored response of a key', async () => {
+    expect(await idempotency.begin('project-1', 'key-1', request)).toBeNull();
+    await expect(idempotency.begin('project-1', 'key-1', request)).rejects.toMatchObject({ statusCode: 409 });
+
+    const response = { statusCode: 200, body: { status: 'queued', data: { deploymentId: 'deployment-a' } } };
+    await idempotency.complete('project-1', 'key-1', request, response);
+
+    expect(await idempotency.begin('project-1', 'key-1', request)).toEqual(response);
+    expect(await idempotency.begin('project-2', 'key-1', request)).toBeNull();
+  });
+
+  test('should refuse a key reused for another request and free released keys', async () => {
+    const other = getRequestFingerprint({ projectId: 'project-1', environment: 'STAGING' });
+    await idempotency.begin('project-1', 'key-1', request);
+
+    await expect(idempotency.begin('project-1', 'key-1', other)).rejects.toMatchObject({ statusCode: 422 });
+
+    await idempotency.release('project-1', 'key-1');
+    expect(await idempotency.begin('project-1', 'key-1', other)).toBeNull();
+  });
+
+  test('should retry storing a response before giving up', async () => {
+    const response = { statusCode: 200, body: { status: 'queued', data: { deploymentId: 'deployment-a' } } };
+    const flaky = new DeployIdempotency({ redis, ttlSeconds: 60, retryDelayMs: 0 });
+    await flaky.begin('project-1', 'key-1', request);
+
+    const set = redis.set.bind(redis);
+    let failures = 2;
+    redis.set = jest.fn(async (...args) => {
+      if (failures-- > 0) throw new Error('Connection is closed.');
+      return set(...args);
+    });
+
+    await flaky.complete('project-1', 'key-1', request, response);
+    expect(redis.set).toHaveBeenCalledTimes(3);
+    expect(await flaky.begin('project-1', 'key-1', request)).toEqual(response);
+
+    failures = 3;
+    await expect(flaky.complete('project-1', 'key-2', request, response)).rejects.toThrow('Connection is closed.');
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Deployment Approval Tests
+ *
+ * Checks that gated PRODUCTION deployments wait for approvals, that the final
+ * approval releases a deployment exactly once even when two arrive together,
+ * that a rejection or an expired request cancels it, and what the worker's
+ * approval gate answers in each state.
+ */
+
+const mockDeployments = new Map();
+const mockApprovals = [];
+const mockProjects = new Map();
+const mockCalls = { stopped: [], switched: [], woken: [] };
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    project: {
+      findUnique: async ({ where }) => mockProjects.get(where.id) || null
+    },
+    deployment: {
+      findUnique: async ({ where }) => (mockDeployments.has(where.id) ? { ...mockDeployments.get(where.id) } : null),
+      updateMany: async ({ where, data }) => {
+        const current = mockDeployments.get(where.id);
+        if (!current || current.status !== where.status || (where.approvalExpiresAt && current.approvalExpiresAt === null)) {
+          return { count: 0 };
+        }
+        mockDeployments.set(where.id, { ...current, ...data });
+        return { count: 1 };
+      }
+    },
+    deploymentApproval: {
+      create: async ({ data }) => {
+        if (mockApprovals.some(({ deploymentId, userId }) => deploymentId === data.deploymentId && userId === data.userId)) {
+          throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+        }
+        mockApprovals.push(data);
+        return { id: `approval-${mockApprovals.length}`, ...data };
+      },
+      count: async ({ where }) => mockApprovals.filter(({ deploymentId, decision }) => deploymentId === where.deploymentId && decision === where.decision).length
+    }
+  }
+}));
+
+jest.mock('../queues/buildQueue', () => ({
+  getJob: async (id) => ({
+    id,
+    getState: async () => 'delayed',
+    promote: async () => mockCalls.woken.push(id)
+  })
+}));
+
+jest.mock('../services/project/projectAccess', () => ({
+  getManageableDeployment: async (deploymentId) => {
+    const deployment = mockDeployments.get(deploymentId);
+    return { ...deployment, project: mockProjects.get(deployment.projectId) };
+  }
+}));
+
+jest.mock('../services/deployment/currentDeployment', () => ({
+  setCurrentDeployment: async (params) => mockCalls.switched.push(params)
+}));
+
+jest.mock('../services/deployment/deploymentCancellation', () => ({
+  stopDeployment: async (deployment, { reason }) => {
+    mockCalls.stopped.push({ id: deployment.id, reason });
+    mockDeployments.set(deployment.id, { ...mockDeployments.get(deployment.id), status: 'CANCELLED' });
+    return { deployment: { ...mockDeployments.get(deployment.id) } };
+  }
+}));
+
+jest.mock('../services/deployment/deploymentStateMachine', () => ({
+  transitionDeployment: async ({ deploymentId, to, data = {} }) => {
+    mockDeployments.set(deploymentId, { ...mockDeployments.get(deploymentId), ...data, status: to });
+    return { ...mockDeployments.get(deploymentId) };
+  }
+}));
+
+const {
+  requiresApproval,
+  checkApprovalGate,
+  approveDeployment,
+  rejectDeployment
+} = require('../services/deployment/deploymentApprovals');
+
+const HOUR = 60 * 60 * 1000;
+const admin = (userId) => ({ userId, role: 'ADMIN' });
+
+const addDeployment = (id, fields = {}) => {
+  mockDeployments.set(id, {
+    id,
+    projectId: 'proj-1',
+    environment: 'PRODUCTION',
+    isPreview: false,
+    status: 'AWAITING_APPROVAL',
+    approvalExpiresAt: new Date(Date.now() + HOUR),
+    promotedFromId: null,
+    ...fields
+  });
+};
+
+describe('Deployment approvals', () => {
+  beforeEach(() => {
+    mockDeployments.clear();
+    mockApprovals.length = 0;
+    Object.values(mockCalls).forEach((calls) => calls.splice(0));
+    mockProjects.set('proj-1', { id: 'proj-1', requiredApprovals: 2, approvalExpiryHours: 24 });
+  });
+
+  test('should only gate PRODUCTION deployments of projects requiring approvals', () => {
+    const project = mockProjects.get('proj-1');
+
+    expect(requiresApproval(project, { environment: 'PRODUCTION' })).toBe(true);
+    expect(requiresApproval(project, { environment: 'STAGING' })).toBe(false);
+    expect(requiresApproval(project, { environment: 'PRODUCTION', isPreview: true })).toBe(false);
+    expect(requiresApproval({ requiredApprovals: 0 }, { environment: 'PRODUCTION' })).toBe(false);
+  });
+
+  test('should release a build once the required approvals are reached', async () => {
+    addDeployment('dep-1');
+
+    const first = await approveDeployment({ deploymentId: 'dep-1', user: admin(1) });
+    expect(first).toMatchObject({ approvals: 1, requiredApprovals: 2, released: false });
+    await expect(approveDeployment({ deploymentId: 'dep-1', user: admin(1) })).rejects.toMatchObject({ statusCode: 409 });
+
+    const second = await approveDeployment({ deploymentId: 'dep-1', user: admin(2) });
+    expect(second).toMatchObject({ approvals: 2, released: true });
+    expect(second.deployment).toMatchObject({ status: 'AWAITING_APPROVAL', approvalExpiresAt: null });
+    expect(mockCalls.woken).toEqual(['dep-1']);
+  });
+
+  test('should release a promotion once when final approvals arrive together', async () => {
+    mockProjects.get('proj-1').requiredApprovals = 1;
+    addDeployment('dep-promoted', { promotedFromId: 'dep-staging' });
+
+    const results = await Promise.all([
+      approveDeployment({ deploymentId: 'dep-promoted', user: admin(1) }),
+      approveDeployment({ deploymentId: 'dep-promoted', user: admin(2) })
+    ]);
+
+    expect(results.map(({ released }) => released)).toEqual([true, true]);
+    expect(results.map(({ deployment }) => deployment.status)).toEqual(['ACTIVE', 'ACTIVE']);
+    expect(mockCalls.switched).toEqual([expect.objectContaining({ deploymentId: 'dep-promoted', reason: 'PROMOTE' })]);
+  });
+
+  test('should cancel a deployment on the first rejection', async () => {
+    addDeployment('dep-1');
+
+    const { deployment } = await rejectDeployment({ deploymentId: 'dep-1', user: admin(3), comment: 'Not on a Friday' });
+
+    expect(deployment.status).toBe('CANCELLED');
+    expect(mockCalls.stopped).toEqual([{ id: 'dep-1', reason: 'Rejected by user 3: Not on a Friday' }]);
+    await expect(approveDeployment({ deploymentId: 'dep-1', user: admin(1) })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('should cancel expired requests instead of approving them', async () => {
+    addDeployment('dep-1', { approvalExpiresAt: new Date(Date.now() - 1000) });
+
+    await expect(approveDeployment({ deploymentId: 'dep-1', user: admin(1) }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Approval request expired' });
+    expect(mockCalls.stopped).toEqual([{ id: 'dep-1', reason: 'Approval request expired' }]);
+    expect(mockApprovals).toEqual([]);
+  });
+
+  test('should gate the worker until approved or expired', async () => {
+    addDeployment('dep-new', { status: 'INACTIVE', approvalExpiresAt: null });
+    const waiting = await checkApprovalGate(mockDeployments.get('dep-new'));
+    expect(waiting.state).toBe('WAITING');
+    expect(mockDeployments.get('dep-new').status).toBe('AWAITING_APPROVAL');
+    expect(waiting.until.getTime()).toBeGreaterThan(Date.now() + 23 * HOUR);
+
+    mockApprovals.push({ deploymentId: 'dep-new', userId: 1, decision: 'APPROVED' }, { deploymentId: 'dep-new', userId: 2, decision: 'APPROVED' });
+    expect(await checkApprovalGate(mockDeployments.get('dep-new'))).toEqual({ state: 'OPEN' });
+
+    addDeployment('dep-expired', { approvalExpiresAt: new Date(Date.now() - 1000) });
+    expect(await checkApprovalGate(mockDeployments.get('dep-expired'))).toEqual({ state: 'CLOSED' });
+
+    addDeployment('dep-staging', { status: 'INACTIVE', environment: 'STAGING', approvalExpiresAt: null });
+    expect(await checkApprovalGate(mockDeployments.get('dep-staging'))).toEqual({ state: 'OPEN' });
+  });
+
+  test('should cancel a released deployment that is short of approvals', async () => {
+    // Released with one approval, then the project started requiring two
+    addDeployment('dep-released', { approvalExpiresAt: null });
+    mockApprovals.push({ deploymentId: 'dep-released', userId: 1, decision: 'APPROVED' });
+
+    expect(await checkApprovalGate(mockDeployments.get('dep-released'))).toEqual({ state: 'CLOSED' });
+    expect(mockCalls.stopped).toEqual([{ id: 'dep-released', reason: 'Released with fewer approvals than required' }]);
+    expect(mockDeployments.get('dep-released').status).toBe('CANCELLED');
+  });
+});
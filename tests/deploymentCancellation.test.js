@@ -0,0 +1,118 @@
+/**
+ * Deployment Cancellation Tests
+ *
+ * Checks that a queued deployment has its build job removed, that a running
+ * one has its build task stopped, and that deployments which already finished
+ * cannot be cancelled.
+ */
+
+const mockDeployments = new Map();
+const mockJobs = new Map();
+const mockStoppedBuilds = [];
+const mockExecutor = { knowsTask: true };
+
+jest.mock('../utils/prismaClient', () => {
+  const tx = {
+    deployment: {
+      findUnique: async ({ where }) => (mockDeployments.has(where.id) ? { ...mockDeployments.get(where.id) } : null),
+      updateMany: async ({ where, data }) => {
+        const current = mockDeployments.get(where.id);
+        if (!current || current.status !== where.status) return { count: 0 };
+        mockDeployments.set(where.id, { ...current, ...data });
+        return { count: 1 };
+      }
+    },
+    deploymentEvent: {
+      create: async ({ data }) => data
+    }
+  };
+  return { prisma: { ...tx, $transaction: async (fn) => fn(tx) } };
+});
+
+jest.mock('../queues/buildQueue', () => ({
+  getJob: async (id) => mockJobs.get(id) || null
+}));
+
+jest.mock('../services/build/buildExecutorFactory', () => ({
+  getBuildExecutor: () => ({
+    stopBuild: async (taskId, reason) => {
+      if (!mockExecutor.knowsTask) return { stopped: false };
+      mockStoppedBuilds.push({ taskId, reason });
+      return { stopped: true };
+    }
+  })
+}));
+
+jest.mock('../services/project/projectAccess', () => ({
+  getManageableDeployment: async (deploymentId) => ({ ...mockDeployments.get(deploymentId) })
+}));
+
+const { cancelDeployment } = require('../services/deployment/deploymentCancellation');
+
+const user = { userId: 7, role: 'USER' };
+
+const addJob = (id, state) => {
+  const job = { id, state, removed: false };
+  job.getState = async () => job.state;
+  job.remove = async () => {
+    job.removed = true;
+  };
+  mockJobs.set(id, job);
+  return job;
+};
+
+describe('Deployment cancellation', () => {
+  beforeEach(() => {
+    mockDeployments.clear();
+    mockJobs.clear();
+    mockStoppedBuilds.length = 0;
+    mockExecutor.knowsTask = true;
+  });
+
+  test('should remove the job of a queued deployment', async () => {
+    mockDeployments.set('dep-queued', { id: 'dep-queued', status: 'INACTIVE', taskArn: null });
+    const job = addJob('dep-queued', 'waiting');
+
+    const result = await cancelDeployment({ deploymentId: 'dep-queued', user });
+
+    expect(result).toMatchObject({ jobRemoved: true, buildStopped: false });
+    expect(result.deployment).toMatchObject({ status: 'CANCELLED', cancelledById: 7, cancelReason: 'Cancelled by user 7' });
+    expect(job.removed).toBe(true);
+    expect(mockStoppedBuilds).toEqual([]);
+  });
+
+  test('should stop the build task of a running deployment', async () => {
+    mockDeployments.set('dep-building', { id: 'dep-building', status: 'BUILDING', taskArn: 'arn:aws:ecs:us-east-1:1:task/builds/abc' });
+    const job = addJob('dep-building', 'active');
+
+    const result = await cancelDeployment({ deploymentId: 'dep-building', user });
+
+    expect(result).toMatchObject({ jobRemoved: false, buildStopped: true });
+    expect(result.deployment.status).toBe('CANCELLED');
+    // The worker holds the active job, it sees the CANCELLED status itself
+    expect(job.removed).toBe(false);
+    expect(mockStoppedBuilds).toEqual([{ taskId: 'arn:aws:ecs:us-east-1:1:task/builds/abc', reason: 'Cancelled by user 7' }]);
+  });
+
+  test('should not claim to stop a build this executor does not run', async () => {
+    // Local builds are held by the worker's executor, the API's one cannot signal them
+    mockExecutor.knowsTask = false;
+    mockDeployments.set('dep-local', { id: 'dep-local', status: 'BUILDING', taskArn: 'local-dep-local' });
+
+    const result = await cancelDeployment({ deploymentId: 'dep-local', user });
+
+    expect(result).toMatchObject({ buildStopped: false });
+    // The worker sees this status on its next poll and stops the build
+    expect(mockDeployments.get('dep-local').status).toBe('CANCELLED');
+  });
+
+  test('should refuse to cancel finished deployments', async () => {
+    for (const status of ['ACTIVE', 'FAILED', 'CANCELLED']) {
+      mockDeployments.set(`dep-${status}`, { id: `dep-${status}`, status, taskArn: null });
+
+      await expect(cancelDeployment({ deploymentId: `dep-${status}`, user }))
+        .rejects.toMatchObject({ statusCode: 409, message: `Deployment is ${status} and can no longer be cancelled` });
+      expect(mockDeployments.get(`dep-${status}`).status).toBe(status);
+    }
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Deployment Commit Tests
+ *
+ * Covers how commit details are captured from webhooks and manual deploys,
+ * and the checks done before two deployments are compared on GitHub.
+ */
+
+const mockDeployments = {};
+
+jest.mock('../auth/githubAuth', () => ({
+  getStoredGitHubToken: async (userId) => (userId === 1 ? 'gh-token' : null)
+}));
+jest.mock('../services/project/projectAccess', () => ({
+  getManageableDeployment: async (id) => mockDeployments[id]
+}));
+jest.mock('../services/github/githubService', () => jest.fn().mockImplementation(() => ({
+  parseGitHubUrl: () => ({ owner: 'acme', repo: 'site' }),
+  getCommit: async ({ ref }) => ({ sha: 'abc1234def', message: `Head of ${ref}`, author: 'octocat' }),
+  compareCommits: async ({ base, head }) => ({ status: 'ahead', aheadBy: 1, behindBy: 0, totalCommits: 1, commits: [{ sha: head }] })
+})));
+
+const {
+  commitFromPushEvent,
+  resolveDeployCommit,
+  compareDeployments
+} = require('../services/deployment/deploymentCommits');
+
+describe('Deployment commits', () => {
+  const project = { id: 'project-1', ownerId: 1, gitUrl: 'https://github.com/acme/site.git' };
+
+  test('should read the head commit of a push', () => {
+    expect(commitFromPushEvent({
+      after: 'ffff',
+      head_commit: { id: 'abc123', message: 'Fix header', author: { name: 'Octo Cat', username: 'octocat' } }
+    })).toEqual({ commitSha: 'abc123', commitMessage: 'Fix header', commitAuthor: 'octocat' });
+  });
+
+  test('should fill in commit details the caller left out', async () => {
+    expect(await resolveDeployCommit({ project, branch: 'main', commitMessage: 'Manual release' }))
+      .toEqual({ commitSha: 'abc1234def', commitMessage: 'Manual release', commitAuthor: 'octocat' });
+    expect(await resolveDeployCommit({ project: { ...project, ownerId: 2 }, branch: 'main' }))
+      .toEqual({ commitSha: null, commitMessage: null, commitAuthor: null });
+  });
+
+  test('should only compare deployments of one project with recorded commits', async () => {
+    mockDeployments.a = { id: 'a', projectId: 'project-1', commitSha: '1111111', project };
+    mockDeployments.b = { id: 'b', projectId: 'project-1', commitSha: '2222222', project };
+    mockDeployments.c = { id: 'c', projectId: 'project-2', commitSha: '3333333', project };
+    mockDeployments.d = { id: 'd', projectId: 'project-1', commitSha: null, project };
+    const user = { userId: 1, role: 'USER' };
+
+    const comparison = await compareDeployments({ baseId: 'a', headId: 'b', user });
+    expect(comparison.base.commitSha).toBe('1111111');
+    expect(comparison.commits).toEqual([{ sha: '2222222' }]);
+
+    await expect(compareDeployments({ baseId: 'a', headId: 'c', user })).rejects.toThrow('different projects');
+    await expect(compareDeployments({ baseId: 'a', headId: 'd', user })).rejects.toThrow('No commit recorded for deployment d');
+  });
+});
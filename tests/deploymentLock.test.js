@@ -0,0 +1,51 @@
+/**
+ * Deployment Lock Tests
+ *
+ * Runs the per-environment build lock against ioredis-mock to verify that
+ * only one deployment of a project environment can hold it at a time.
+ */
+
+const RedisMock = require('ioredis-mock');
+const DeploymentLock = require('../services/deployment/deploymentLock');
+
+describe('DeploymentLock', () => {
+  let redis;
+  let lock;
+
+  beforeEach(async () => {
+    redis = new RedisMock();
+    await redis.flushall();
+    lock = new DeploymentLock({ redis, ttlMs: 60000 });
+  });
+
+  afterEach(() => {
+    redis.disconnect();
+  });
+
+  test('should let only one deployment build an environment', async () => {
+    expect(await lock.acquire('project-1', 'PRODUCTION', 'deployment-a')).toBe(true);
+    expect(await lock.acquire('project-1', 'PRODUCTION', 'deployment-b')).toBe(false);
+    expect(await lock.getHolder('project-1', 'PRODUCTION')).toBe('deployment-a');
+  });
+
+  test('should keep environments and projects independent', async () => {
+    expect(await lock.acquire('project-1', 'PRODUCTION', 'deployment-a')).toBe(true);
+    expect(await lock.acquire('project-1', 'STAGING', 'deployment-b')).toBe(true);
+    expect(await lock.acquire('project-2', 'PRODUCTION', 'deployment-c')).toBe(true);
+  });
+
+  test('should be re-entrant for the deployment holding it', async () => {
+    expect(await lock.acquire('project-1', 'PRODUCTION', 'deployment-a')).toBe(true);
+    expect(await lock.acquire('project-1', 'PRODUCTION', 'deployment-a')).toBe(true);
+  });
+
+  test('should only be released by its holder', async () => {
+    await lock.acquire('project-1', 'PRODUCTION', 'deployment-a');
+
+    expect(await lock.release('project-1', 'PRODUCTION', 'deployment-b')).toBe(false);
+    expect(await lock.getHolder('project-1', 'PRODUCTION')).toBe('deployment-a');
+
+    expect(await lock.release('project-1', 'PRODUCTION', 'deployment-a')).toBe(true);
+    expect(await lock.acquire('project-1', 'PRODUCTION', 'deployment-b')).toBe(true);
+  });
+});
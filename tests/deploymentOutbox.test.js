@@ -0,0 +1,139 @@
+/**
+ * Deployment Outbox Tests
+ *
+ * Runs the outbox relay against an in-memory outbox table to verify that
+ * pending jobs are published once with their job id, that jobs the queue
+ * refused or never answered stay pending and are published again later, and
+ * that job data is stored encrypted.
+ */
+
+process.env.SECRET_KEY = '0123456789abcdef0123456789abcdef';
+
+const mockMessages = new Map();
+
+const mockMatches = (message, where) => Object.entries(where).every(([field, condition]) => {
+  if (condition && condition.lte) return message[field] <= condition.lte;
+  return message[field] === condition;
+});
+
+const mockApply = (message, data) => {
+  Object.entries(data).forEach(([field, value]) => {
+    message[field] = value && value.increment !== undefined ? message[field] + value.increment : value;
+  });
+};
+
+jest.mock('../queues/buildQueue', () => ({}));
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    outboxMessage: {
+      create: async ({ data }) => {
+        const message = { id: `msg-${mockMessages.size + 1}`, status: 'PENDING', attempts: 0, lastError: null, availableAt: new Date(Date.now() - 1000), ...data };
+        mockMessages.set(message.id, message);
+        return { ...message };
+      },
+      findMany: async ({ where }) => [...mockMessages.values()].filter((message) => mockMatches(message, where)).map((message) => ({ ...message })),
+      updateMany: async ({ where, data }) => {
+        const matching = [...mockMessages.values()].filter((message) => mockMatches(message, where));
+        matching.forEach((message) => mockApply(message, data));
+        return { count: matching.length };
+      },
+      update: async ({ where, data }) => mockApply(mockMessages.get(where.id), data)
+    }
+  }
+}));
+
+const { encrypt } = require('../utils/encryption');
+const { addOutboxJob, relayOutbox, publishOutboxMessage } = require('../services/deployment/deploymentOutbox');
+const { prisma } = require('../utils/prismaClient');
+
+const createQueue = () => {
+  const jobs = new Map();
+  return {
+    jobs,
+    down: false,
+    hanging: new Set(),
+    async add(name, data, { jobId }) {
+      if (this.down) throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+      // ioredis with maxRetriesPerRequest: null waits for Redis forever
+      if (this.hanging.has(jobId)) return new Promise(() => {});
+      if (!jobs.has(jobId)) jobs.set(jobId, { name, data });
+    }
+  };
+};
+
+const addMessage = (id) => mockMessages.set(id, {
+  id,
+  queue: 'buildQueue',
+  jobName: 'deploy',
+  jobId: `deployment-${id}`,
+  payload: encrypt(JSON.stringify({ deploymentId: `deployment-${id}` })),
+  status: 'PENDING',
+  attempts: 0,
+  lastError: null,
+  availableAt: new Date(Date.now() - 1000)
+});
+
+describe('Deployment outbox', () => {
+  beforeEach(() => {
+    mockMessages.clear();
+    // The relay logs every message it could not publish
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should publish pending jobs once with their job id', async () => {
+    const buildQueue = createQueue();
+    addMessage('a');
+    addMessage('b');
+
+    const stale = { ...mockMessages.get('a') };
+    expect(await relayOutbox({ queues: { buildQueue } })).toEqual({ published: 2, failed: 0 });
+    expect(await relayOutbox({ queues: { buildQueue } })).toEqual({ published: 0, failed: 0 });
+    // A relay still holding the message from before does not publish it again
+    expect(await publishOutboxMessage(stale, { queues: { buildQueue } })).toBe(false);
+
+    expect([...buildQueue.jobs.keys()]).toEqual(['deployment-a', 'deployment-b']);
+    expect(mockMessages.get('a')).toMatchObject({ status: 'PUBLISHED', attempts: 1 });
+  });
+
+  test('should keep jobs the queue refused and publish them later', async () => {
+    const buildQueue = createQueue();
+    buildQueue.down = true;
+    addMessage('a');
+
+    expect(await relayOutbox({ queues: { buildQueue } })).toEqual({ published: 0, failed: 1 });
+    expect(mockMessages.get('a')).toMatchObject({ status: 'PENDING', attempts: 1, lastError: expect.stringMatching(/ECONNREFUSED/) });
+    expect(mockMessages.get('a').availableAt.getTime()).toBeGreaterThan(Date.now());
+
+    buildQueue.down = false;
+    mockMessages.get('a').availableAt = new Date(Date.now() - 1000);
+    expect(await relayOutbox({ queues: { buildQueue } })).toEqual({ published: 1, failed: 0 });
+    expect(buildQueue.jobs.get('deployment-a')).toEqual({ name: 'deploy', data: { deploymentId: 'deployment-a' } });
+  });
+
+  test('should not let a queue that never answers stall the relay', async () => {
+    const buildQueue = createQueue();
+    buildQueue.hanging.add('deployment-a');
+    addMessage('a');
+    addMessage('b');
+
+    expect(await relayOutbox({ queues: { buildQueue }, timeoutMs: 20 })).toEqual({ published: 1, failed: 1 });
+    expect(mockMessages.get('a')).toMatchObject({ status: 'PENDING', attempts: 1, lastError: 'Queue did not answer within 20 ms' });
+    expect(mockMessages.get('b').status).toBe('PUBLISHED');
+  });
+
+  test('should store job data encrypted and publish it decrypted', async () => {
+    const buildQueue = createQueue();
+    const data = { deploymentId: 'deployment-c', envVars: [{ name: 'API_TOKEN', value: 'hunter2' }] };
+
+    const message = await addOutboxJob(prisma, { name: 'deploy', data, jobId: 'deployment-c', deploymentId: 'deployment-c' });
+
+    expect(JSON.stringify(mockMessages.get(message.id))).not.toContain('hunter2');
+    expect(await publishOutboxMessage(message, { queues: { buildQueue } })).toBe(true);
+    expect(buildQueue.jobs.get('deployment-c')).toEqual({ name: 'deploy', data });
+  });
+});
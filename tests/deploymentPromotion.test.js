@@ -0,0 +1,145 @@
+/**
+ * Deployment Promotion Tests
+ *
+ * Checks that only successful STAGING deployments can be promoted, that an
+ * ungated promotion goes live right away with the source's build, and that
+ * projects requiring approvals get the promotion held for approval instead.
+ */
+
+const mockDeployments = new Map();
+const mockSwitches = [];
+const mockCancelled = [];
+const mockEvents = [];
+const mockTx = { name: 'tx' };
+
+jest.mock('../utils/prismaClient', () => ({ prisma: {} }));
+jest.mock('../queues/buildQueue', () => ({}));
+
+jest.mock('../services/project/projectAccess', () => ({
+  getManageableDeployment: async (deploymentId) => {
+    const deployment = mockDeployments.get(deploymentId);
+    if (!deployment) {
+      const { HttpError } = require('../utils/httpError');
+      throw new HttpError(404, 'Deployment not found');
+    }
+    return { ...deployment };
+  }
+}));
+
+jest.mock('../services/deployment/currentDeployment', () => ({
+  setCurrentDeployment: async (params) => {
+    mockSwitches.push(params);
+    return { id: `switch-${mockSwitches.length}`, ...params };
+  }
+}));
+
+jest.mock('../services/deployment/deploymentConcurrency', () => ({
+  checkConcurrencyPolicy: async ({ project }) => ({ policy: project.concurrencyPolicy || 'QUEUE', wouldCancel: [] }),
+  applyConcurrencyPolicy: async ({ deployment }) => {
+    mockCancelled.push(deployment.id);
+    return { policy: 'CANCEL_PREVIOUS', cancelled: [] };
+  }
+}));
+
+jest.mock('../services/deployment/deploymentCancellation', () => ({ stopDeployment: async () => {} }));
+
+jest.mock('../services/deployment/deploymentStateMachine', () => ({
+  recordDeploymentCreated: async (deployment, { cause, actorId }, tx) => {
+    mockEvents.push({ deploymentId: deployment.id, cause, actorId, tx });
+  },
+  transitionDeployment: async ({ deploymentId, to, data = {} }) => {
+    mockDeployments.set(deploymentId, { ...mockDeployments.get(deploymentId), ...data, status: to });
+    return { ...mockDeployments.get(deploymentId) };
+  }
+}));
+
+jest.mock('../services/domains/hostnames', () => ({
+  createDeploymentWithSlug: async ({ data }, withinTransaction = null) => {
+    const deployment = { id: `dep-prod-${mockDeployments.size + 1}`, ...data };
+    mockDeployments.set(deployment.id, deployment);
+    if (withinTransaction) {
+      await withinTransaction(mockTx, { ...deployment });
+    }
+    return { ...deployment };
+  }
+}));
+
+const { promoteDeployment } = require('../services/deployment/deploymentPromotion');
+
+const user = { userId: 7, role: 'ADMIN' };
+
+const addDeployment = (id, fields = {}, project = {}) => mockDeployments.set(id, {
+  id,
+  projectId: 'proj-1',
+  environment: 'STAGING',
+  isPreview: false,
+  status: 'ACTIVE',
+  version: 'v1.2.0',
+  commitSha: 'abc1234',
+  artifactDeploymentId: null,
+  project: { id: 'proj-1', requiredApprovals: 0, approvalExpiryHours: 24, ...project },
+  ...fields
+});
+
+describe('Deployment promotion', () => {
+  beforeEach(() => {
+    mockDeployments.clear();
+    mockSwitches.length = 0;
+    mockCancelled.length = 0;
+    mockEvents.length = 0;
+  });
+
+  test('should only promote successful STAGING deployments', async () => {
+    addDeployment('dep-prod', { environment: 'PRODUCTION' });
+    addDeployment('dep-dev', { environment: 'DEVELOPMENT' });
+    addDeployment('dep-preview', { environment: 'STAGING', isPreview: true });
+    addDeployment('dep-failed', { status: 'FAILED' });
+
+    for (const deploymentId of ['dep-prod', 'dep-dev', 'dep-preview']) {
+      await expect(promoteDeployment({ deploymentId, user }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Only STAGING deployments can be promoted to PRODUCTION' });
+    }
+    await expect(promoteDeployment({ deploymentId: 'dep-failed', user }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Only successful deployments can be promoted, this one is FAILED' });
+    await expect(promoteDeployment({ deploymentId: 'dep-unknown', user })).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(mockDeployments.size).toBe(4);
+    expect(mockSwitches).toEqual([]);
+  });
+
+  test('should put an ungated promotion live with the source build', async () => {
+    addDeployment('dep-staging');
+
+    const { deployment, source, switch: switchRecord } = await promoteDeployment({ deploymentId: 'dep-staging', user });
+
+    expect(deployment).toMatchObject({
+      environment: 'PRODUCTION',
+      status: 'ACTIVE',
+      version: 'v1.2.0',
+      commitSha: 'abc1234',
+      promotedFromId: 'dep-staging',
+      artifactDeploymentId: 'dep-staging'
+    });
+    expect(source.project).toBeUndefined();
+    expect(switchRecord).toMatchObject({ environment: 'PRODUCTION', deploymentId: deployment.id, reason: 'PROMOTE', actorId: 7 });
+    expect(mockCancelled).toEqual([deployment.id]);
+    // The creation event is committed together with the deployment
+    expect(mockEvents).toEqual([{ deploymentId: deployment.id, cause: 'Promoted from STAGING deployment dep-staging', actorId: 7, tx: mockTx }]);
+
+    // Promoting a promotion keeps pointing at the original build
+    mockDeployments.set(deployment.id, { ...mockDeployments.get(deployment.id), environment: 'STAGING', project: mockDeployments.get('dep-staging').project });
+    const { deployment: again } = await promoteDeployment({ deploymentId: deployment.id, user });
+    expect(again.artifactDeploymentId).toBe('dep-staging');
+  });
+
+  test('should hold a gated promotion for approval', async () => {
+    addDeployment('dep-staging', {}, { requiredApprovals: 2 });
+
+    const { deployment, switch: switchRecord } = await promoteDeployment({ deploymentId: 'dep-staging', user });
+
+    expect(deployment.status).toBe('AWAITING_APPROVAL');
+    expect(new Date(deployment.approvalExpiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(switchRecord).toBeNull();
+    expect(mockSwitches).toEqual([]);
+  });
+});
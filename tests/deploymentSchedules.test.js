@@ -0,0 +1,157 @@
+/**
+ * Deployment Schedule Tests
+ *
+ * Checks schedule validation, that cron schedules become BullMQ job schedulers
+ * and one-off schedules delayed jobs on buildQueue, that a change which cannot
+ * be scheduled restores the previous schedule, and that firing a schedule
+ * queues a deployment linked to it.
+ */
+
+const mockSchedules = new Map();
+const mockQueue = { schedulers: new Map(), jobs: new Map() };
+const mockTriggered = [];
+let mockTriggerError = null;
+
+jest.mock('../queues/buildQueue', () => ({
+  upsertJobScheduler: async (id, repeat, template) => {
+    if (repeat.pattern === '0 3 * * 8') throw new Error('Validation error, cannot resolve alias "8"');
+    mockQueue.schedulers.set(id, { repeat, template });
+  },
+  removeJobScheduler: async (id) => mockQueue.schedulers.delete(id),
+  getJobScheduler: async (id) => (mockQueue.schedulers.has(id) ? { next: Date.UTC(2026, 9, 21, 1) } : undefined),
+  add: async (name, data, opts) => {
+    mockQueue.jobs.set(opts.jobId, { name, data, opts });
+  },
+  getJob: async (id) => (mockQueue.jobs.has(id) ? { remove: async () => mockQueue.jobs.delete(id) } : undefined)
+}));
+
+jest.mock('../services/deployment/deploymentTrigger', () => ({
+  triggerDeployment: async (request) => {
+    if (mockTriggerError) throw mockTriggerError;
+    mockTriggered.push(request);
+    return { deployment: { id: `dep-${mockTriggered.length}` } };
+  }
+}));
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    deploymentSchedule: {
+      create: async ({ data }) => {
+        const schedule = { id: `schedule-${mockSchedules.size + 1}`, enabled: true, lastRunAt: null, lastRunError: null, ...data };
+        mockSchedules.set(schedule.id, schedule);
+        return { ...schedule };
+      },
+      findUnique: async ({ where, include }) => {
+        const schedule = mockSchedules.get(where.id);
+        if (!schedule) return null;
+        return include?.project ? { ...schedule, project: { id: schedule.projectId } } : { ...schedule };
+      },
+      update: async ({ where, data }) => {
+        mockSchedules.set(where.id, { ...mockSchedules.get(where.id), ...data });
+        return { ...mockSchedules.get(where.id) };
+      },
+      delete: async ({ where }) => {
+        const schedule = mockSchedules.get(where.id);
+        mockSchedules.delete(where.id);
+        return schedule;
+      }
+    }
+  }
+}));
+
+const {
+  createScheduleSchema,
+  createSchedule,
+  updateSchedule,
+  runSchedule
+} = require('../services/deployment/deploymentSchedules');
+
+describe('Deployment schedules', () => {
+  beforeEach(() => {
+    mockSchedules.clear();
+    mockQueue.schedulers.clear();
+    mockQueue.jobs.clear();
+    mockTriggered.length = 0;
+    mockTriggerError = null;
+    // runSchedule logs every run it skips or could not deploy
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should validate cron, timezone and one-off times', () => {
+    const nightly = createScheduleSchema.safeParse({ name: 'Nightly', environment: 'PRODUCTION', cron: '0 3 * * *', timezone: 'Europe/Berlin' });
+    expect(nightly.success).toBe(true);
+    expect(createScheduleSchema.parse({ name: 'Nightly', environment: 'STAGING', cron: '0 3 * * *' }).timezone).toBe('UTC');
+
+    expect(createScheduleSchema.safeParse({ name: 'x', environment: 'STAGING' }).success).toBe(false);
+    expect(createScheduleSchema.safeParse({ name: 'x', environment: 'STAGING', cron: '0 3 * *' }).success).toBe(false);
+    expect(createScheduleSchema.safeParse({ name: 'x', environment: 'STAGING', cron: '0 3 * * *', timezone: 'Mars/Olympus' }).success).toBe(false);
+    expect(createScheduleSchema.safeParse({ name: 'x', environment: 'STAGING', runAt: '2020-01-01T00:00:00Z' }).success).toBe(false);
+    expect(createScheduleSchema.safeParse({ name: 'x', environment: 'STAGING', runAt: '2999-01-01T00:00:00' }).success).toBe(false);
+  });
+
+  test('should run cron schedules as job schedulers in their timezone', async () => {
+    const schedule = await createSchedule({
+      projectId: 'project-1', userId: 7, name: 'Nightly', environment: 'PRODUCTION', timezone: 'Europe/Berlin', cron: '0 3 * * *'
+    });
+
+    expect(schedule.type).toBe('CRON');
+    expect(schedule.nextRunAt).toEqual(new Date(Date.UTC(2026, 9, 21, 1)));
+    expect(mockQueue.schedulers.get(`schedule-${schedule.id}`)).toEqual({
+      repeat: { pattern: '0 3 * * *', tz: 'Europe/Berlin' },
+      template: { name: 'scheduledDeploy', data: { scheduleId: schedule.id } }
+    });
+
+    await updateSchedule({ projectId: 'project-1', scheduleId: schedule.id, changes: { enabled: false } });
+    expect(mockQueue.schedulers.size).toBe(0);
+  });
+
+  test('should restore the previous schedule when a change cannot be scheduled', async () => {
+    const schedule = await createSchedule({
+      projectId: 'project-1', userId: 7, name: 'Nightly', branch: 'main', environment: 'STAGING', timezone: 'UTC', cron: '0 3 * * *'
+    });
+
+    await expect(updateSchedule({
+      projectId: 'project-1',
+      scheduleId: schedule.id,
+      changes: { name: 'Weekly', branch: 'release', environment: 'PRODUCTION', timezone: 'Europe/Berlin', cron: '0 3 * * 8' }
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(mockSchedules.get(schedule.id)).toMatchObject({
+      name: 'Nightly', branch: 'main', environment: 'STAGING', timezone: 'UTC', cronExpression: '0 3 * * *', enabled: true
+    });
+    expect(mockQueue.schedulers.get(`schedule-${schedule.id}`).repeat).toEqual({ pattern: '0 3 * * *', tz: 'UTC' });
+  });
+
+  test('should fire a one-off schedule once and link the deployment', async () => {
+    const runAt = new Date(Date.now() + 60 * 60 * 1000);
+    const schedule = await createSchedule({
+      projectId: 'project-1', userId: 7, name: 'Launch', branch: 'launch', environment: 'PRODUCTION', timezone: 'UTC', runAt
+    });
+    const job = mockQueue.jobs.get(`schedule-${schedule.id}`);
+    expect(job.name).toBe('scheduledDeploy');
+    expect(job.opts.delay).toBeGreaterThan(59 * 60 * 1000);
+
+    const deployment = await runSchedule(schedule.id);
+    expect(deployment.id).toBe('dep-1');
+    expect(mockTriggered).toEqual([{
+      project: { id: 'project-1' }, environment: 'PRODUCTION', branch: 'launch', scheduleId: schedule.id, cause: 'Schedule "Launch"'
+    }]);
+    expect(mockSchedules.get(schedule.id)).toMatchObject({ enabled: false, lastRunError: null });
+    expect(await runSchedule(schedule.id)).toBeNull();
+  });
+
+  test('should record a run that could not deploy', async () => {
+    const schedule = await createSchedule({
+      projectId: 'project-1', userId: 7, name: 'Nightly', environment: 'STAGING', timezone: 'UTC', cron: '0 3 * * *'
+    });
+    mockTriggerError = new Error('A deployment of STAGING is already running');
+
+    expect(await runSchedule(schedule.id)).toBeNull();
+    expect(mockSchedules.get(schedule.id)).toMatchObject({ enabled: true, lastRunError: 'A deployment of STAGING is already running' });
+  });
+});
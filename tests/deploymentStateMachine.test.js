@@ -0,0 +1,110 @@
+/**
+ * Deployment State Machine Tests
+ *
+ * Checks the allowed status transitions and that every applied transition
+ * is written to the DeploymentEvent table, using an in-memory Prisma stand-in.
+ */
+
+const mockDeployments = new Map();
+const mockEvents = [];
+
+jest.mock('../utils/prismaClient', () => {
+  const tx = {
+    deployment: {
+      findUnique: async ({ where }) => (mockDeployments.has(where.id) ? { ...mockDeployments.get(where.id) } : null),
+      update: async ({ where, data }) => {
+        mockDeployments.set(where.id, { ...mockDeployments.get(where.id), ...data });
+        return { ...mockDeployments.get(where.id) };
+      },
+      updateMany: async ({ where, data }) => {
+        const current = mockDeployments.get(where.id);
+        if (!current || current.status !== where.status) return { count: 0 };
+        mockDeployments.set(where.id, { ...current, ...data });
+        return { count: 1 };
+      }
+    },
+    deploymentEvent: {
+      create: async ({ data }) => {
+        mockEvents.push(data);
+        return data;
+      }
+    }
+  };
+  return {
+    prisma: {
+      ...tx,
+      $transaction: async (fn) => fn(tx)
+    }
+  };
+});
+
+const {
+  canTransition,
+  transitionDeployment,
+  tryTransitionDeployment,
+  InvalidTransitionError
+} = require('../services/deployment/deploymentStateMachine');
+
+describe('Deployment state machine', () => {
+  beforeEach(() => {
+    mockDeployments.clear();
+    mockEvents.length = 0;
+    mockDeployments.set('dep-1', { id: 'dep-1', status: 'INACTIVE' });
+  });
+
+  test('should follow the build lifecycle', () => {
+    expect(canTransition('INACTIVE', 'PENDING')).toBe(true);
+    expect(canTransition('PENDING', 'BUILDING')).toBe(true);
+    expect(canTransition('BUILDING', 'ACTIVE')).toBe(true);
+    expect(canTransition('BUILDING', 'VERIFYING')).toBe(true);
+    expect(canTransition('VERIFYING', 'FAILED')).toBe(true);
+    expect(canTransition('VERIFYING', 'BUILDING')).toBe(false);
+    expect(canTransition('FAILED', 'ACTIVE')).toBe(false);
+    expect(canTransition('CANCELLED', 'PENDING')).toBe(false);
+  });
+
+  test('should only leave AWAITING_APPROVAL through approval, rejection or expiry', () => {
+    expect(canTransition('INACTIVE', 'AWAITING_APPROVAL')).toBe(true);
+    expect(canTransition('AWAITING_APPROVAL', 'PENDING')).toBe(true);
+    expect(canTransition('AWAITING_APPROVAL', 'CANCELLED')).toBe(true);
+    expect(canTransition('AWAITING_APPROVAL', 'BUILDING')).toBe(false);
+    expect(canTransition('FAILED', 'AWAITING_APPROVAL')).toBe(false);
+  });
+
+  test('should record every applied transition', async () => {
+    await transitionDeployment({ deploymentId: 'dep-1', to: 'PENDING', cause: 'Validation passed' });
+    const deployment = await transitionDeployment({
+      deploymentId: 'dep-1',
+      to: 'CANCELLED',
+      cause: 'Cancelled by user 7',
+      actorId: 7,
+      data: { cancelledById: 7 }
+    });
+
+    expect(deployment.status).toBe('CANCELLED');
+    expect(deployment.cancelledById).toBe(7);
+    expect(mockEvents).toEqual([
+      { deploymentId: 'dep-1', fromStatus: 'INACTIVE', toStatus: 'PENDING', cause: 'Validation passed', actorId: null },
+      { deploymentId: 'dep-1', fromStatus: 'PENDING', toStatus: 'CANCELLED', cause: 'Cancelled by user 7', actorId: 7 }
+    ]);
+  });
+
+  test('should refuse to revive a failed deployment', async () => {
+    mockDeployments.set('dep-1', { id: 'dep-1', status: 'FAILED' });
+
+    await expect(transitionDeployment({ deploymentId: 'dep-1', to: 'ACTIVE', cause: 'Log classified SUCCESS' }))
+      .rejects.toBeInstanceOf(InvalidTransitionError);
+    expect(await tryTransitionDeployment({ deploymentId: 'dep-1', to: 'ACTIVE', cause: 'Log classified SUCCESS' }))
+      .toBeNull();
+    expect(mockDeployments.get('dep-1').status).toBe('FAILED');
+    expect(mockEvents).toHaveLength(0);
+  });
+
+  test('should not record an event when the status does not change', async () => {
+    mockDeployments.set('dep-1', { id: 'dep-1', status: 'FAILED' });
+
+    await transitionDeployment({ deploymentId: 'dep-1', to: 'FAILED', cause: 'Job failed' });
+
+    expect(mockEvents).toHaveLength(0);
+  });
+});
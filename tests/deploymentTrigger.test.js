@@ -0,0 +1,164 @@
+/**
+ * Deployment Trigger Tests
+ *
+ * Checks the order in which a deployment is created: the concurrency policy
+ * refuses it before anything is written, older in-flight deployments are
+ * only cancelled once the new deployment and its build job are committed, and
+ * a queue that never answers does not hold the request up.
+ */
+
+process.env.SECRET_KEY = '0123456789abcdef0123456789abcdef';
+process.env.FLARENET_OUTBOX_PUBLISH_TIMEOUT_MS = '20';
+
+const mockDeployments = [];
+const mockEvents = [];
+const mockFailures = { create: false };
+const mockOutbox = new Map();
+const mockQueue = { jobs: [], hanging: false };
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    deployment: {
+      findMany: async ({ where }) => mockDeployments.filter((deployment) =>
+        deployment.projectId === where.projectId
+        && deployment.environment === where.environment
+        && !deployment.isPreview
+        && where.status.in.includes(deployment.status))
+    },
+    outboxMessage: {
+      updateMany: async ({ where, data }) => {
+        const message = mockOutbox.get(where.id);
+        if (!message || message.status !== where.status) return { count: 0 };
+        Object.assign(message, data);
+        return { count: 1 };
+      },
+      update: async ({ where, data }) => {
+        const message = mockOutbox.get(where.id);
+        Object.entries(data).forEach(([field, value]) => {
+          message[field] = value && value.increment !== undefined ? message[field] + value.increment : value;
+        });
+        return message;
+      }
+    }
+  }
+}));
+
+jest.mock('../queues/buildQueue', () => ({
+  add: (name, data, { jobId }) => {
+    // ioredis with maxRetriesPerRequest: null waits for Redis forever
+    if (mockQueue.hanging) return new Promise(() => {});
+    mockQueue.jobs.push(jobId);
+    return Promise.resolve();
+  }
+}));
+
+jest.mock('../services/github/githubService', () => class {});
+jest.mock('../auth/githubAuth', () => ({ getStoredGitHubToken: async () => 'token' }));
+
+jest.mock('../services/deployment/deploymentCommits', () => ({
+  resolveDeployCommit: async ({ commitSha }) => ({ commitSha: commitSha || 'abc1234', commitMessage: 'Fix', commitAuthor: 'ada' })
+}));
+
+jest.mock('../services/deployment/deploymentApprovals', () => ({ requiresApproval: () => false }));
+
+jest.mock('../services/deployment/deploymentCancellation', () => ({
+  CANCELLABLE_STATUSES: ['INACTIVE', 'AWAITING_APPROVAL', 'PENDING', 'BUILDING', 'VERIFYING'],
+  stopDeployment: async (deployment) => {
+    mockEvents.push(`cancel ${deployment.id}`);
+    deployment.status = 'CANCELLED';
+  }
+}));
+
+jest.mock('../services/deployment/deploymentStateMachine', () => ({
+  InvalidTransitionError: class InvalidTransitionError extends Error {},
+  recordDeploymentCreated: async () => {}
+}));
+
+jest.mock('../services/domains/hostnames', () => ({
+  createDeploymentWithSlug: async ({ data }, withinTransaction) => {
+    if (mockFailures.create) throw new Error('Connection lost');
+    const deployment = { id: `dep-new-${mockDeployments.length + 1}`, createdAt: new Date(), ...data };
+    const tx = {
+      outboxMessage: {
+        create: async ({ data: message }) => {
+          const created = { id: `msg-${mockOutbox.size + 1}`, status: 'PENDING', attempts: 0, availableAt: new Date(Date.now() - 1000), ...message };
+          mockOutbox.set(created.id, created);
+          return { ...created };
+        }
+      }
+    };
+    await withinTransaction(tx, deployment);
+    mockDeployments.push(deployment);
+    mockEvents.push(`create ${deployment.id}`);
+    return deployment;
+  }
+}));
+
+const { triggerDeployment } = require('../services/deployment/deploymentTrigger');
+
+const createProject = (concurrencyPolicy) => ({ id: 'proj-1', gitUrl: 'https://github.com/acme/shop.git', concurrencyPolicy });
+
+describe('Deployment trigger', () => {
+  beforeEach(() => {
+    mockDeployments.splice(0);
+    mockEvents.splice(0);
+    mockFailures.create = false;
+    mockOutbox.clear();
+    mockQueue.jobs.splice(0);
+    mockQueue.hanging = false;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockDeployments.push({ id: 'dep-old', projectId: 'proj-1', environment: 'PRODUCTION', status: 'BUILDING', createdAt: new Date(Date.now() - 60000) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should refuse under REJECT before creating anything', async () => {
+    await expect(triggerDeployment({ project: createProject('REJECT'), environment: 'PRODUCTION', cause: 'test' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Deployment dep-old is already in progress for PRODUCTION' });
+
+    expect(mockEvents).toEqual([]);
+    expect(mockDeployments).toHaveLength(1);
+  });
+
+  test('should cancel older deployments only after the new one is created', async () => {
+    const { deployment, policy, cancelled } = await triggerDeployment({
+      project: createProject('CANCEL_PREVIOUS'),
+      environment: 'PRODUCTION',
+      cause: 'test'
+    });
+
+    expect(policy).toBe('CANCEL_PREVIOUS');
+    expect(cancelled).toEqual(['dep-old']);
+    expect(mockEvents).toEqual([`create ${deployment.id}`, 'cancel dep-old']);
+    expect(deployment.status).toBe('INACTIVE');
+  });
+
+  test('should cancel nothing when the new deployment could not be created', async () => {
+    mockFailures.create = true;
+
+    await expect(triggerDeployment({ project: createProject('CANCEL_PREVIOUS'), environment: 'PRODUCTION', cause: 'test' }))
+      .rejects.toThrow('Connection lost');
+
+    expect(mockEvents).toEqual([]);
+    expect(mockDeployments[0].status).toBe('BUILDING');
+  });
+
+  test('should answer while the queue never does and leave the job to the relay', async () => {
+    mockQueue.hanging = true;
+
+    const { deployment } = await triggerDeployment({ project: createProject('QUEUE'), environment: 'PRODUCTION', cause: 'test' });
+
+    const [message] = [...mockOutbox.values()];
+    expect(message).toMatchObject({ jobId: deployment.id, status: 'PENDING', attempts: 1, lastError: 'Queue did not answer within 20 ms' });
+    expect(mockQueue.jobs).toEqual([]);
+  });
+
+  test('should publish the build job right away when the queue answers', async () => {
+    const { deployment } = await triggerDeployment({ project: createProject('QUEUE'), environment: 'PRODUCTION', cause: 'test' });
+
+    expect(mockQueue.jobs).toEqual([deployment.id]);
+    expect([...mockOutbox.values()][0].status).toBe('PUBLISHED');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Deployment Validation Route Tests
+ *
+ * Checks over HTTP that the repository URL and root directory sent in the
+ * body of /check-react-repo reach the validator, and that the query string
+ * route keeps reading them from the query.
+ */
+
+const express = require('express');
+
+const mockValidated = [];
+
+jest.mock('../utils/prismaClient', () => ({ prisma: {} }));
+
+jest.mock('../services/validation/reactProjectValidator', () => class {
+  async validateReactProjectByUrl(url, token, rootDirectory) {
+    mockValidated.push({ url, token, rootDirectory });
+    return { isValid: true, framework: 'react', rootDirectory };
+  }
+});
+
+const deploymentValidationRoutes = require('../routes/deploymentValidationRoutes');
+
+describe('Deployment validation routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', deploymentValidationRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mockValidated.length = 0;
+  });
+
+  test('should pass the url and root directory of the body to the validator', async () => {
+    const response = await fetch(`${baseUrl}/api/check-react-repo`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer gh-token', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 'https://github.com/acme/monorepo', rootDirectory: 'apps/web' })
+    });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).data.rootDirectory).toBe('apps/web');
+    expect(mockValidated).toEqual([{ url: 'https://github.com/acme/monorepo', token: 'gh-token', rootDirectory: 'apps/web' }]);
+  });
+
+  test('should reject an invalid root directory from the body', async () => {
+    const response = await fetch(`${baseUrl}/api/check-react-repo`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer gh-token', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 'https://github.com/acme/monorepo', rootDirectory: '../outside' })
+    });
+
+    expect(response.status).toBe(400);
+    expect(mockValidated).toEqual([]);
+  });
+
+  test('should keep reading the query string on the GET route', async () => {
+    const query = new URLSearchParams({ url: 'https://github.com/acme/shop', rootDirectory: 'packages/site' });
+    const response = await fetch(`${baseUrl}/api/react-by-url?${query}`, {
+      headers: { Authorization: 'Bearer gh-token' }
+    });
+
+    expect(response.status).toBe(200);
+    expect(mockValidated).toEqual([{ url: 'https://github.com/acme/shop', token: 'gh-token', rootDirectory: 'packages/site' }]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Domain Verification Tests
+ *
+ * Verifies custom domains against fixed TXT records through the static DNS
+ * resolver, using an in-memory Prisma stand-in.
+ */
+
+const mockDomains = new Map();
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    domain: {
+      findUnique: async ({ where }) => {
+        const found = where.id
+          ? mockDomains.get(where.id)
+          : [...mockDomains.values()].find((domain) => domain.hostname === where.hostname);
+        return found ? { ...found } : null;
+      },
+      update: async ({ where, data }) => {
+        mockDomains.set(where.id, { ...mockDomains.get(where.id), ...data });
+        return { ...mockDomains.get(where.id) };
+      }
+    }
+  }
+}));
+
+jest.mock('../services/deployment/currentDeployment', () => ({
+  getCurrentDeployment: async (projectId, environment) =>
+    (environment === 'PRODUCTION' ? { id: `current-${projectId}` } : null)
+}));
+
+const StaticDnsResolver = require('../services/domains/staticDnsResolver');
+const { hostnameSchema, verifyDomain, findDomainDeployment } = require('../services/domains/domainService');
+
+describe('Custom domains', () => {
+  beforeEach(() => {
+    mockDomains.clear();
+    mockDomains.set('dom-1', {
+      id: 'dom-1',
+      projectId: 'proj-1',
+      hostname: 'www.example.com',
+      verificationToken: 'abc123',
+      verifiedAt: null
+    });
+  });
+
+  test('should normalize and validate hostnames', () => {
+    expect(hostnameSchema.parse(' WWW.Example.com. ')).toBe('www.example.com');
+    expect(hostnameSchema.safeParse('example').success).toBe(false);
+    expect(hostnameSchema.safeParse('app.localhost').success).toBe(false);
+  });
+
+  test('should verify a domain whose TXT record matches', async () => {
+    const resolver = new StaticDnsResolver({
+      records: { '_flarenet-verification.www.example.com': ['other=1', 'flarenet-verification=abc123'] }
+    });
+
+    const domain = await verifyDomain({ projectId: 'proj-1', domainId: 'dom-1', resolver });
+
+    expect(domain.verified).toBe(true);
+    expect(domain.verificationToken).toBeUndefined();
+    expect(domain.deploymentId).toBe('current-proj-1');
+    expect(await findDomainDeployment('WWW.example.com')).toMatchObject({ deployment: { id: 'current-proj-1' } });
+  });
+
+  test('should keep a domain unverified while the record is missing', async () => {
+    const resolver = new StaticDnsResolver({ records: {} });
+
+    await expect(verifyDomain({ projectId: 'proj-1', domainId: 'dom-1', resolver }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(mockDomains.get('dom-1').verifiedAt).toBeNull();
+    expect(mockDomains.get('dom-1').lastCheckedAt).toBeInstanceOf(Date);
+    expect(await findDomainDeployment('www.example.com')).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * flarenet.json Tests
+ *
+ * Validates repository build configuration and derives the build command
+ * and the missing variables from it.
+ */
+
+jest.mock('../auth/githubAuth', () => ({ getStoredGitHubToken: async () => null }));
+
+const {
+  FlarenetConfigError,
+  parseFlarenetConfig,
+  getConfigBuildCommand,
+  findMissingEnvVars
+} = require('../services/build/flarenetConfig');
+
+describe('flarenet.json', () => {
+  test('should accept a complete configuration', () => {
+    const config = parseFlarenetConfig({
+      installCommand: 'pnpm install --frozen-lockfile',
+      buildCommand: 'pnpm build',
+      outputDirectory: 'dist',
+      rootDirectory: 'apps/web',
+      nodeVersion: '20',
+      env: ['API_URL'],
+      branchRules: [{ pattern: 'main', target: 'PRODUCTION' }]
+    });
+
+    expect(getConfigBuildCommand(config)).toBe('pnpm install --frozen-lockfile && pnpm build');
+    expect(getConfigBuildCommand(null)).toBe('npm install && npm run build');
+    expect(getConfigBuildCommand({ buildCommand: 'vite build' }, 'yarn')).toBe('yarn install && vite build');
+  });
+
+  test('should report every problem with its path', () => {
+    let error;
+    try {
+      parseFlarenetConfig({ rootDirectory: '../secrets', nodeVersion: 'latest', unknown: true });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(FlarenetConfigError);
+    expect(error.message).toMatch(/^flarenet\.json is invalid: /);
+    expect(error.message).toContain('rootDirectory: Must be a path inside the repository');
+    expect(error.message).toContain('nodeVersion: Must be a version like 20 or 20.11.1');
+    expect(error.message).toContain("Unrecognized key(s) in object: 'unknown'");
+  });
+
+  test('should list declared variables the build does not get', () => {
+    const config = parseFlarenetConfig({ env: ['API_URL', 'SENTRY_DSN'] });
+    expect(findMissingEnvVars(config, [{ name: 'API_URL', value: 'https://api' }])).toEqual(['SENTRY_DSN']);
+    expect(findMissingEnvVars(null, [])).toEqual([]);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Health Check Tests
+ *
+ * Checks which health check a build is verified with, that failed probes
+ * are retried until one passes or the retries are used up, and that every
+ * attempt is recorded on the deployment.
+ */
+
+const mockRecorded = [];
+const mockResponses = [];
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    deploymentHealthCheck: {
+      create: async ({ data }) => {
+        mockRecorded.push(data);
+        return data;
+      }
+    }
+  }
+}));
+
+jest.mock('../auth/githubAuth', () => ({ getStoredGitHubToken: async () => null }));
+
+jest.mock('axios', () => ({
+  get: async (url) => {
+    const next = mockResponses.shift();
+    if (next instanceof Error) throw next;
+    return { ...next, url };
+  }
+}));
+
+const { getHealthCheckConfig, runHealthChecks } = require('../services/deployment/healthChecks');
+
+const deployment = { id: 'dep-1', url: 'https://brave-otter-42.flarenet.app' };
+
+describe('Health checks', () => {
+  beforeEach(() => {
+    mockRecorded.length = 0;
+    mockResponses.length = 0;
+  });
+
+  test('should prefer the project setting over flarenet.json and apply defaults', () => {
+    const buildConfig = { healthCheck: { path: '/from-config' } };
+
+    expect(getHealthCheckConfig({ healthCheck: null }, null)).toBeNull();
+    expect(getHealthCheckConfig({ healthCheck: null }, buildConfig)).toEqual({
+      path: '/from-config',
+      expectedStatus: 200,
+      retries: 3,
+      intervalSeconds: 5,
+      timeoutSeconds: 10
+    });
+    expect(getHealthCheckConfig({ healthCheck: { path: '/healthz', retries: 0 } }, buildConfig))
+      .toMatchObject({ path: '/healthz', retries: 0 });
+  });
+
+  test('should retry until a probe passes and record every attempt', async () => {
+    mockResponses.push(new Error('connect ECONNREFUSED'), { status: 503, data: '' }, { status: 200, data: '{"status":"ok"}' });
+    const healthCheck = getHealthCheckConfig({ healthCheck: { path: '/healthz', bodyMatch: '"ok"' } }, null);
+
+    const result = await runHealthChecks({ deployment, healthCheck, wait: async () => {} });
+
+    expect(result).toEqual({ passed: true, cancelled: false, attempts: 3, reason: null });
+    expect(mockRecorded.map(({ attempt, statusCode, passed }) => [attempt, statusCode, passed]))
+      .toEqual([[1, null, false], [2, 503, false], [3, 200, true]]);
+    expect(mockRecorded[0].url).toBe('https://brave-otter-42.flarenet.app/healthz');
+  });
+
+  test('should fail once the retries are used up', async () => {
+    mockResponses.push({ status: 200, data: 'maintenance' }, { status: 200, data: 'maintenance' });
+    const healthCheck = getHealthCheckConfig({ healthCheck: { bodyMatch: 'welcome', retries: 1 } }, null);
+
+    const result = await runHealthChecks({ deployment, healthCheck, wait: async () => {} });
+
+    expect(result.passed).toBe(false);
+    expect(result.attempts).toBe(2);
+    expect(result.reason).toMatch(/does not contain "welcome"/);
+    expect(mockRecorded).toHaveLength(2);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Deploy Hook Route Tests
+ *
+ * Checks the public hook endpoint over HTTP: malformed hook ids are turned
+ * away before they reach the rate limiter, and the token is only read from
+ * the X-Flarenet-Hook-Token header or the body, never from the query string.
+ */
+
+const express = require('express');
+
+const mockLimited = [];
+const mockTriggered = [];
+
+jest.mock('../middlewares/tokenBucketLimiter', () => (options) => (req, res, next) => {
+  mockLimited.push(options.keyGenerator(req));
+  next();
+});
+
+jest.mock('../services/project/deployHooks', () => ({
+  triggerDeployHook: async ({ hookId, token }) => {
+    mockTriggered.push({ hookId, token });
+    if (!token) {
+      const { HttpError } = require('../utils/httpError');
+      throw new HttpError(401, 'Invalid deploy hook token');
+    }
+    return {
+      hook: { branch: 'main', environment: 'STAGING' },
+      deployment: { id: 'dep-1', url: 'https://dep-1.example.com', branch: 'main', commitSha: 'abc1234', environment: 'STAGING' },
+      policy: 'QUEUE',
+      cancelled: [],
+      approvalRequired: false
+    };
+  }
+}));
+
+const hookRoutes = require('../routes/hookRoutes');
+
+const HOOK_ID = '6f1c2d3e-4b5a-4c7d-8e9f-0a1b2c3d4e5f';
+
+describe('Deploy hook routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/hooks', hookRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mockLimited.length = 0;
+    mockTriggered.length = 0;
+  });
+
+  test('should reject malformed hook ids before rate limiting them', async () => {
+    const response = await fetch(`${baseUrl}/hooks/deploy/not-a-uuid`, { method: 'POST' });
+
+    expect(response.status).toBe(404);
+    expect(mockLimited).toEqual([]);
+    expect(mockTriggered).toEqual([]);
+  });
+
+  test('should read the token from the header or the body only', async () => {
+    const fromHeader = await fetch(`${baseUrl}/hooks/deploy/${HOOK_ID}`, {
+      method: 'POST',
+      headers: { 'X-Flarenet-Hook-Token': 'header-token' }
+    });
+    expect(fromHeader.status).toBe(202);
+    expect(mockLimited).toEqual([`deploy-hook:${HOOK_ID}`]);
+
+    const fromBody = await fetch(`${baseUrl}/hooks/deploy/${HOOK_ID}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: 'body-token' })
+    });
+    expect(fromBody.status).toBe(202);
+
+    const fromQuery = await fetch(`${baseUrl}/hooks/deploy/${HOOK_ID}?token=query-token`, { method: 'POST' });
+    expect(fromQuery.status).toBe(401);
+
+    expect(mockTriggered.map(({ token }) => token)).toEqual(['header-token', 'body-token', undefined]);
+  });
+});
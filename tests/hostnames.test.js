@@ -0,0 +1,123 @@
+/**
+ * Hostname Tests
+ *
+ * Covers slug generation against the unique constraint and alias shaped
+ * names, and the resolution of deployment slugs and aliases, using an
+ * in-memory Prisma stand-in.
+ */
+
+const mockProjects = [];
+const mockDeployments = [];
+const mockTakenSlugs = new Set();
+
+jest.mock('../utils/prismaClient', () => {
+  const matches = (record, where) => Object.entries(where).every(([key, value]) => {
+    if (value && typeof value === 'object' && 'not' in value) return record[key] !== value.not;
+    return record[key] === value;
+  });
+  return {
+    prisma: {
+      project: {
+        create: async ({ data }) => ({ id: `proj-${mockProjects.length + 1}`, ...data }),
+        findUnique: async ({ where }) => mockProjects.find((project) => matches(project, where)) || null,
+        findFirst: async ({ where }) => mockProjects.find((project) =>
+          (where.OR ? where.OR.some((condition) => matches(project, condition)) : matches(project, where))) || null
+      },
+      deployment: {
+        create: async ({ data }) => {
+          if (mockTakenSlugs.has(data.slug)) {
+            throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002', meta: { target: ['slug'] } });
+          }
+          mockTakenSlugs.add(data.slug);
+          return { id: `dep-${mockTakenSlugs.size}`, ...data };
+        },
+        findUnique: async ({ where }) => mockDeployments.find((deployment) => matches(deployment, where)) || null,
+        findFirst: async ({ where }) => mockDeployments.find((deployment) => matches(deployment, where)) || null,
+        findMany: async ({ where }) => mockDeployments.filter((deployment) => matches(deployment, where))
+      }
+    }
+  };
+});
+
+jest.mock('random-word-slugs', () => {
+  const words = ['taken-slug', 'brave-otter'];
+  return { generateSlug: () => words.shift() || 'calm-heron' };
+});
+
+jest.mock('../services/deployment/currentDeployment', () => ({
+  getCurrentDeployment: async (projectId) => mockDeployments.find((deployment) => deployment.id === `current-${projectId}`) || null
+}));
+
+jest.mock('../services/domains/domainService', () => ({
+  findDomainDeployment: async (hostname) =>
+    (hostname === 'www.shop.com' ? { deployment: { id: 'current-proj-1' } } : null)
+}));
+
+const { createDeploymentWithSlug, createProjectWithSlug, resolveHostname } = require('../services/domains/hostnames');
+
+describe('Hostnames', () => {
+  beforeAll(() => {
+    mockProjects.push({ id: 'proj-1', slug: 'shop', name: 'Shop' });
+    mockDeployments.push(
+      { id: 'current-proj-1', projectId: 'proj-1', slug: 'calm-heron-10', status: 'ACTIVE' },
+      { id: 'dep-branch', projectId: 'proj-1', slug: 'quick-fox-11', status: 'ACTIVE', branch: 'feature/X', branchLabel: 'feature-x' },
+      { id: 'dep-pr', projectId: 'proj-1', slug: 'old-owl-12', status: 'ACTIVE', isPreview: true, pullRequestNumber: 7 }
+    );
+  });
+
+  test('should retry with a new slug when one is taken', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    mockTakenSlugs.add('taken-slug-55');
+
+    const deployment = await createDeploymentWithSlug({ data: { projectId: 'proj-1' } });
+
+    expect(deployment.slug).toBe('brave-otter-55');
+    expect(deployment.url).toBe('https://brave-otter-55.localhost:9000');
+    expect(deployment.branchLabel).toBeNull();
+    Math.random.mockRestore();
+  });
+
+  test('should store the branch alias label of a deployment', async () => {
+    const deployment = await createDeploymentWithSlug({ data: { projectId: 'proj-1', branch: 'Feature/Login_Form' } });
+
+    expect(deployment.branchLabel).toBe('feature-login-form');
+  });
+
+  test('should resolve deployment slugs and aliases', async () => {
+    expect(await resolveHostname('quick-fox-11.localhost:9000')).toMatchObject({ kind: 'deployment', deployment: { id: 'dep-branch' } });
+    expect(await resolveHostname('shop.localhost')).toMatchObject({ kind: 'project', deployment: { id: 'current-proj-1' } });
+    expect(await resolveHostname('shop-git-feature-x.localhost:9000')).toMatchObject({ kind: 'branch', deployment: { id: 'dep-branch' } });
+    expect(await resolveHostname('shop-pr-7.localhost:9000')).toMatchObject({ kind: 'pullRequest', deployment: { id: 'dep-pr' } });
+    expect(await resolveHostname('WWW.shop.com')).toMatchObject({ kind: 'domain', deployment: { id: 'current-proj-1' } });
+  });
+
+  test('should not give projects slugs shaped like aliases or used by deployments', async () => {
+    expect((await createProjectWithSlug({ data: { name: 'shop-pr-7' } })).slug).toBe('shop-pr7');
+    expect((await createProjectWithSlug({ data: { name: 'Shop git feature x' } })).slug).toBe('shop-gitfeature-x');
+    expect((await createProjectWithSlug({ data: { name: 'Calm Heron 10' } })).slug).toMatch(/^calm-heron-10-[a-z]+-[a-z]+$/);
+  });
+
+  test('should keep aliases of a project when another one has an alias shaped slug', async () => {
+    // Slugs created before alias shapes were refused
+    mockProjects.push(
+      { id: 'proj-squatter-pr', slug: 'shop-pr-7', name: 'Squatter' },
+      { id: 'proj-squatter-git', slug: 'shop-git-feature-x', name: 'Squatter' }
+    );
+    mockDeployments.push(
+      { id: 'current-proj-squatter-pr', projectId: 'proj-squatter-pr', slug: 'sly-fox-13', status: 'ACTIVE' },
+      { id: 'current-proj-squatter-git', projectId: 'proj-squatter-git', slug: 'sly-fox-14', status: 'ACTIVE' }
+    );
+
+    expect(await resolveHostname('shop-pr-7.localhost:9000')).toMatchObject({ kind: 'pullRequest', deployment: { id: 'dep-pr' } });
+    expect(await resolveHostname('shop-git-feature-x.localhost:9000')).toMatchObject({ kind: 'branch', deployment: { id: 'dep-branch' } });
+
+    mockProjects.splice(-2);
+    mockDeployments.splice(-2);
+  });
+
+  test('should not resolve unknown hosts', async () => {
+    expect(await resolveHostname('nope.localhost:9000')).toBeNull();
+    expect(await resolveHostname('shop-git-unknown.localhost:9000')).toBeNull();
+    expect(await resolveHostname('a.b.localhost:9000')).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Infrastructure Profile Tests
+ *
+ * Checks that plan limits cap the profiles a project may build with and
+ * that the ECS executor runs build tasks with the size, network and region
+ * of the selected profile.
+ */
+
+const mockProfiles = new Map();
+const mockUsers = new Map();
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    infrastructureProfile: {
+      findUnique: async ({ where }) => mockProfiles.get(where.id) || null
+    },
+    user: {
+      findUnique: async ({ where }) => mockUsers.get(where.id) || null
+    }
+  }
+}));
+
+const { profileSchema, resolveBuildProfile } = require('../services/build/infrastructureProfiles');
+const EcsBuildExecutor = require('../services/build/ecsBuildExecutor');
+
+const heavy = {
+  id: 'profile-heavy',
+  ...profileSchema.parse({
+    name: 'heavy',
+    cpu: 4096,
+    memory: 8192,
+    region: 'eu-west-1',
+    taskDefinition: 'heavy_builder:3',
+    subnets: ['subnet-0aa11'],
+    securityGroups: ['sg-0bb22'],
+    assignPublicIp: false
+  })
+};
+
+describe('Infrastructure profiles', () => {
+  beforeEach(() => {
+    mockProfiles.clear();
+    mockUsers.clear();
+    mockProfiles.set(heavy.id, heavy);
+  });
+
+  test('should only resolve profiles the owner plan allows', async () => {
+    mockUsers.set(1, { plan: 'FREE' });
+    mockUsers.set(2, { plan: 'PRO' });
+
+    expect(await resolveBuildProfile({ ownerId: 1, infrastructureProfileId: null })).toBeNull();
+    await expect(resolveBuildProfile({ ownerId: 1, infrastructureProfileId: heavy.id }))
+      .rejects.toMatchObject({ statusCode: 403, message: expect.stringMatching(/exceeds the FREE plan limit/) });
+    await expect(resolveBuildProfile({ ownerId: 2, infrastructureProfileId: heavy.id })).resolves.toBe(heavy);
+    await expect(resolveBuildProfile({ ownerId: 2, infrastructureProfileId: 'gone' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should run the build task with the profile settings', async () => {
+    const sent = [];
+    const fakeClient = (region) => ({
+      send: async (command) => {
+        sent.push({ region, input: command.input });
+        return { tasks: [{ taskArn: `arn:aws:ecs:${region}:123456789012:task/builds/abc123` }] };
+      }
+    });
+    const executor = new EcsBuildExecutor({
+      client: fakeClient('us-east-1'),
+      createClient: fakeClient,
+      region: 'us-east-1',
+      cluster: 'default-cluster',
+      subnets: ['subnet-0default'],
+      securityGroups: ['sg-0default']
+    });
+
+    const { taskId } = await executor.startBuild({ environment: [], infrastructure: { ...heavy, cluster: 'builds' } });
+    await executor.stopBuild(taskId, 'test');
+    await executor.startBuild({ environment: [] });
+
+    expect(sent[0].region).toBe('eu-west-1');
+    expect(sent[0].input).toMatchObject({
+      cluster: 'builds',
+      taskDefinition: 'heavy_builder:3',
+      networkConfiguration: { awsvpcConfiguration: { assignPublicIp: 'DISABLED', subnets: ['subnet-0aa11'] } },
+      overrides: { cpu: '4096', memory: '8192' }
+    });
+    expect(sent[1]).toMatchObject({ region: 'eu-west-1', input: { cluster: 'builds', task: taskId } });
+    expect(sent[2].region).toBe('us-east-1');
+    expect(sent[2].input.overrides.cpu).toBeUndefined();
+    expect(sent[2].input.networkConfiguration.awsvpcConfiguration.subnets).toEqual(['subnet-0default']);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Preview Deployment Tests
+ *
+ * Checks that a new push supersedes in-flight builds of the same preview,
+ * that fork pull requests are flagged so their builds get no project
+ * variables, and that closing a pull request tears its previews down.
+ */
+
+const mockDeployments = [];
+const mockCreated = [];
+const mockQueued = [];
+const mockStopped = [];
+const mockTransitions = [];
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    deployment: {
+      findMany: async ({ where }) => mockDeployments.filter((deployment) =>
+        deployment.projectId === where.projectId
+        && deployment.isPreview === where.isPreview
+        && (where.pullRequestNumber === undefined || deployment.pullRequestNumber === where.pullRequestNumber)
+        && (where.branch === undefined || deployment.branch === where.branch)
+        && (typeof where.status === 'string' ? deployment.status === where.status : where.status.in.includes(deployment.status)))
+    }
+  }
+}));
+
+jest.mock('../services/deployment/deploymentTrigger', () => ({
+  createQueuedDeployment: async ({ project, data, job }) => {
+    const deployment = { id: `dep-new-${mockCreated.length + 1}`, status: 'INACTIVE', projectId: project.id, ...data };
+    mockCreated.push(deployment);
+    mockQueued.push({ deploymentId: deployment.id, gitUrl: job.gitUrl });
+    return deployment;
+  }
+}));
+
+jest.mock('../services/deployment/deploymentCancellation', () => ({
+  CANCELLABLE_STATUSES: ['INACTIVE', 'AWAITING_APPROVAL', 'PENDING', 'BUILDING', 'VERIFYING'],
+  stopDeployment: async (deployment, { reason }) => mockStopped.push({ id: deployment.id, reason })
+}));
+
+jest.mock('../services/deployment/deploymentStateMachine', () => ({
+  InvalidTransitionError: class InvalidTransitionError extends Error {},
+  tryTransitionDeployment: async ({ deploymentId, to }) => {
+    mockTransitions.push({ deploymentId, to });
+    return { id: deploymentId, status: to };
+  }
+}));
+
+jest.mock('../services/domains/hostnames', () => ({
+  getPullRequestUrl: async (project, number) => `https://shop-pr-${number}.flarenet.test`,
+  getBranchUrl: async (project, branch) => `https://shop-git-${branch}.flarenet.test`
+}));
+
+const { deployPreview, teardownPreviews, isForkPullRequest } = require('../services/deployment/previewDeployments');
+
+const project = { id: 'proj-1', gitUrl: 'https://github.com/acme/shop.git' };
+
+describe('Preview deployments', () => {
+  beforeEach(() => {
+    [mockDeployments, mockCreated, mockQueued, mockStopped, mockTransitions].forEach((list) => list.splice(0));
+  });
+
+  test('should supersede in-flight builds of the same pull request', async () => {
+    mockDeployments.push(
+      { id: 'dep-building', projectId: 'proj-1', isPreview: true, pullRequestNumber: 7, status: 'BUILDING' },
+      { id: 'dep-other-pr', projectId: 'proj-1', isPreview: true, pullRequestNumber: 8, status: 'BUILDING' }
+    );
+
+    const { deployment, previewUrl, cancelled } = await deployPreview({
+      project,
+      pullRequestNumber: 7,
+      branch: 'feature/login',
+      gitUrl: project.gitUrl,
+      commit: { commitSha: 'abc1234' }
+    });
+
+    expect(cancelled).toEqual(['dep-building']);
+    expect(mockStopped[0].reason).toBe('Superseded by a newer commit on pull request #7');
+    expect(deployment).toMatchObject({ environment: 'DEVELOPMENT', isPreview: true, isFork: false, pullRequestNumber: 7, commitSha: 'abc1234' });
+    expect(previewUrl).toBe('https://shop-pr-7.flarenet.test');
+    expect(mockQueued).toEqual([{ deploymentId: deployment.id, gitUrl: project.gitUrl }]);
+  });
+
+  test('should flag pull requests from forks', async () => {
+    const pullRequest = (head) => ({ head: { repo: head && { full_name: head } }, base: { repo: { full_name: 'acme/shop' } } });
+
+    expect(isForkPullRequest(pullRequest('acme/shop'))).toBe(false);
+    expect(isForkPullRequest(pullRequest('mallory/shop'))).toBe(true);
+    // The fork was deleted, GitHub sends no head repository
+    expect(isForkPullRequest(pullRequest(null))).toBe(true);
+
+    const { deployment } = await deployPreview({
+      project,
+      pullRequestNumber: 9,
+      branch: 'patch-1',
+      gitUrl: 'https://github.com/mallory/shop.git',
+      isFork: true
+    });
+    expect(deployment.isFork).toBe(true);
+    expect(mockQueued[0].gitUrl).toBe('https://github.com/mallory/shop.git');
+  });
+
+  test('should cancel and retire the previews of a closed pull request', async () => {
+    mockDeployments.push(
+      { id: 'dep-queued', projectId: 'proj-1', isPreview: true, pullRequestNumber: 7, status: 'INACTIVE' },
+      { id: 'dep-live', projectId: 'proj-1', isPreview: true, pullRequestNumber: 7, status: 'ACTIVE' },
+      { id: 'dep-prod', projectId: 'proj-1', isPreview: false, pullRequestNumber: null, status: 'ACTIVE' }
+    );
+
+    const result = await teardownPreviews({ project, pullRequestNumber: 7 });
+
+    expect(result).toEqual({ cancelled: ['dep-queued'], retired: ['dep-live'] });
+    expect(mockStopped[0].reason).toBe('Pull request #7 closed');
+    expect(mockTransitions).toEqual([{ deploymentId: 'dep-live', to: 'INACTIVE' }]);
+  });
+});
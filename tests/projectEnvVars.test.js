@@ -0,0 +1,96 @@
+/**
+ * Project Environment Variable Tests
+ *
+ * Verifies that stored variables are encrypted at rest and masked on read,
+ * and that request supplied variables keep their names in the build environment.
+ */
+
+const mockEnvVars = [];
+
+jest.mock('../utils/prismaClient', () => ({
+  prisma: {
+    projectEnvVar: {
+      findUnique: async () => null,
+      findMany: async ({ where }) => mockEnvVars.filter((envVar) =>
+        envVar.projectId === where.projectId && (!where.environment || envVar.environment === where.environment)),
+      create: async ({ data }) => {
+        const envVar = { id: `var-${mockEnvVars.length + 1}`, ...data };
+        mockEnvVars.push(envVar);
+        return envVar;
+      }
+    }
+  }
+}));
+
+const {
+  createEnvVar,
+  listEnvVars,
+  getBuildEnvVars,
+  getDeploymentEnvVars,
+  normalizeEnvVars,
+  mergeEnvVars
+} = require('../services/project/projectEnvVars');
+
+describe('Project environment variables', () => {
+  const originalSecretKey = process.env.SECRET_KEY;
+
+  beforeAll(() => {
+    process.env.SECRET_KEY = '0123456789abcdef0123456789abcdef';
+  });
+
+  afterAll(() => {
+    process.env.SECRET_KEY = originalSecretKey;
+  });
+
+  beforeEach(() => {
+    mockEnvVars.length = 0;
+  });
+
+  test('should encrypt values at rest and mask them on read', async () => {
+    const created = await createEnvVar({ projectId: 'project-1', environment: 'PRODUCTION', key: 'API_KEY', value: 'secret' });
+
+    expect(created.value).toBe('********');
+    expect(created.encryptedValue).toBeUndefined();
+    expect(mockEnvVars[0].encryptedValue).not.toContain('secret');
+    expect((await listEnvVars('project-1'))[0].value).toBe('********');
+    expect(await getBuildEnvVars('project-1', 'PRODUCTION')).toEqual([{ name: 'API_KEY', value: 'secret' }]);
+    expect(await getBuildEnvVars('project-1', 'STAGING')).toEqual([]);
+  });
+
+  test('should give fork previews neither stored nor request variables', async () => {
+    await createEnvVar({ projectId: 'project-1', environment: 'DEVELOPMENT', key: 'DB_URL', value: 'postgres://dev' });
+    const preview = { projectId: 'project-1', environment: 'DEVELOPMENT', isFork: false };
+
+    expect(await getDeploymentEnvVars(preview, [{ key: 'DEBUG', value: '1' }])).toEqual({
+      stored: [{ name: 'DB_URL', value: 'postgres://dev' }],
+      request: [{ name: 'DEBUG', value: '1' }]
+    });
+    expect(await getDeploymentEnvVars({ ...preview, isFork: true }, [{ key: 'DEBUG', value: '1' }]))
+      .toEqual({ stored: [], request: [] });
+  });
+
+  test('should refuse to override build variables', async () => {
+    await expect(createEnvVar({ projectId: 'project-1', environment: 'PRODUCTION', key: 'GIT_URI', value: 'x' }))
+      .rejects.toThrow('GIT_URI is set by the build');
+  });
+
+  test('should refuse secret references of other projects', async () => {
+    await expect(createEnvVar({ projectId: 'project-1', environment: 'PRODUCTION', key: 'DB_URL', value: 'ssm:/flarenet/project-2/DB_URL' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Secret references must start with ssm:/flarenet/project-1/' });
+  });
+
+  test('should keep variable names of the /deploy array format', () => {
+    expect(normalizeEnvVars([{ key: 'NODE_ENV', value: 'production' }])).toEqual([{ name: 'NODE_ENV', value: 'production' }]);
+    expect(normalizeEnvVars([{ name: 'PORT', value: 3000 }])).toEqual([{ name: 'PORT', value: '3000' }]);
+    expect(normalizeEnvVars({ DEBUG: 'true' })).toEqual([{ name: 'DEBUG', value: 'true' }]);
+  });
+
+  test('should let later lists win when merging', () => {
+    const merged = mergeEnvVars(
+      [{ name: 'API_URL', value: 'stored' }, { name: 'DEBUG', value: 'false' }],
+      [{ name: 'API_URL', value: 'request' }]
+    );
+
+    expect(merged).toEqual([{ name: 'API_URL', value: 'request' }, { name: 'DEBUG', value: 'false' }]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * React Project Validator Tests
+ *
+ * Checks monorepo support: workspace packages are listed with what was
+ * detected in each of them, and a root directory selects one package.
+ */
+
+const ReactProjectValidator = require('../services/validation/reactProjectValidator');
+
+const files = {
+  'package.json': { name: 'acme', private: true, workspaces: ['apps/*', 'packages/ui', '!apps/legacy'] },
+  'apps/web/package.json': { name: '@acme/web', dependencies: { react: '^18.0.0', vite: '^5.0.0' }, scripts: { build: 'vite build' } },
+  'apps/api/package.json': { name: '@acme/api', dependencies: { express: '^5.0.0' } },
+  'apps/legacy/package.json': { name: '@acme/legacy', dependencies: { react: '^16.0.0' } },
+  'packages/ui/package.json': { name: '@acme/ui', peerDependencies: { react: '^18.0.0' } }
+};
+
+const directories = {
+  apps: [
+    { name: 'api', path: 'apps/api', type: 'dir' },
+    { name: 'docs', path: 'apps/docs', type: 'dir' },
+    { name: 'legacy', path: 'apps/legacy', type: 'dir' },
+    { name: 'web', path: 'apps/web', type: 'dir' },
+    { name: 'README.md', path: 'apps/README.md', type: 'file' }
+  ]
+};
+
+const notFound = (path) => Object.assign(new Error(`File '${path}' not found`), { statusCode: 404 });
+
+const createValidator = () => {
+  const validator = new ReactProjectValidator();
+  validator.githubService = {
+    getFileContent: async ({ path }) => {
+      if (!files[path]) throw notFound(path);
+      return files[path];
+    },
+    listDirectory: async ({ path }) => {
+      if (!directories[path]) throw notFound(path);
+      return directories[path];
+    }
+  };
+  return validator;
+};
+
+describe('React project validator', () => {
+  test('should list the packages of a monorepo', async () => {
+    const result = await createValidator().validateReactProject({ owner: 'acme', repo: 'mono', token: 'token' });
+
+    expect(result.isValid).toBe(true);
+    expect(result.framework).toBe('Monorepo');
+    expect(result.buildCommand).toBeNull();
+    expect(result.workspaces).toEqual([
+      { name: '@acme/api', path: 'apps/api', isReact: false, framework: null, buildCommand: null },
+      { name: '@acme/web', path: 'apps/web', isReact: true, framework: 'Vite', buildCommand: 'npm run build' },
+      { name: '@acme/ui', path: 'packages/ui', isReact: false, framework: null, buildCommand: null }
+    ]);
+  });
+
+  test('should validate the package in the root directory', async () => {
+    const validator = createValidator();
+
+    const web = await validator.validateReactProject({ owner: 'acme', repo: 'mono', token: 'token', rootDirectory: 'apps/web/' });
+    expect(web).toMatchObject({ isValid: true, framework: 'Vite', rootDirectory: 'apps/web/', workspaces: [] });
+
+    const api = await validator.validateReactProject({ owner: 'acme', repo: 'mono', token: 'token', rootDirectory: 'apps/api' });
+    expect(api).toEqual({ isValid: false, error: 'This is not a React project' });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Secret Reference Tests
+ *
+ * Resolves `ssm:` references in build variables through the file-backed
+ * secrets provider, which stands in for Parameter Store during development.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileSecretsProvider = require('../services/secrets/fileSecretsProvider');
+const { resolveSecretReferences, isSecretReference, isProjectSecretReference } = require('../services/secrets/secretResolver');
+
+describe('Secret references', () => {
+  let dir;
+  let provider;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flarenet-secrets-'));
+    const filePath = path.join(dir, 'secrets.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      '/flarenet/project-1/prod/STRIPE_KEY': 'sk_test_123',
+      '/flarenet/project-2/prod/STRIPE_KEY': 'sk_live_other_tenant'
+    }));
+    provider = new FileSecretsProvider({ filePath });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should recognize references', () => {
+    expect(isSecretReference('ssm:/flarenet/prod/STRIPE_KEY')).toBe(true);
+    expect(isSecretReference('ssm:')).toBe(false);
+    expect(isSecretReference('plain value')).toBe(false);
+  });
+
+  test('should only accept references under the project prefix', () => {
+    expect(isProjectSecretReference('project-1', 'ssm:/flarenet/project-1/prod/STRIPE_KEY')).toBe(true);
+    expect(isProjectSecretReference('project-1', 'ssm:/flarenet/project-2/prod/STRIPE_KEY')).toBe(false);
+    expect(isProjectSecretReference('project-1', 'ssm:/flarenet/project-1/../project-2/prod/STRIPE_KEY')).toBe(false);
+    expect(isProjectSecretReference('project-1', 'ssm:/platform/JWT_SECRET')).toBe(false);
+    expect(isProjectSecretReference('project-1', 'ssm:/flarenet/project-1/')).toBe(false);
+  });
+
+  test('should replace references and keep plain values', async () => {
+    const resolved = await resolveSecretReferences([
+      { name: 'STRIPE_KEY', value: 'ssm:/flarenet/project-1/prod/STRIPE_KEY' },
+      { name: 'NODE_ENV', value: 'production' }
+    ], provider, { projectId: 'project-1' });
+
+    expect(resolved).toEqual([
+      { name: 'STRIPE_KEY', value: 'sk_test_123' },
+      { name: 'NODE_ENV', value: 'production' }
+    ]);
+  });
+
+  test('should refuse secrets of other projects without reading them', async () => {
+    const getSecrets = jest.spyOn(provider, 'getSecrets');
+
+    await expect(resolveSecretReferences([
+      { name: 'STRIPE_KEY', value: 'ssm:/flarenet/project-2/prod/STRIPE_KEY' }
+    ], provider, { projectId: 'project-1' })).rejects.toThrow('Secret references must start with ssm:/flarenet/project-1/: STRIPE_KEY');
+    expect(getSecrets).not.toHaveBeenCalled();
+
+    getSecrets.mockRestore();
+  });
+
+  test('should name every variable whose secret is missing', async () => {
+    await expect(resolveSecretReferences([
+      { name: 'DB_PASSWORD', value: 'ssm:/flarenet/project-1/prod/DB_PASSWORD' }
+    ], provider, { projectId: 'project-1' })).rejects.toThrow('Secrets not found in file for: DB_PASSWORD (ssm:/flarenet/project-1/prod/DB_PASSWORD)');
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Token Bucket Limiter Tests
+ *
+ * Checks what the rate limiter does while Redis is unavailable: routes that
+ * fail closed (failOpen: false) answer 503, the others are let through.
+ */
+
+jest.mock('../utils/redisClient', () => ({
+  getRedisClient: () => null,
+  isRedisAvailable: () => false
+}));
+
+const createRateLimiter = require('../middlewares/tokenBucketLimiter');
+
+const callLimiter = async (options) => {
+  const response = { statusCode: 200, body: null, passed: false };
+  const res = {
+    status(code) {
+      response.statusCode = code;
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    }
+  };
+  await createRateLimiter(options)({ ip: '127.0.0.1', params: {} }, res, () => {
+    response.passed = true;
+  });
+  return response;
+};
+
+describe('Token bucket limiter without Redis', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should answer 503 when the route fails closed', async () => {
+    const response = await callLimiter({ failOpen: false });
+
+    expect(response.passed).toBe(false);
+    expect(response.statusCode).toBe(503);
+    expect(response.body).toMatchObject({ error: 'Service Unavailable' });
+  });
+
+  test('should let requests through otherwise', async () => {
+    expect(await callLimiter({ failOpen: true })).toMatchObject({ passed: true, statusCode: 200 });
+    expect(await callLimiter({})).toMatchObject({ passed: true, statusCode: 200 });
+  });
+});
@@ -1,12 +1,25 @@
 require('dotenv').config({ path: '../.env' });
 const { ECSClient } = require('@aws-sdk/client-ecs');
+const { SSMClient } = require('@aws-sdk/client-ssm');
+const { S3Client } = require('@aws-sdk/client-s3');
 
-const client = new ECSClient({
+const awsConfig = {
     region: process.env.FLARENET_AWS_REGION,
     credentials: {
         accessKeyId: process.env.FLARENET_AWS_ACCESSKEY,
         secretAccessKey: process.env.FLARENET_AWS_SECRETACCESSKEY
     }
-});
+};
 
-module.exports = { client };
\ No newline at end of file
+const client = new ECSClient(awsConfig);
+
+//infrastructure profiles may run builds in other regions with the same credentials
+const createEcsClient = (region) => new ECSClient({ ...awsConfig, region });
+
+//parameter store holds the secrets referenced by project env vars
+const ssmClient = new SSMClient(awsConfig);
+
+//build cache archives are deleted from s3 when their cache is purged
+const s3Client = new S3Client(awsConfig);
+
+module.exports = { client, ssmClient, s3Client, createEcsClient };
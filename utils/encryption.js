@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-cbc';
+
+/**
+ * SECRET_KEY used for everything encrypted at rest (OAuth tokens, project env vars)
+ * @returns {String} 32 byte key
+ */
+const getSecretKey = () => {
+    const secretKey = process.env.SECRET_KEY;
+
+    // Validate that SECRET_KEY is defined and has the correct length (32 bytes for aes-256-cbc)
+    if (!secretKey || secretKey.length !== 32) {
+        throw new Error('SECRET_KEY must be defined and 32 bytes long.');
+    }
+    return secretKey;
+};
+
+/**
+ * Encrypt a value with a fresh initialization vector
+ * @param {String} value - Plain text
+ * @returns {Object} `{ encryptedData, iv }`, both hex encoded
+ */
+const encrypt = (value) => {
+    const iv = crypto.randomBytes(16); // Initialization vector (16 bytes)
+
+    const cipher = crypto.createCipheriv(ALGORITHM, getSecretKey(), iv);
+    let encrypted = cipher.update(value, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return {
+        encryptedData: encrypted,
+        iv: iv.toString('hex'),
+    };
+};
+
+/**
+ * Decrypt a value produced by `encrypt`
+ * @param {Object} params - Encrypted value
+ * @param {String} params.encryptedData - Hex encoded cipher text
+ * @param {String} params.iv - Hex encoded initialization vector
+ * @returns {String} Plain text
+ */
+const decrypt = ({ encryptedData, iv }) => {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getSecretKey(), Buffer.from(iv, 'hex'));
+
+    let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+};
+
+module.exports = { encrypt, decrypt };
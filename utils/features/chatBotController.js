@@ -1,5 +1,6 @@
 const { prisma } = require("../prismaClient");
-const buildQueue = require("../../queues/buildQueue");
+const { createProjectWithSlug } = require("../../services/domains/hostnames");
+const { createQueuedDeployment } = require("../../services/deployment/deploymentTrigger");
 const { llm, memory } = require("../../utils/langchainConfig");
 const { getRedisClient } = require("../redisClient");
 
@@ -282,26 +283,21 @@ Please confirm if you want to proceed with the deployment (reply with 'yes' or '
         }
 
         // Store project in DB
-        const createdProject = await prisma.project.create({
+        const createdProject = await createProjectWithSlug({
             data: { name: session.name, gitUrl: session.gitUrl, description: session.description, ownerId: parseInt(session.ownerId) },
         });
 
         console.log("project created");
 
-        const createdDeployment = await prisma.deployment.create({
-            data: { projectId: createdProject.id, status: "PENDING" },
+        // Deployment and its build job are written together, the outbox relay queues the job if redis is down
+        await createQueuedDeployment({
+            project: createdProject,
+            data: {},
+            cause: "Created through the chatbot",
+            actorId: parseInt(session.ownerId)
         });
 
-        console.log("deployment created");
-
-        // Queue the deployment
-        await buildQueue.add('deploy', {
-            deploymentId: createdDeployment.id,
-            gitUrl: session.gitUrl,
-            projectId: createdProject.id
-        });
-
-        console.log("deployment updated by adding job");
+        console.log("deployment created and queued");
 
         // Clear session after successful deployment
         await redis.del(`session:${userId}`);
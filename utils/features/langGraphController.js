@@ -2,7 +2,7 @@ const { StateGraph, MessagesAnnotation } = require("@langchain/langgraph");
 const { createAgent, llm, memory } = require("../langchainConfig");
 const { HumanMessage } = require("@langchain/core/messages");
 const axios = require("axios");
-const { prisma } = require('../prismaClient');
+const { createProjectWithSlug, createDeploymentWithSlug } = require('../../services/domains/hostnames');
 
 const processMessage = async (state) => {
   try {
@@ -27,7 +27,7 @@ const processMessage = async (state) => {
     console.log("Extracted Description:", description);
 
     // ✅ Create project in Prisma
-    const createdProject = await prisma.project.create({
+    const createdProject = await createProjectWithSlug({
       data: { name, gitUrl, description, ownerId },
     });
 
@@ -72,7 +72,7 @@ const markDeployment = async (state) => {
   }
 
   // ✅ Create deployment marker
-  const deployment = await prisma.deployment.create({
+  const deployment = await createDeploymentWithSlug({
     data: { projectId }
   });
 
@@ -0,0 +1,35 @@
+/**
+ * Error carrying the HTTP status a route should answer with.
+ * Services throw it, routes translate it with `sendError`.
+ */
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Send an error response in the shape used across the API
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown error, HttpError keeps its status code
+ * @param {String} fallbackMessage - Message used for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage = 'Internal server error') => {
+    if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage,
+        error: error.message
+    });
+};
+
+module.exports = { HttpError, sendError };
@@ -1,6 +1,21 @@
-const { Worker } = require('bullmq');
-const { RunTaskCommand } = require('@aws-sdk/client-ecs');
-const { client } = require('../utils/awsClient');
+const { Worker, DelayedError } = require('bullmq');
+const { getBuildExecutor } = require('../services/build/buildExecutorFactory');
+const { waitForBuild } = require('../services/build/buildMonitor');
+const { setCurrentDeployment } = require('../services/deployment/currentDeployment');
+const { transitionDeployment, tryTransitionDeployment } = require('../services/deployment/deploymentStateMachine');
+const DeploymentLock = require('../services/deployment/deploymentLock');
+const { checkApprovalGate } = require('../services/deployment/deploymentApprovals');
+const { getDeploymentEnvVars, mergeEnvVars } = require('../services/project/projectEnvVars');
+const { getSecretsProvider } = require('../services/secrets/secretsProviderFactory');
+const { resolveSecretReferences } = require('../services/secrets/secretResolver');
+const { FlarenetConfigError, loadFlarenetConfig, getConfigBuildCommand, getBuildDirectories, findMissingEnvVars } = require('../services/build/flarenetConfig');
+const { prepareDependencyCache, getCacheEnvVars, recordCacheOutcome } = require('../services/build/dependencyCache');
+const { SCHEDULED_DEPLOY_JOB, runSchedule } = require('../services/deployment/deploymentSchedules');
+const { getHealthCheckConfig, runHealthChecks } = require('../services/deployment/healthChecks');
+const { resolveBuildProfile } = require('../services/build/infrastructureProfiles');
+const { resolveToolchain } = require('../services/build/buildToolchain');
+const { detectProjectToolchain } = require('../services/project/projectToolchain');
+const { HttpError } = require('../utils/httpError');
 const { prisma } = require('../utils/prismaClient');
 const failedQueue = require('../queues/failedQueue');
 const { llm, memory } = require("../utils/langchainConfig"); // Import LLM instance
@@ -36,14 +51,19 @@ const isGitHubRepoAccessible = async (gitUrl) => {
     }
 };
 
-//cluster/aws configs object
+//retry configs object, build infrastructure lives in the configured build executor
 const config = {
-    CLUSTER: process.env.FLARENET_AWS_CLUSTER_NAME || 'default-cluster',
-    TASK: process.env.FLARENET_AWS_TASK_DEFINITION || 'git_project_cloner_task:18',
     MAX_RETRIES: 3,
     RETRY_DELAY: 5000,
+    BUILD_TIMEOUT_MS: parseInt(process.env.FLARENET_BUILD_TIMEOUT_MS || '1800000', 10), // 30 minutes
+    BUILD_POLL_INTERVAL_MS: parseInt(process.env.FLARENET_BUILD_POLL_INTERVAL_MS || '10000', 10),
+    CONCURRENCY: parseInt(process.env.FLARENET_BUILD_CONCURRENCY || '5', 10),
+    LOCK_RETRY_DELAY_MS: parseInt(process.env.FLARENET_DEPLOY_LOCK_RETRY_MS || '15000', 10),
 }
 
+//one build per project environment, the ttl frees locks of crashed workers
+const deploymentLock = new DeploymentLock({ ttlMs: config.BUILD_TIMEOUT_MS + 5 * 60 * 1000 });
+
 
 const classifyLogs = async (logMessage) => {
     const prompt = `Analyze the following deployment log and categorize it accurately. Respond in EXACT format:
@@ -105,8 +125,35 @@ const classifyLogs = async (logMessage) => {
 };
 
 
+//cancellation happens through the api, the worker only checks the stored status
+const isDeploymentCancelled = async (deploymentId) => {
+    const deployment = await prisma.deployment.findUnique({
+        where: { id: deploymentId },
+        select: { status: true }
+    });
+    return deployment?.status === 'CANCELLED';
+};
+
+//a deployment that can never build as it stands fails right away instead of being retried
+const failDeployment = async (deploymentId, cause) => {
+    console.error(`Deployment ${deploymentId} failed: ${cause}`);
+    await transitionDeployment({
+        deploymentId,
+        to: 'FAILED',
+        cause,
+        data: { buildFinishedAt: new Date() }
+    });
+};
+
 //define worker to process jobs
-const deploymentWorker = new Worker('buildQueue', async (job) => {
+const deploymentWorker = new Worker('buildQueue', async (job, token) => {
+    //schedules only create the deployment, its build then comes through as a regular deploy job
+    if (job.name === SCHEDULED_DEPLOY_JOB) {
+        const scheduled = await runSchedule(job.data.scheduleId);
+        console.log(`Schedule ${job.data.scheduleId} fired${scheduled ? `, deployment ${scheduled.id} queued` : ''}`);
+        return;
+    }
+
     // Dynamically import uuid
     const { v4: uuidv4 } = await import('uuid');
     const { deploymentId, projectId, environment = "DEVELOPMENT", gitUrl, version = "v1.0.0", buildCommand, envVars } = job.data;
@@ -116,6 +163,38 @@ const deploymentWorker = new Worker('buildQueue', async (job) => {
         throw new Error('Missing required job parameters');
     }
 
+    //deployment may have been cancelled while it was waiting in the queue
+    const deployment = await prisma.deployment.findUnique({ where: { id: deploymentId } });
+    if (!deployment || deployment.status === 'CANCELLED') {
+        console.log(`Deployment ${deploymentId} is cancelled or gone, skipping build`);
+        return;
+    }
+
+    //gated production deployments stay delayed until approved (the approval wakes the job) or expired
+    const gate = await checkApprovalGate(deployment);
+    if (gate.state === 'CLOSED') {
+        console.log(`Approval request of deployment ${deploymentId} expired, skipping build`);
+        return;
+    }
+    if (gate.state === 'WAITING') {
+        console.log(`Deployment ${deploymentId} waits for approval until ${gate.until.toISOString()}`);
+        await job.moveToDelayed(gate.until.getTime(), token);
+        throw new DelayedError();
+    }
+
+    //another build of the same environment is in flight, wait for it instead of racing it
+    //previews only wait for builds of their own pull request or branch
+    const lockScope = !deployment.isPreview
+        ? deployment.environment
+        : (deployment.pullRequestNumber ? `PR-${deployment.pullRequestNumber}` : `BRANCH-${deployment.branch}`);
+    const lockAcquired = await deploymentLock.acquire(projectId, lockScope, deploymentId);
+    if (!lockAcquired) {
+        const holder = await deploymentLock.getHolder(projectId, lockScope);
+        console.log(`Deployment ${deploymentId} waits for ${holder} to finish building ${lockScope}`);
+        await job.moveToDelayed(Date.now() + config.LOCK_RETRY_DELAY_MS, token);
+        throw new DelayedError();
+    }
+
     try {
         console.log(`Worker is Processing deployment for ${projectId} - Deployment ID: ${deploymentId}`);
 
@@ -161,73 +240,241 @@ const deploymentWorker = new Worker('buildQueue', async (job) => {
             console.warn("Proceeding with warnings:", validationText);
         }
 
-        //mark deployment status as active in  prisma database
-        await prisma.deployment.update({
-            where: { id: deploymentId },
-            data: { status: 'ACTIVE' },
+        //deployment may have been cancelled while it was being validated
+        if (await isDeploymentCancelled(deploymentId)) {
+            console.log(`Deployment ${deploymentId} was cancelled before its build started`);
+            return;
+        }
+
+        //optional flarenet.json at the deployed commit, a broken one fails the deployment with its problems as cause
+        const project = await prisma.project.findUnique({ where: { id: projectId } });
+        let buildConfig;
+        try {
+            buildConfig = await loadFlarenetConfig({ project, ref: deployment.commitSha || deployment.branch });
+        } catch (error) {
+            if (!(error instanceof FlarenetConfigError)) {
+                throw error;
+            }
+            await failDeployment(deploymentId, error.message);
+            return;
+        }
+        //size and network of the build task, a profile the owner's plan no longer allows fails the deployment
+        let infrastructureProfile;
+        try {
+            infrastructureProfile = await resolveBuildProfile(project);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                throw error;
+            }
+            await failDeployment(deploymentId, error.message);
+            return;
+        }
+
+        //validation passed, deployment stays pending until the build task is running
+        await transitionDeployment({
+            deploymentId,
+            to: 'PENDING',
+            cause: classification === 'WARNING' ? 'Validation passed with warnings' : 'Validation passed'
         });
-        // Simplified build command handling
-        const finalBuildCommand = job.data.buildCommand 
-            ? job.data.buildCommand 
-            : "npm install && npm run build";
+        const { rootDirectory, outputDirectory } = getBuildDirectories(project, buildConfig);
+        //package manager and node version: project overrides, then flarenet.json, then what the repository pins
+        let detectedToolchain = null;
+        try {
+            detectedToolchain = await detectProjectToolchain({ project, ref: deployment.commitSha || deployment.branch, rootDirectory });
+        } catch (error) {
+            console.warn(`Toolchain of deployment ${deploymentId} not detected, using defaults: ${error.message}`);
+        }
+        const toolchain = resolveToolchain({ project, buildConfig, detected: detectedToolchain });
+        console.log(`Deployment ${deploymentId} builds with ${toolchain.packageManager} (${toolchain.packageManagerSource}) on Node ${toolchain.nodeVersion} (${toolchain.nodeVersionSource})`);
+        //a build command sent with the deploy request wins over flarenet.json
+        const finalBuildCommand = job.data.buildCommand || getConfigBuildCommand(buildConfig, toolchain.packageManager);
         
         // console.log("Using build command:", finalBuildCommand);
         // Remove the AI-based build command section and continue with task execution
         // Prepare environment variables
-        const environmentVariables = [
-            { name: 'GIT_URI', value: gitUrl },
-            { name: 'PROJECT_ID', value: projectId },
-            { name: 'DEPLOYMENT_ID', value: deploymentId },
-            { name: 'BUILD_COMMAND', value: finalBuildCommand }
-        ];
-        
-        // Add custom env vars if they exist
-        if (envVars && typeof envVars === 'object') {
-            Object.entries(envVars).forEach(([key, value]) => {
-                environmentVariables.push({ name: key, value: String(value) });
-            });
+        //stored project vars first, vars sent with the deploy request override them, build vars always win
+        //fork previews get none of them
+        const { stored: storedVariables, request: requestVariables } = await getDeploymentEnvVars(deployment, envVars);
+        const projectVariables = mergeEnvVars(storedVariables, requestVariables);
+        const missingVariables = findMissingEnvVars(buildConfig, projectVariables);
+        if (missingVariables.length > 0) {
+            await failDeployment(deploymentId, `flarenet.json requires ${missingVariables.join(', ')}, not set for ${deployment.environment}`);
+            return;
         }
-        
-        const command = new RunTaskCommand({
-            cluster: config.CLUSTER,
-            taskDefinition: config.TASK,
-            launchType: 'FARGATE',
-            count: 1,
-            networkConfiguration: {
-                awsvpcConfiguration: {
-                    assignPublicIp: 'ENABLED',
-                    subnets: ['subnet-0e0c97b6f83bfc538', 'subnet-08a60214836f38b79', 'subnet-0c4be927b2f4c3790'],
-                    securityGroups: ['sg-0bf9e7e682e1bed1a']
-                }
-            },
-            overrides: {
-                containerOverrides: [
-                    {
-                        name: 'task_cloner_image',
-                        environment: environmentVariables
-                    }
-                ]
+        //dependency cache keyed by lockfile, package manager and node version, a cache problem never fails the build
+        //fork previews do not use it, they could save a tampered node_modules for everyone's builds
+        let dependencyCache = null;
+        if (!deployment.isFork) {
+            try {
+                dependencyCache = await prepareDependencyCache({
+                    project,
+                    deployment,
+                    rootDirectory,
+                    packageManager: toolchain.packageManager,
+                    nodeVersion: toolchain.nodeVersion,
+                    lockfile: detectedToolchain ? detectedToolchain.lockfile : undefined
+                });
+            } catch (error) {
+                console.warn(`Dependency cache not used for deployment ${deploymentId}: ${error.message}`);
             }
+        }
+        //ssm:/... references are resolved only now so secret values never sit in the job data
+        //only stored vars are resolved, and only under the project's own prefix: request vars are passed as sent
+        const environmentVariables = mergeEnvVars(
+            await resolveSecretReferences(storedVariables, getSecretsProvider(), { projectId }),
+            requestVariables,
+            [
+                { name: 'GIT_URI', value: gitUrl },
+                { name: 'PROJECT_ID', value: projectId },
+                { name: 'DEPLOYMENT_ID', value: deploymentId },
+                { name: 'BUILD_COMMAND', value: finalBuildCommand },
+                { name: 'PACKAGE_MANAGER', value: toolchain.packageManager },
+                { name: 'NODE_VERSION', value: toolchain.nodeVersion },
+                //where the app lives in the repository and what to serve, project settings first then flarenet.json
+                ...[
+                    ['ROOT_DIRECTORY', rootDirectory],
+                    ['OUTPUT_DIRECTORY', outputDirectory]
+                ].filter(([, value]) => value).map(([name, value]) => ({ name, value })),
+                //restore location on a hit, save location on a miss
+                ...getCacheEnvVars(dependencyCache),
+                //branch and commit the deployment was created for, the builder checks out the exact commit
+                ...[
+                    ['GIT_BRANCH', deployment.branch],
+                    ['GIT_COMMIT_SHA', deployment.commitSha],
+                    ['GIT_COMMIT_MESSAGE', deployment.commitMessage],
+                    ['GIT_COMMIT_AUTHOR', deployment.commitAuthor]
+                ].filter(([, value]) => value).map(([name, value]) => ({ name, value }))
+            ]
+        );
+        
+        //hand the build to the configured executor (ECS task, local container or process)
+        const buildExecutor = getBuildExecutor();
+        const { taskId } = await buildExecutor.startBuild({
+            deploymentId,
+            projectId,
+            gitUrl,
+            buildCommand: finalBuildCommand,
+            environment: environmentVariables,
+            infrastructure: infrastructureProfile
         });
+        if (!taskId) {
+            throw new Error(`Build executor ${buildExecutor.name} did not return a task id`);
+        }
 
-        //send final command to task executor
-        await client.send(command);
-        //after processng container task mark deloyment as completed
         await prisma.deployment.update({
             where: { id: deploymentId },
-            data: { status: 'ACTIVE' },
+            data: { taskArn: taskId, buildStartedAt: new Date() },
+        });
+
+        //follow the task until it stops so the status reflects the real build result
+        const result = await waitForBuild({
+            executor: buildExecutor,
+            taskId,
+            timeoutMs: config.BUILD_TIMEOUT_MS,
+            pollIntervalMs: config.BUILD_POLL_INTERVAL_MS,
+            onStatusChange: async ({ status }) => {
+                if (status === 'RUNNING') {
+                    await tryTransitionDeployment({
+                        deploymentId,
+                        to: 'BUILDING',
+                        cause: `Build task ${taskId} is running`
+                    });
+                }
+            },
+            isCancelled: () => isDeploymentCancelled(deploymentId)
+        });
+
+        //a cancelled build stops with an error code, keep the CANCELLED status in that case
+        if (result.cancelled || await isDeploymentCancelled(deploymentId)) {
+            console.log(`Build for deployment ${deploymentId} stopped after cancellation`);
+            return;
+        }
+
+        //only a successful build restored (hit) or saved (miss) the dependencies, record which one now
+        if (result.succeeded && dependencyCache) {
+            await recordCacheOutcome({ projectId, deploymentId, cache: dependencyCache }).catch((error) => {
+                console.warn(`Dependency cache ${dependencyCache.key} not recorded: ${error.message}`);
+            });
+        }
+
+        //with a health check the build is probed on its own url first, traffic stays on the current deployment meanwhile
+        const healthCheck = result.succeeded ? getHealthCheckConfig(project, buildConfig) : null;
+        let activeCause = `Build task ${taskId} succeeded`;
+        if (healthCheck) {
+            const builtDeployment = await transitionDeployment({
+                deploymentId,
+                to: 'VERIFYING',
+                cause: `Build task ${taskId} succeeded, running health checks`,
+                data: {
+                    exitCode: result.exitCode,
+                    buildFinishedAt: new Date()
+                }
+            });
+            const health = await runHealthChecks({
+                deployment: builtDeployment,
+                healthCheck,
+                isCancelled: () => isDeploymentCancelled(deploymentId)
+            });
+            if (health.cancelled || await isDeploymentCancelled(deploymentId)) {
+                console.log(`Health checks of deployment ${deploymentId} stopped after cancellation`);
+                return;
+            }
+            if (!health.passed) {
+                //never made current, the environment keeps serving its last healthy deployment
+                await transitionDeployment({
+                    deploymentId,
+                    to: 'FAILED',
+                    cause: `Health check failed after ${health.attempts} attempt(s): ${health.reason}`
+                });
+                return;
+            }
+            activeCause = `Health checks passed after ${health.attempts} attempt(s)`;
+        }
+
+        const finishedDeployment = await transitionDeployment({
+            deploymentId,
+            to: result.succeeded ? 'ACTIVE' : 'FAILED',
+            cause: result.succeeded
+                ? activeCause
+                : (result.timedOut ? result.reason : `Build task ${taskId} exited with code ${result.exitCode}`),
+            data: {
+                exitCode: result.exitCode,
+                //already set when the build finished before its health checks
+                buildFinishedAt: healthCheck ? undefined : new Date()
+            }
         });
 
+        //a successful build becomes the live deployment of its environment, previews are only served on their own url
+        if (result.succeeded && !finishedDeployment.isPreview) {
+            await setCurrentDeployment({
+                projectId,
+                environment: finishedDeployment.environment,
+                deploymentId,
+                reason: 'DEPLOY'
+            });
+        }
+
+        if (!result.succeeded) {
+            throw new Error(result.timedOut
+                ? result.reason
+                : `Build task ${taskId} exited with code ${result.exitCode}${result.reason ? `: ${result.reason}` : ''}`);
+        }
+
     }
     catch (err) {
         throw err; // let worker.onError handler will handle this
 
     }
+    finally {
+        await deploymentLock.release(projectId, lockScope, deploymentId);
+    }
 
 }, {
     connection: {
         url: process.env.REDIS_URL, // Use REDIS_URL from environment
     },
+    //jobs stay active while their build runs, so several are processed side by side
+    concurrency: config.CONCURRENCY,
     limiter: {
         max: 10, // Max jobs per second prevent queue iverload
         duration: 1000
@@ -268,9 +515,10 @@ deploymentWorker.on('failed', async (job, err) => {
 
         // Update deployment status in Prisma
         if (job.data.deploymentId) {
-            await prisma.deployment.update({
-                where: { id: job.data.deploymentId },
-                data: { status: 'FAILED' },
+            await tryTransitionDeployment({
+                deploymentId: job.data.deploymentId,
+                to: 'FAILED',
+                cause: err.message
             });
         }
     }
@@ -281,9 +529,10 @@ deploymentWorker.on('failed', async (job, err) => {
 
     // Optionally update the deployment status
     if (job.data.deploymentId) {
-        await prisma.deployment.update({
-            where: { id: job.data.deploymentId },
-            data: { status: 'FAILED' },
+        await tryTransitionDeployment({
+            deploymentId: job.data.deploymentId,
+            to: 'FAILED',
+            cause: err.message
         });
     }
 });
@@ -333,9 +582,10 @@ const processLogMessage = async ({ topic, partition, batch, heartbeat, commitOff
 
             if (classification === "CRITICAL_FAILURE") {
                 console.error("Critical failure detected. Marking deployment as failed.");
-                await prisma.deployment.update({
-                    where: { id: DEPLOYMENT_ID },
-                    data: { status: 'FAILED' },
+                await tryTransitionDeployment({
+                    deploymentId: DEPLOYMENT_ID,
+                    to: 'FAILED',
+                    cause: `Build log classified as CRITICAL_FAILURE: ${reasoning}`
                 });
             } else if (classification === "RECOVERABLE_ERROR") {
                 console.warn("Recoverable error detected. Initiating retry mechanism.");
@@ -346,10 +596,8 @@ const processLogMessage = async ({ topic, partition, batch, heartbeat, commitOff
                     error: reasoning,
                 });
             } else if (classification === "SUCCESS") {
-                await prisma.deployment.update({
-                    where: { id: DEPLOYMENT_ID },
-                    data: { status: 'ACTIVE' },
-                });
+                //only the build task result makes a deployment ACTIVE, a log line cannot revive a failed one
+                console.log(`Build log of ${DEPLOYMENT_ID} reports success`);
             } else {
                 console.log("Log classified as:", JSON.stringify(classification));
             }
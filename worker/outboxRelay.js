@@ -0,0 +1,31 @@
+const { relayOutbox, purgeOutbox } = require('../services/deployment/deploymentOutbox');
+require('dotenv').config({ path: '../.env' });
+
+//how often pending outbox messages are published to their queue
+const POLL_INTERVAL_MS = parseInt(process.env.FLARENET_OUTBOX_POLL_MS || '1000', 10);
+//published messages are kept this long, then deleted
+const RETENTION_MS = parseInt(process.env.FLARENET_OUTBOX_RETENTION_HOURS || '24', 10) * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPurgeAt = 0;
+
+//one pass at a time, the next one is scheduled once this one finished
+const relayPass = async () => {
+    try {
+        const { published, failed } = await relayOutbox();
+        if (published > 0 || failed > 0) {
+            console.log(`Outbox relay: ${published} published, ${failed} failed`);
+        }
+
+        if (Date.now() - lastPurgeAt > PURGE_INTERVAL_MS) {
+            lastPurgeAt = Date.now();
+            await purgeOutbox({ retentionMs: RETENTION_MS });
+        }
+    } catch (error) {
+        //database unreachable, pending messages stay in the outbox until the next pass
+        console.error('Outbox relay pass failed:', error.message);
+    }
+    setTimeout(relayPass, POLL_INTERVAL_MS);
+};
+
+relayPass();